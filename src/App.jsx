@@ -4,6 +4,7 @@ import './App.css';
 import Dashboard from "./pages/Dashboard";
 import ScheduleEditor from "./pages/ScheduleEditor";
 import MissedAlarmsPage from './pages/MissedAlarmsPage';
+import ExclusionCalendarsPage from './pages/ExclusionCalendarsPage';
 import Footer from './components/Footer'; // Add this line
 
 /**
@@ -21,7 +22,7 @@ function getPopupMode() {
 
 /**
  * Main application component for Chronotab.
- * It sets up routing for different pages of the extension (Dashboard, ScheduleEditor, MissedAlarmsPage)
+ * It sets up routing for different pages of the extension (Dashboard, ScheduleEditor, MissedAlarmsPage, ExclusionCalendarsPage)
  * and determines if the UI should be rendered in popup mode or full-page mode based on window size.
  * It also includes a global Footer component.
  * @returns {JSX.Element} The root JSX element of the application.
@@ -61,6 +62,7 @@ function App() {
           <Route path="/edit/*" element={<ScheduleEditor isPopup={isPopup} />} />
           <Route path="/schedule/new/*" element={<ScheduleEditor isPopup={isPopup} />} />
           <Route path="/missed-alarms" element={<MissedAlarmsPage isPopup={isPopup} />} />
+          <Route path="/calendars" element={<ExclusionCalendarsPage isPopup={isPopup} />} />
           <Route path="/" element={<Dashboard isPopup={isPopup} />} />
         </Routes>
       </div>
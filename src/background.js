@@ -1,58 +1,166 @@
 // Chronotab background service worker
 // console.log("Chronotab background.js loading..."); // <-- ADDED THIS LOG
-import { registerAlarms, runSchedule } from './utils/scheduler.js';
+import { getLocalTimeZone } from './utils/timezone.js';
+import { fireTimesBetween, occurrenceForFireTime, isScheduleExpired, MAX_OCCURRENCES } from './utils/recurrence.js';
+import { runMigrations } from './utils/migrations.js';
+import { loadExclusionCalendars, EXCLUSION_CALENDARS_KEY } from './utils/calendars.js';
+import { normalizeUrlEntries } from './utils/tabs.js';
+import { isAutoCloseAlarm, handleAutoCloseAlarm, clearRuns, forgetTab } from './utils/runs.js';
+import { notifyRun, isRunNotification, handleRunNotificationClick } from './utils/notifications.js';
+import { playAlert } from './utils/alerts.js';
+import { isPromptId, promptBeforeRun, handlePromptAlarm, handlePromptClick } from './utils/prompts.js';
+import {
+  isReminderAlarm, getRemindedAlarmName, isDelayedRunAlarm, getDelayedScheduleId, delayRun, isReminderNotification,
+  parseReminderNotification, getReminderAction, showReminder, clearReminder, REMINDER_DELAY_MINUTES,
+} from './utils/reminders.js';
+import { registerAlarms, runSchedule, rearmScheduleAlarm, isInternalAlarm, isScheduleAlarm, isSchedulePaused, getRunFloor, getSkippedThrough, INTERNAL_ALARM_PREFIX } from './utils/scheduler.js';
 
 /**
  * @typedef {object} Alarm
  * Represents a Chrome alarm object used by the extension.
  * @property {string} name - The name of the alarm, typically prefixed with a schedule ID.
+ * @property {number} scheduledTime - The time (milliseconds since epoch) the alarm was scheduled to fire.
  */
 
+/**
+ * Name of the periodic internal alarm that watches for time zone and UTC offset changes.
+ * @type {string}
+ */
+const CLOCK_CHECK_ALARM = `${INTERNAL_ALARM_PREFIX}clock-check`;
+const CLOCK_CHECK_PERIOD_MINUTES = 15;
+const CLOCK_STATE_KEY = 'chronotab_clock_state';
+
+/**
+ * Makes sure the periodic clock-check alarm exists. Safe to call repeatedly.
+ */
+function ensureClockCheckAlarm() {
+  chrome.alarms.get(CLOCK_CHECK_ALARM, (existing) => {
+    if (!existing) {
+      chrome.alarms.create(CLOCK_CHECK_ALARM, { periodInMinutes: CLOCK_CHECK_PERIOD_MINUTES });
+    }
+  });
+}
+
+/**
+ * Compares the current time zone and UTC offset with the last values seen and re-registers
+ * all alarms if either changed.
+ *
+ * Schedule alarms are one-shot alarms at absolute timestamps. Schedules without an explicit
+ * `timeZone` follow the browser's local zone, so if the user travels or changes the system
+ * time zone their timestamps no longer match the wall-clock times they were computed for and
+ * have to be recalculated. Schedules pinned to a zone are unaffected but re-armed all the same.
+ * @async
+ */
+async function checkForClockChanges() {
+  const current = {
+    timeZone: getLocalTimeZone(),
+    offset: new Date().getTimezoneOffset(),
+  };
+  try {
+    const result = await chrome.storage.local.get(CLOCK_STATE_KEY);
+    const previous = result[CLOCK_STATE_KEY];
+    if (!previous || previous.timeZone !== current.timeZone || previous.offset !== current.offset) {
+      await chrome.storage.local.set({ [CLOCK_STATE_KEY]: current });
+      if (previous) {
+        // console.log(`[Chronotab] Clock changed from ${previous.timeZone} to ${current.timeZone}, re-registering alarms.`);
+        registerAlarms();
+      }
+    }
+  } catch (error) {
+    console.error("Error in checkForClockChanges:", error);
+  }
+}
+
 /**
  * Listener for Chrome alarms.
  *
- * When an alarm fires, this listener performs the following actions:
- * - Finds the corresponding schedule(s) based on the alarm name.
- * - Opens all URLs specified in each matched schedule.
- * - Shows a Chrome notification for each opened tab.
- * - Updates the `lastRun` timestamp for each matched schedule.
+ * Internal alarms (see `isInternalAlarm`) are dispatched to their handlers, and reminder alarms show their
+ * reminder (see `remindOfRun`). For schedule alarms, this listener performs the following actions:
+ * - Finds the corresponding schedule(s) based on the alarm name (see `isScheduleAlarm`). Paused schedules are left alone.
+ * - If the user skipped this run (see `setSkipNextRun`) or already opened it early from its reminder, re-arms the alarm
+ *   for the following run without opening anything (see `getSkippedThrough`).
+ * - Opens all URLs specified in each matched schedule (see `runSchedule`), grouping them if the schedule has tab-group options.
+ * - Announces each run with one notification, as set globally and per schedule (see `notifyRun`).
+ * - Plays the schedule's alert sound and spoken announcement, if it has them (see `playAlert`).
+ * - For schedules with `confirmBeforeRun`, asks first instead (see `promptBeforeRun`). Such a run only counts once its
+ *   tabs open (see `openPromptedRun`), so here the occurrence is only recorded as prompted (`promptedFor`), keeping it
+ *   from being reported as missed while the prompt waits, and its alarm is re-armed or a "once" schedule removed.
+ * - Updates the `lastRun` timestamp and increments the `runCount` of each matched schedule.
+ * - Re-arms the fired alarm for the schedule's next wall-clock occurrence. Alarms are one-shot
+ *   so that daily and weekly runs stay at the same local time across daylight-saving changes.
+ * - If the run used up the schedule's `maxRuns`, or it has no occurrences left before its `endDate`,
+ *   the schedule is archived instead of re-armed.
  * - If a matched schedule has `repeat` set to "once", it is removed from the stored schedules.
  *
  * If any schedules were modified (e.g., `lastRun` updated or "once" schedule removed),
- * the changes are saved back to `chrome.storage.sync`, and `registerAlarms()` is called
- * to ensure alarm states are consistent.
+ * the changes are saved back to `chrome.storage.sync`. The storage change listener then
+ * re-registers alarms to keep every alarm state consistent.
  *
  * @param {Alarm} alarm - The alarm object that fired.
  */
 chrome.alarms.onAlarm.addListener((alarm) => {
-  chrome.storage.sync.get(["schedules"], (result) => {
+  if (isInternalAlarm(alarm.name)) {
+    if (alarm.name === CLOCK_CHECK_ALARM) {
+      checkForClockChanges();
+    } else if (isAutoCloseAlarm(alarm.name)) {
+      handleAutoCloseAlarm(alarm);
+    } else if (isPromptId(alarm.name)) {
+      handlePromptAlarm(alarm).then(prompt => openPromptedRun(prompt, true));
+    } else if (isDelayedRunAlarm(alarm.name)) {
+      runDelayedRun(getDelayedScheduleId(alarm.name));
+    }
+    return;
+  }
+  if (isReminderAlarm(alarm.name)) {
+    remindOfRun(alarm);
+    return;
+  }
+
+  chrome.storage.sync.get(["schedules"], async (result) => {
+    // Re-arming skips excluded dates, so the calendars have to be loaded in this (possibly fresh) worker
+    await loadExclusionCalendars();
     let schedules = result.schedules || [];
     // Find matching schedule(s)
-    const matches = schedules.filter(s => alarm.name.startsWith(s.id));
+    const matches = schedules.filter(s => isScheduleAlarm(s, alarm.name) && !s.archived && !isSchedulePaused(s));
     let schedulesWereModified = false;
 
     matches.forEach(schedule => {
-      schedule.urls.forEach(url => {
-        chrome.tabs.create({ url });
-        // Show notification for each opened tab
-        chrome.notifications.create({
-          type: "basic",
-          iconUrl: chrome.runtime.getURL("icon.png"), // Use absolute path
-          title: "Chronotab Schedule Triggered",
-          message: `Tab opened for: ${schedule.name}`,
-          priority: 2
-        }, (_notificationId) => {
-          if (chrome.runtime.lastError) {
-            console.error('Schedule notification error:', chrome.runtime.lastError.message);
-          }
-        });
-      });
-
-      // Update lastRun time for the schedule
-      const scheduleIndex = schedules.findIndex(s => s.id === schedule.id);
-      if (scheduleIndex !== -1) {
-        schedules[scheduleIndex].lastRun = Date.now();
+      if (alarm.scheduledTime <= getSkippedThrough(schedule)) {
+        rearmScheduleAlarm(schedule, alarm);
+        return;
+      }
+      clearReminder(schedule.id, alarm.scheduledTime);
+      playAlert(schedule);
+      // URL templates expand for the scheduled occurrence, not the (jittered or late) time the alarm fired
+      const occurrence = occurrenceForFireTime(schedule, alarm.scheduledTime);
+      if (schedule.confirmBeforeRun && (!schedule.action || schedule.action === "open")) {
+        promptBeforeRun(schedule, occurrence, "alarm")
+          .catch(error => console.error(`[Chronotab] Error asking before running '${schedule.name}':`, error));
+        // The run counts once its tabs open (see openPromptedRun); until then the occurrence is only marked as prompted
+        schedule.promptedFor = Math.max(schedule.promptedFor || 0, alarm.scheduledTime);
         schedulesWereModified = true;
+        rearmScheduleAlarm(schedule, alarm);
+        if (schedule.repeat === "once") {
+          schedules = schedules.filter(s => s.id !== schedule.id);
+        }
+        return;
+      }
+      // Opens the tabs, in the schedule's tab group if it has one
+      runSchedule(schedule, "alarm", occurrence).then(outcome => notifyRun(schedule, outcome));
+
+      // Update lastRun time and run count for the schedule
+      const now = Date.now();
+      schedule.lastRun = now;
+      schedule.runCount = (schedule.runCount || 0) + 1;
+      schedulesWereModified = true;
+
+      if (isScheduleExpired(schedule, now)) {
+        // End date or run limit reached: keep the schedule for reference but stop arming it
+        schedule.archived = true;
+        schedule.archivedAt = now;
+      } else {
+        // Arm the next occurrence of this alarm right away rather than waiting for registerAlarms()
+        rearmScheduleAlarm(schedule, alarm);
       }
 
       // Remove 'once' schedules after running
@@ -63,144 +171,126 @@ chrome.alarms.onAlarm.addListener((alarm) => {
       }
     });
 
-    // Save updated schedules if any were removed or lastRun was updated
+    // Save updated schedules if any were removed or lastRun was updated.
+    // The chrome.storage.onChanged listener re-registers alarms, which also removes alarms of deleted 'once' schedules.
     if (schedulesWereModified) {
       chrome.storage.sync.set({ schedules }, () => {
-        // After 'once' schedule is removed, or lastRun updated, re-register alarms
-        // to ensure periods are correct for recurring tasks and removed alarms are gone.
-        registerAlarms(); 
+        if (chrome.runtime.lastError) {
+          console.error('Error saving schedules after alarm:', chrome.runtime.lastError.message);
+        }
       });
     }
   });
 });
 
-// --- Scheduler logic inlined from src/utils/scheduler.js ---
-// [REMOVED INLINED SCHEDULER LOGIC - using imports now]
-// function registerAlarms() { ... }
-// function getNextOccurrence(timeStr) { ... }
-// function getNextWeeklyOccurrence(timeStr, dayOfWeek) { ... }
-// --- End scheduler logic ---
-
 /**
- * Calculates the next occurrence of a given time string strictly after a specified timestamp.
- * Handles time strings in "HH:MM" format or ISO strings by extracting "HH:MM".
- * If the calculated time on the same day as fromTimestamp is in the past or same as fromTimestamp,
- * it advances to the next day.
- *
- * @param {string} timeStr - The time string, e.g., "14:30" or an ISO string like "2023-01-01T14:30:00".
- * @param {number} fromTimestamp - The timestamp (milliseconds since epoch) from which to calculate the next occurrence.
- * @returns {number|null} The timestamp of the next occurrence, or null if the time string is invalid or calculation fails.
+ * Records a run of a schedule that didn't come from its alarm (opened early from a reminder, delayed, or confirmed from a prompt),
+ * the way the alarm would have: updates `lastRun` and `runCount`, archives the schedule if that was its last run,
+ * and removes a "once" schedule.
+ * @param {object[]} schedules - All schedules. The run schedule is updated in place.
+ * @param {object} schedule - The schedule that ran, an element of `schedules`.
+ * @returns {object[]} The schedules to save.
  */
-// Helper function to get the next occurrence of a time string strictly AFTER a given timestamp
-function getNextOccurrenceFrom(timeStr, fromTimestamp) {
-  let timeToParse = timeStr;
-  if (timeStr && timeStr.includes('T')) {
-    const parts = timeStr.split('T');
-    if (parts.length > 1 && parts[1].includes(':')) {
-      timeToParse = parts[1].substring(0, 5); // Extract HH:MM
-    } else {
-      console.error(`Invalid ISO time string format in getNextOccurrenceFrom: '${timeStr}'. Cannot extract time.`);
-      return null;
-    }
-  }
-
-  const [hStr, mStr] = timeToParse.split(":");
-  const h = parseInt(hStr, 10);
-  const m = parseInt(mStr, 10);
-
-  if (isNaN(h) || isNaN(m) || h < 0 || h > 23 || m < 0 || m > 59) {
-    console.error(`Invalid time string in getNextOccurrenceFrom: '${timeStr}'. Cannot calculate next occurrence.`);
-    return null;
+function recordOffAlarmRun(schedules, schedule) {
+  const now = Date.now();
+  schedule.lastRun = now;
+  schedule.runCount = (schedule.runCount || 0) + 1;
+  if (isScheduleExpired(schedule, now)) {
+    schedule.archived = true;
+    schedule.archivedAt = now;
   }
+  return schedule.repeat === "once" ? schedules.filter(s => s.id !== schedule.id) : schedules;
+}
 
-  const _fromDate = new Date(fromTimestamp);
-  let next = new Date(fromTimestamp); 
-  next.setHours(h, m, 0, 0);
-
-  // If the calculated time on the same day as fromTimestamp is <= fromTimestamp, advance to the next day.
-  if (isNaN(next.getTime()) || next.getTime() <= fromTimestamp) { // Added isNaN check for safety
-    if (isNaN(next.getTime())) { // If date became invalid
-        next = new Date(fromTimestamp); // Reset to a valid date before advancing
-    }
-    next.setDate(next.getDate() + 1);
-    next.setHours(h, m, 0, 0); // Re-apply time for the new day
-  }
-  
-  if (isNaN(next.getTime())) {
-      console.error(`Date became invalid in getNextOccurrenceFrom for time '${timeStr}'.`);
-      return null;
-  }
-  return next.getTime();
+/**
+ * Shows the reminder for a schedule's upcoming run, unless the schedule has since been paused or archived.
+ * The run's fire time is read from the run alarm itself, so it's exact even for jittered schedules.
+ * @param {Alarm} alarm - The reminder alarm that fired.
+ */
+function remindOfRun(alarm) {
+  const runAlarmName = getRemindedAlarmName(alarm.name);
+  chrome.storage.sync.get(["schedules"], (result) => {
+    const schedule = (result.schedules || []).find(s => isScheduleAlarm(s, runAlarmName) && !s.archived && !isSchedulePaused(s));
+    if (!schedule) return;
+    chrome.alarms.get(runAlarmName, (runAlarm) => {
+      if (runAlarm && runAlarm.scheduledTime > getSkippedThrough(schedule)) {
+        showReminder(schedule, runAlarm.scheduledTime);
+      }
+    });
+  });
 }
 
 /**
- * Calculates the next weekly occurrence of a given time on specified days of the week,
- * strictly after a specified timestamp.
- * Handles time strings in "HH:MM" format or ISO strings by extracting "HH:MM".
- * It finds the earliest possible time across all specified daysOfWeek that is after fromTimestamp.
- *
- * @param {string} timeStr - The time string, e.g., "14:30" or an ISO string.
- * @param {number[]} daysOfWeek - An array of day numbers (0 for Sunday, 1 for Monday, ..., 6 for Saturday).
- * @param {number} fromTimestamp - The timestamp (milliseconds since epoch) from which to calculate the next occurrence.
- * @returns {number|null} The timestamp of the earliest next weekly occurrence, or null if inputs are invalid or no valid occurrence is found.
+ * Carries out the answer to a reminder. Every answer takes the run off its alarm:
+ * - "open" runs the schedule now, records the run and marks the occurrence as opened early (`openedEarlyFor`).
+ * - "delay" skips the run (see `setSkipNextRun`) and sets an alarm to run it `REMINDER_DELAY_MINUTES` after
+ *   its scheduled time (see `runDelayedRun`).
+ * - "skip" skips the run.
+ * Answers given after the run has started are ignored.
+ * @param {string} notificationId - The reminder's notification ID.
+ * @param {string} action - "open", "delay" or "skip".
  */
-// Helper function to get the next weekly occurrence strictly AFTER a given timestamp
-function getNextWeeklyOccurrenceFrom(timeStr, daysOfWeek, fromTimestamp) {
-  let timeToParse = timeStr;
-  if (timeStr && timeStr.includes('T')) {
-    const parts = timeStr.split('T');
-    if (parts.length > 1 && parts[1].includes(':')) {
-      timeToParse = parts[1].substring(0, 5); // Extract HH:MM
+function answerReminder(notificationId, action) {
+  const { scheduleId, fireTime } = parseReminderNotification(notificationId);
+  chrome.notifications.clear(notificationId);
+  if (fireTime <= Date.now()) return;
+  chrome.storage.sync.get(["schedules"], async (result) => {
+    await loadExclusionCalendars();
+    let schedules = result.schedules || [];
+    const schedule = schedules.find(s => s.id === scheduleId && !s.archived && !isSchedulePaused(s));
+    if (!schedule) return;
+    if (action === "open") {
+      schedule.openedEarlyFor = Math.max(schedule.openedEarlyFor || 0, fireTime);
+      runSchedule(schedule, "alarm", occurrenceForFireTime(schedule, fireTime));
+      schedules = recordOffAlarmRun(schedules, schedule);
     } else {
-      console.error(`Invalid ISO time string format in getNextWeeklyOccurrenceFrom: '${timeStr}'. Cannot extract time.`);
-      return null;
+      schedule.skipUntil = Math.max(schedule.skipUntil || 0, fireTime);
+      if (action === "delay") {
+        schedule.delayedRunAt = fireTime + REMINDER_DELAY_MINUTES * 60 * 1000;
+        delayRun(schedule.id, schedule.delayedRunAt);
+      }
     }
-  }
-
-  const [hStr, mStr] = timeToParse.split(":");
-  const h = parseInt(hStr, 10);
-  const m = parseInt(mStr, 10);
-
-  if (isNaN(h) || isNaN(m) || h < 0 || h > 23 || m < 0 || m > 59) {
-    console.error(`Invalid time string in getNextWeeklyOccurrenceFrom: '${timeStr}'. Cannot calculate next occurrence.`);
-    return null;
-  }
-
-  let earliestNext = Infinity;
-  const baseDateForCalc = new Date(fromTimestamp); // Use this to determine current day for diff calculation
-
-  daysOfWeek.forEach(dayOfWeek => {
-    let next = new Date(fromTimestamp); // Start calculation from fromTimestamp
-    
-    // Set the time for the candidate 'next' date
-    next.setHours(h, m, 0, 0); 
+    // The storage change listener re-registers alarms, which drops the answered run's alarm
+    chrome.storage.sync.set({ schedules }, () => {
+      if (chrome.runtime.lastError) {
+        console.error('[Chronotab] Error saving schedules after a reminder:', chrome.runtime.lastError.message);
+      }
+    });
+  });
+}
 
-    // Calculate days to add to reach the target dayOfWeek from baseDateForCalc's day
-    const currentDayOfBase = baseDateForCalc.getDay();
-    let daysToAdd = (dayOfWeek - currentDayOfBase + 7) % 7;
-    
-    // Apply daysToAdd to a date starting from baseDateForCalc, then set time
-    let candidateDate = new Date(baseDateForCalc);
-    candidateDate.setDate(baseDateForCalc.getDate() + daysToAdd);
-    candidateDate.setHours(h, m, 0, 0);
-
-    // If this candidate is on or before fromTimestamp, it means we need the one in the *next* week
-    if (candidateDate.getTime() <= fromTimestamp) {
-      candidateDate.setDate(candidateDate.getDate() + 7);
-    }
-    
-    // Ensure candidateDate is valid before comparing
-    if (!isNaN(candidateDate.getTime()) && candidateDate.getTime() < earliestNext) {
-      earliestNext = candidateDate.getTime();
-    }
+/**
+ * Runs a schedule whose run was delayed from its reminder, and records the run.
+ * Nothing happens if the delay was cancelled in the meantime (see `setSkipNextRun`) or the schedule was paused.
+ * @param {string} scheduleId - The schedule ID.
+ */
+function runDelayedRun(scheduleId) {
+  chrome.storage.sync.get(["schedules"], async (result) => {
+    await loadExclusionCalendars();
+    let schedules = result.schedules || [];
+    const schedule = schedules.find(s => s.id === scheduleId && !s.archived && !isSchedulePaused(s));
+    if (!schedule || !schedule.delayedRunAt) return;
+    playAlert(schedule);
+    // Templates still expand for the run's original occurrence
+    runSchedule(schedule, "alarm", occurrenceForFireTime(schedule, schedule.skipUntil || schedule.delayedRunAt))
+      .then(outcome => notifyRun(schedule, outcome));
+    delete schedule.delayedRunAt;
+    schedules = recordOffAlarmRun(schedules, schedule);
+    chrome.storage.sync.set({ schedules }, () => {
+      if (chrome.runtime.lastError) {
+        console.error('[Chronotab] Error saving schedules after a delayed run:', chrome.runtime.lastError.message);
+      }
+    });
   });
-  // Check if earliestNext remained Infinity or became NaN
-  if (earliestNext === Infinity || isNaN(earliestNext)) {
-    return null;
-  }
-  return earliestNext;
 }
 
+// --- Scheduler logic inlined from src/utils/scheduler.js ---
+// [REMOVED INLINED SCHEDULER LOGIC - using imports now]
+// function registerAlarms() { ... }
+// function getNextOccurrence(timeStr) { ... }
+// function getNextWeeklyOccurrence(timeStr, dayOfWeek) { ... }
+// --- End scheduler logic ---
+
 /**
  * Utility to prune cleared missed alarms older than a defined period (currently 30 days).
  * Filters an array of cleared missed alarm objects, removing entries whose `clearedAt`
@@ -217,16 +307,48 @@ function pruneClearedMissedAlarms(clearedList) {
   return clearedList.filter(entry => (now - entry.clearedAt) < THIRTY_DAYS_MS);
 }
 
+/**
+ * Collapses the runs a schedule missed in one gap (e.g. while the browser was closed) into a single entry,
+ * so an every-15-minutes schedule produces one missed-run entry for a night offline rather than dozens.
+ * Runs are compared by their fire time with the schedule's jitter applied, so a run jittered to later
+ * than now isn't missed yet, and one that fired early isn't reported again.
+ *
+ * @param {object} schedule - The schedule.
+ * @param {number} since - The timestamp after which runs count as missed, usually the schedule's run floor (see `getRunFloor`).
+ * @param {number} now - The current timestamp.
+ * @returns {{missedRunTime: number, firstMissedRunTime: number, missedCount: number} | null}
+ *          The latest and earliest missed run and how many runs were missed, or null if none were.
+ *          `missedCount` stops at the recurrence engine's occurrence limit for very long gaps.
+ */
+function summarizeMissedRuns(schedule, since, now) {
+  const missedRunTimes = fireTimesBetween(schedule, since, now);
+  if (missedRunTimes.length === 0) {
+    return null;
+  }
+  let latest = missedRunTimes[missedRunTimes.length - 1];
+  if (missedRunTimes.length >= MAX_OCCURRENCES) {
+    // The list stopped early; the true latest run is found by looking back from now instead
+    const recent = fireTimesBetween(schedule, Math.max(since, now - 24 * 60 * 60 * 1000), now);
+    if (recent.length > 0) {
+      latest = recent[recent.length - 1];
+    }
+  }
+  return { missedRunTime: latest, firstMissedRunTime: missedRunTimes[0], missedCount: missedRunTimes.length };
+}
+
 /**
  * Checks for schedules that should have run while the extension was inactive (e.g., browser closed).
  * If missed alarms are enabled and found, it stores them in `chrome.storage.local`
  * and displays a notification to the user.
- * For recurring schedules, it identifies the latest missed instance.
+ * All runs a schedule missed are coalesced into one entry (see `summarizeMissedRuns`).
+ * Runs on dates excluded by a schedule's exclusion calendar were skipped on purpose and are not reported,
+ * and neither are runs the user skipped or that fell while the schedule was paused.
  * @async
  */
 async function checkMissedAlarmsOnStartup() {
   // console.log("checkMissedAlarmsOnStartup: Entered function.");
   try {
+    await loadExclusionCalendars();
     const settingsResult = await chrome.storage.sync.get(['chronotab_missed_alarms_enabled', 'schedules']);
     const missedAlarmsEnabled = settingsResult.chronotab_missed_alarms_enabled !== false; // Default true
 
@@ -247,47 +369,15 @@ async function checkMissedAlarmsOnStartup() {
     let missedAlarmsAccumulator = [];
 
     for (const schedule of schedules) {
-      if (!schedule.id) continue;
-
-      if (schedule.repeat === "once") {
-        if (schedule.calculatedWhen && schedule.calculatedWhen < now && (!schedule.lastRun || schedule.lastRun < schedule.calculatedWhen)) {
-          missedAlarmsAccumulator.push({
-            scheduleId: schedule.id,
-            scheduleName: schedule.name,
-            missedRunTime: schedule.calculatedWhen
-          });
-        }
-      } else { // Daily or Weekly
-        let lastActualRunTime = schedule.lastRun || 0;
-        let potentialNextRunTime = lastActualRunTime;
-        let latestMissedRunTimeToRecordForThisSchedule = null;
-
-        while (potentialNextRunTime < now) {
-          let calculatedNext;
-          if (schedule.repeat === "daily") {
-            calculatedNext = getNextOccurrenceFrom(schedule.time, potentialNextRunTime);
-          } else if (schedule.repeat === "weekly" && schedule.dayOfWeek && schedule.dayOfWeek.length > 0) {
-            calculatedNext = getNextWeeklyOccurrenceFrom(schedule.time, schedule.dayOfWeek, potentialNextRunTime);
-          } else {
-            break;
-          }
-
-          if (calculatedNext && calculatedNext < now) {
-            if (!schedule.lastRun || schedule.lastRun < calculatedNext) {
-              latestMissedRunTimeToRecordForThisSchedule = calculatedNext;
-            }
-            potentialNextRunTime = calculatedNext;
-          } else {
-            break;
-          }
-        }
-        if (latestMissedRunTimeToRecordForThisSchedule) {
-          missedAlarmsAccumulator.push({
-            scheduleId: schedule.id,
-            scheduleName: schedule.name,
-            missedRunTime: latestMissedRunTimeToRecordForThisSchedule
-          });
-        }
+      if (!schedule.id || isSchedulePaused(schedule)) continue;
+
+      const missed = summarizeMissedRuns(schedule, getRunFloor(schedule), now);
+      if (missed) {
+        missedAlarmsAccumulator.push({
+          scheduleId: schedule.id,
+          scheduleName: schedule.name,
+          ...missed
+        });
       }
     }
 
@@ -372,6 +462,8 @@ async function checkMissedAlarmsOnStartup() {
 
 /**
  * Listener for when the browser first starts up.
+ * Makes sure the clock-check alarm exists and re-registers alarms if the time zone changed while the browser was closed.
+ * Forgets the run sessions of the previous browser session, since their tab IDs are no longer valid (see `clearRuns`).
  * Calls `checkMissedAlarmsOnStartup` to handle any schedules missed while the browser was closed.
  * This function is asynchronous to allow `checkMissedAlarmsOnStartup` to complete its operations,
  * which may involve asynchronous calls to `chrome.storage`.
@@ -379,6 +471,13 @@ async function checkMissedAlarmsOnStartup() {
  */
 chrome.runtime.onStartup.addListener(async () => { // Make the listener async
   // console.log("onStartup: Listener fired.");
+  ensureClockCheckAlarm();
+  await checkForClockChanges();
+  try {
+    await clearRuns();
+  } catch (e) {
+    console.error("Error clearing runs on startup:", e);
+  }
   try {
     // console.log("onStartup: Calling checkMissedAlarmsOnStartup.");
     await checkMissedAlarmsOnStartup(); // Await the async function
@@ -390,16 +489,61 @@ chrome.runtime.onStartup.addListener(async () => { // Make the listener async
   }
 });
 
+/**
+ * Opens the tabs of a run the user confirmed, or that opened because its prompt went unanswered, and records the run
+ * (see `recordOffAlarmRun`). A "once" schedule was already removed when its alarm fired, so there's nothing to record.
+ * @param {import('./utils/prompts.js').Prompt | null} prompt - The answered prompt, or null if there's nothing to open.
+ * @param {boolean} [notify=false] - Announce the run (see `notifyRun`), for runs the user didn't start.
+ */
+function openPromptedRun(prompt, notify = false) {
+  if (!prompt) return;
+  runSchedule(prompt.schedule, prompt.source, prompt.occurrence).then(outcome => {
+    if (notify) notifyRun(prompt.schedule, outcome);
+  });
+  chrome.storage.sync.get(["schedules"], async (result) => {
+    await loadExclusionCalendars();
+    let schedules = result.schedules || [];
+    const schedule = schedules.find(s => s.id === prompt.schedule.id && !s.archived);
+    if (!schedule) return;
+    schedules = recordOffAlarmRun(schedules, schedule);
+    chrome.storage.sync.set({ schedules }, () => {
+      if (chrome.runtime.lastError) {
+        console.error('[Chronotab] Error saving schedules after a prompted run:', chrome.runtime.lastError.message);
+      }
+    });
+  });
+}
+
+/**
+ * Carries out the answer to a run prompt (see `handlePromptClick`). Skipping takes nothing more than dropping the prompt:
+ * its occurrence was recorded as prompted when the alarm fired (`promptedFor`), so it isn't reported as missed.
+ * @param {{action: string, prompt: import('./utils/prompts.js').Prompt} | null} answer - The answer, or null if there's none.
+ */
+function answerPrompt(answer) {
+  if (answer && answer.action === "open") {
+    openPromptedRun(answer.prompt);
+  }
+}
+
 /**
  * Listener for notification clicks.
  * If the clicked notification is for missed alarms ('missedAlarmsNotification'),
  * it opens the missed alarms page in a new tab and clears the notification.
+ * Clicking a run prompt (see `promptBeforeRun`) opens its tabs, and clicking a reminder runs the schedule now
+ * (see `answerReminder`).
+ * Clicking a run notification brings the run's tabs to the front (see `handleRunNotificationClick`).
  * @param {string} notificationId - The ID of the clicked notification.
  */
 chrome.notifications.onClicked.addListener((notificationId) => {
   if (notificationId === 'missedAlarmsNotification') {
     chrome.tabs.create({ url: chrome.runtime.getURL('index.html#/missed-alarms') });
     chrome.notifications.clear('missedAlarmsNotification');
+  } else if (isPromptId(notificationId)) {
+    handlePromptClick(notificationId).then(answerPrompt);
+  } else if (isReminderNotification(notificationId)) {
+    answerReminder(notificationId, "open");
+  } else if (isRunNotification(notificationId)) {
+    handleRunNotificationClick(notificationId);
   }
 });
 
@@ -407,6 +551,8 @@ chrome.notifications.onClicked.addListener((notificationId) => {
  * Listener for notification button clicks.
  * Specifically, if the button clicked belongs to the 'missedAlarmsNotification'
  * and has the 'reviewMissed' button index (0), it opens the missed alarms page.
+ * The buttons of a run prompt snooze or skip it (see `handlePromptClick`); those of a reminder
+ * delay or skip the run (see `answerReminder`).
  * @param {string} notificationId - The ID of the notification.
  * @param {number} buttonIndex - The index of the button clicked on the notification.
  */
@@ -414,6 +560,11 @@ chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) =
   if (notificationId === 'missedAlarmsNotification' && buttonIndex === 0) { // Assuming 'Review Missed Schedules' is the first button (index 0)
     chrome.tabs.create({ url: chrome.runtime.getURL('index.html#/missed-alarms') });
     chrome.notifications.clear('missedAlarmsNotification');
+  } else if (isPromptId(notificationId)) {
+    handlePromptClick(notificationId, buttonIndex).then(answerPrompt);
+  } else if (isReminderNotification(notificationId)) {
+    const action = getReminderAction(buttonIndex);
+    if (action) answerReminder(notificationId, action);
   }
 });
 
@@ -435,6 +586,7 @@ chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) =
  * Listener for messages from other parts of the extension (e.g., popup, options page).
  * Handles actions:
  * - `runMissedAlarm`: Runs a specified missed schedule, updates its lastRun time, and removes it if it's a 'once' schedule.
+ *   If the message includes `missedRunTime`, URL templates are expanded for that missed run.
  * - `clearMissedAlarmEntry`: Clears a single missed alarm entry from local storage and updates the schedule's lastRun time in sync storage.
  * - `clearAllMissedAlarms`: Clears all missed alarm entries from local storage and updates the lastRun times of the corresponding schedules in sync storage.
  * @param {MessageRequest} request - The message request object.
@@ -454,10 +606,12 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         
         if (scheduleIndex !== -1) {
            const scheduleToRun = schedulesToUpdate[scheduleIndex];
-           runSchedule(scheduleToRun); // Use imported function
+           // URL templates expand for the missed occurrence when the page says which one it was
+           const occurrence = typeof request.missedRunTime === 'number' ? occurrenceForFireTime(scheduleToRun, request.missedRunTime) : Date.now();
+           runSchedule(scheduleToRun, "missed", occurrence); // Use imported function
 
-          // Update lastRun for the schedule
-          schedulesToUpdate[scheduleIndex] = { ...scheduleToRun, lastRun: Date.now() };
+          // Update lastRun and the run count for the schedule
+          schedulesToUpdate[scheduleIndex] = { ...scheduleToRun, lastRun: Date.now(), runCount: (scheduleToRun.runCount || 0) + 1 };
 
           // If it was a "once" schedule, remove it
           if (scheduleToRun.repeat === "once") {
@@ -616,7 +770,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
  * It sets up the following:
  * - A parent menu "Add current page to Chronotab" (context: `page`) with options to:
  *   - "Create New Schedule..."
- *   - Add to existing schedules (if any are present).
+ *   - Add to existing schedules that open tabs (if any are present).
  * - A parent menu "Run Chronotab schedule now" (contexts: `action`, `browser_action`, `page`) with options to:
  *   - Run existing schedules (if any are present).
  *   - Shows "No schedules configured" (disabled) if none exist.
@@ -642,7 +796,8 @@ function createContextMenus() {
     });
 
     chrome.storage.sync.get(['schedules'], (result) => {
-      const schedules = result.schedules || [];
+      // Archived schedules no longer run, so they are left out of both menus
+      const schedules = (result.schedules || []).filter(s => !s.archived);
 
       // Populate "Add current page to Chronotab" (page context)
       // Always add "Create New Schedule..." option first
@@ -653,7 +808,9 @@ function createContextMenus() {
         contexts: ['page']
       });
 
-      if (schedules.length > 0) {
+      // Close and reload schedules have no URLs to add a page to
+      const openSchedules = schedules.filter(s => !s.action || s.action === "open");
+      if (openSchedules.length > 0) {
         // Add a separator if there are existing schedules to list below "Create New"
         chrome.contextMenus.create({
           id: 'chronotab-add-separator', 
@@ -662,7 +819,7 @@ function createContextMenus() {
           contexts: ['page']
         });
         // Add options to add to existing schedules
-        schedules.forEach(schedule => {
+        openSchedules.forEach(schedule => {
           chrome.contextMenus.create({
             id: `chronotab-add-to-schedule-${schedule.id}`,
             parentId: 'chronotab-add-to-schedule',
@@ -745,8 +902,9 @@ chrome.contextMenus.onClicked.addListener((info, tab) => {
             });
             return;
           }
-          if (!schedules[idx].urls.includes(tab.url)) {
-            schedules[idx].urls.push(tab.url);
+          const urlEntries = normalizeUrlEntries(schedules[idx].urls);
+          if (!urlEntries.some(entry => entry.url === tab.url)) {
+            schedules[idx].urls = [...urlEntries, { url: tab.url }];
             chrome.storage.sync.set({ schedules }, () => {
               chrome.notifications.create({
                 type: 'basic',
@@ -774,7 +932,7 @@ chrome.contextMenus.onClicked.addListener((info, tab) => {
       const schedules = result.schedules || [];
       const scheduleToRun = schedules.find(s => s.id === scheduleId);
       if (scheduleToRun) {
-        runSchedule(scheduleToRun); // Use imported function
+        runSchedule(scheduleToRun, "contextMenu"); // Use imported function
       }
     });
   } else if (info.menuItemId === "open-chronotab") {
@@ -792,7 +950,8 @@ chrome.contextMenus.onClicked.addListener((info, tab) => {
 /**
  * Listener for when the extension is first installed, updated to a new version,
  * or when Chrome is updated to a new version.
- * It re-registers all alarms, recreates context menus, and initializes the
+ * It migrates stored schedules to the current schema (see `runMigrations`), re-registers all alarms,
+ * recreates context menus, starts the clock-check alarm, and initializes the
  * `chronotab_missed_alarms_enabled` setting to true if it's not already set.
  * If the reason for installation is "install" or "update", it also calls `checkMissedAlarmsOnStartup`.
  * This function is asynchronous to allow `checkMissedAlarmsOnStartup` and storage operations to complete.
@@ -803,9 +962,12 @@ chrome.contextMenus.onClicked.addListener((info, tab) => {
 chrome.runtime.onInstalled.addListener(async (details) => {
   // console.log(`onInstalled: Listener fired. Reason: ${details.reason}`); // <-- ADDED LOG
   try {
+    await runMigrations();
     // console.log("onInstalled: Calling registerAlarms and createContextMenus."); // <-- ADDED LOG
     registerAlarms();
     createContextMenus();
+    ensureClockCheckAlarm();
+    await checkForClockChanges();
     // console.log("onInstalled: registerAlarms and createContextMenus completed."); // <-- ADDED LOG
 
     const result = await chrome.storage.sync.get('chronotab_missed_alarms_enabled');
@@ -840,6 +1002,7 @@ chrome.runtime.onInstalled.addListener(async (details) => {
  * Listener for changes in the `chrome.storage` area.
  * If schedules in `chrome.storage.sync` are changed, it re-registers alarms
  * and recreates context menus to reflect the updated schedule list.
+ * If the exclusion calendars change, alarms are re-registered so they skip the new excluded dates.
  * @param {StorageChanges} changes - Object describing the changes made to storage items.
  * @param {string} area - The name of the storage area that changed ("sync", "local", or "managed").
  */
@@ -852,10 +1015,22 @@ chrome.storage.onChanged.addListener((changes, area) => {
     registerAlarms();
     createContextMenus(); // Assuming this function exists
   }
+  if (area === 'local' && changes[EXCLUSION_CALENDARS_KEY]) {
+    registerAlarms();
+  }
   // If the missed alarm setting changes, we don't need to do anything immediately,
   // the checkMissedAlarmsOnStartup will pick it up next time.
 });
 
+/**
+ * Listener for closed tabs. Removes the tab from the run session that opened it, if any (see `forgetTab`),
+ * so the dashboard's "Running now" list only shows tabs that are still open.
+ * @param {number} tabId - The ID of the closed tab.
+ */
+chrome.tabs.onRemoved.addListener((tabId) => {
+  forgetTab(tabId);
+});
+
 /**
  * Listener for when the extension's action icon (toolbar icon) is clicked.
  * Opens the main extension page (`index.html`) in a new tab.
@@ -0,0 +1,182 @@
+import React from "react";
+import { parseRRule, formatRRule, RRULE_WEEKDAYS } from "../utils/rrule";
+
+const MONTHS = ["January", "February", "March", "April", "May", "June", "July", "August", "September", "October", "November", "December"];
+const ORDINALS = [
+  { value: 1, label: "first" },
+  { value: 2, label: "second" },
+  { value: 3, label: "third" },
+  { value: 4, label: "fourth" },
+  { value: -1, label: "last" },
+];
+const DAY_KINDS = [
+  { value: "MO", label: "Monday" },
+  { value: "TU", label: "Tuesday" },
+  { value: "WE", label: "Wednesday" },
+  { value: "TH", label: "Thursday" },
+  { value: "FR", label: "Friday" },
+  { value: "SA", label: "Saturday" },
+  { value: "SU", label: "Sunday" },
+  { value: "WEEKDAY", label: "business day" },
+  { value: "DAY", label: "day" },
+];
+const DAY_KIND_WEEKDAYS = {
+  WEEKDAY: [1, 2, 3, 4, 5],
+  DAY: [1, 2, 3, 4, 5, 6, 7],
+};
+
+const inputClass = "rounded-md border border-border bg-input px-2 py-1 text-foreground focus:outline-none focus:ring-2 focus:ring-ring";
+
+/**
+ * Maps a rule string onto the simple form this component edits.
+ * Returns null if the rule uses combinations the form cannot represent (e.g. several month days).
+ *
+ * @param {string} value - The rule string.
+ * @returns {object | null} The form state, or null if the rule is not representable.
+ */
+function toFormState(value) {
+  let rule;
+  try {
+    rule = parseRRule(value);
+  } catch {
+    return null;
+  }
+  if (rule.byMonth.length > 1) return null;
+  const state = { freq: rule.freq, interval: rule.interval, month: rule.byMonth[0] || 1 };
+
+  if (rule.byMonthDay.length === 1 && rule.byMonthDay[0] >= -1 && !rule.byDay.length && !rule.bySetPos.length) {
+    return { ...state, mode: "monthDay", monthDay: rule.byMonthDay[0], ordinal: 1, dayKind: "MO" };
+  }
+  if (!rule.byMonthDay.length && rule.byDay.length && rule.bySetPos.length === 1 && rule.byDay.every(d => d.ordinal === null)) {
+    const weekdays = rule.byDay.map(d => d.weekday).sort((a, b) => a - b).join(",");
+    let dayKind = null;
+    if (rule.byDay.length === 1) dayKind = RRULE_WEEKDAYS[rule.byDay[0].weekday - 1];
+    else if (weekdays === DAY_KIND_WEEKDAYS.WEEKDAY.join(",")) dayKind = "WEEKDAY";
+    else if (weekdays === DAY_KIND_WEEKDAYS.DAY.join(",")) dayKind = "DAY";
+    if (dayKind && ORDINALS.some(o => o.value === rule.bySetPos[0])) {
+      return { ...state, mode: "nthDay", monthDay: 1, ordinal: rule.bySetPos[0], dayKind };
+    }
+  }
+  return null;
+}
+
+/**
+ * Converts the form state back into a rule string.
+ * "The first Monday" is written as BYDAY=MO;BYSETPOS=1 so that named days and day groups
+ * (business days, any day) share one representation.
+ *
+ * @param {object} state - The form state produced by {@link toFormState}.
+ * @returns {string} The rule string.
+ */
+function fromFormState(state) {
+  const rule = { freq: state.freq, interval: state.interval, byMonth: [], byMonthDay: [], byDay: [], bySetPos: [] };
+  if (state.freq === "YEARLY") {
+    rule.byMonth = [state.month];
+  }
+  if (state.mode === "monthDay") {
+    rule.byMonthDay = [state.monthDay];
+  } else {
+    const weekdays = DAY_KIND_WEEKDAYS[state.dayKind] || [RRULE_WEEKDAYS.indexOf(state.dayKind) + 1];
+    rule.byDay = weekdays.map(weekday => ({ weekday, ordinal: null }));
+    rule.bySetPos = [state.ordinal];
+  }
+  return formatRRule(rule);
+}
+
+/**
+ * Form controls for the recurrence rule of a "monthly" or "yearly" schedule.
+ * Supports "day N of the month" (including the last day) and "the Nth weekday / business day / day",
+ * an interval, and for yearly rules the month. Rules imported from elsewhere that don't fit these
+ * shapes are shown as editable text instead.
+ *
+ * @param {object} props - The component's props.
+ * @param {string} props.value - The current rule string.
+ * @param {function(string): void} props.onChange - Called with the new rule string whenever a control changes.
+ * @returns {JSX.Element} The recurrence rule controls.
+ */
+const RecurrenceRuleFields = ({ value, onChange }) => {
+  const state = toFormState(value);
+
+  if (!state) {
+    return (
+      <div>
+        <label htmlFor="rrule" className="block text-sm font-medium text-foreground mb-1">Recurrence Rule</label>
+        <input
+          type="text"
+          id="rrule"
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          spellCheck={false}
+          className={`w-full font-mono ${inputClass}`}
+        />
+        <p className="mt-1 text-xs text-muted-foreground">This rule can&apos;t be edited with the simple controls. Edit it as text.</p>
+      </div>
+    );
+  }
+
+  const update = (changes) => onChange(fromFormState({ ...state, ...changes }));
+  const unit = state.freq === "YEARLY" ? "year" : "month";
+
+  return (
+    <div className="space-y-2 text-sm text-foreground">
+      <div className="flex items-center flex-wrap gap-2">
+        <span>Every</span>
+        <input
+          type="number"
+          min={1}
+          max={1000}
+          value={state.interval}
+          onChange={(e) => update({ interval: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+          className={`w-16 ${inputClass}`}
+          aria-label={`Interval in ${unit}s`}
+        />
+        <span>{unit}{state.interval === 1 ? "" : "s"}</span>
+        {state.freq === "YEARLY" && (
+          <>
+            <span>in</span>
+            <select value={state.month} onChange={(e) => update({ month: parseInt(e.target.value, 10) })} className={inputClass} aria-label="Month">
+              {MONTHS.map((month, index) => <option key={month} value={index + 1}>{month}</option>)}
+            </select>
+          </>
+        )}
+      </div>
+
+      <label className="flex items-center flex-wrap gap-2">
+        <input type="radio" name="rrule-mode" checked={state.mode === "monthDay"} onChange={() => update({ mode: "monthDay" })} />
+        <span>On day</span>
+        <select
+          value={state.monthDay}
+          onChange={(e) => update({ mode: "monthDay", monthDay: parseInt(e.target.value, 10) })}
+          className={inputClass}
+          aria-label="Day of the month"
+        >
+          {Array.from({ length: 31 }, (_, i) => <option key={i + 1} value={i + 1}>{i + 1}</option>)}
+          <option value={-1}>Last</option>
+        </select>
+      </label>
+
+      <label className="flex items-center flex-wrap gap-2">
+        <input type="radio" name="rrule-mode" checked={state.mode === "nthDay"} onChange={() => update({ mode: "nthDay" })} />
+        <span>On the</span>
+        <select
+          value={state.ordinal}
+          onChange={(e) => update({ mode: "nthDay", ordinal: parseInt(e.target.value, 10) })}
+          className={inputClass}
+          aria-label="Which occurrence"
+        >
+          {ORDINALS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+        </select>
+        <select
+          value={state.dayKind}
+          onChange={(e) => update({ mode: "nthDay", dayKind: e.target.value })}
+          className={inputClass}
+          aria-label="Day"
+        >
+          {DAY_KINDS.map(d => <option key={d.value} value={d.value}>{d.label}</option>)}
+        </select>
+      </label>
+    </div>
+  );
+};
+
+export default RecurrenceRuleFields;
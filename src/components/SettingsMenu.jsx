@@ -1,10 +1,26 @@
 import React, { useEffect, useState, useRef } from "react";
 import { Button } from "./ui/button";
 import { exportAllSchedules, importAllSchedules } from "../utils/scheduler";
+import { NOTIFICATION_SETTINGS_KEY, DEFAULT_NOTIFICATION_SETTINGS } from "../utils/notifications";
+import { ALERTS_MUTED_KEY, MAX_CUSTOM_SOUND_BYTES, getCustomSounds, addCustomSound, removeCustomSound } from "../utils/alerts";
 
 const THEME_KEY = "chronotab_theme";
 const MISSED_ALARMS_KEY = "chronotab_missed_alarms_enabled";
 
+const NOTIFICATION_MODE_LABELS = {
+  none: "None",
+  summary: "One summary per run",
+  list: "List of opened pages",
+};
+
+const NOTIFICATION_PRIORITY_LABELS = {
+  "-2": "Lowest",
+  "-1": "Low",
+  "0": "Normal",
+  "1": "High",
+  "2": "Highest",
+};
+
 /**
  * Determines the system's preferred color scheme (dark or light).
  * Uses `window.matchMedia` to check the `prefers-color-scheme` media query.
@@ -50,8 +66,11 @@ function getSystemTheme() {
  * Provides UI for managing application settings, including:
  * - Theme selection (auto, light, dark).
  * - Toggling notifications for missed schedules.
+ * - How schedule runs are announced: notification mode, priority and whether notifications stay until dismissed.
+ * - Muting every schedule's alert sound and spoken announcement, and managing uploaded alert sounds.
  * - Exporting all schedules to a JSON file.
  * - Importing schedules from a JSON file.
+ * - Opening the exclusion calendars page.
  *
  * @param {object} props - The component's props.
  * @param {function} props.onClose - Callback function to close the settings menu.
@@ -60,13 +79,19 @@ function getSystemTheme() {
 const SettingsMenu = ({ onClose }) => {
   const [theme, setTheme] = useState("auto");
   const [missedAlarmsEnabled, setMissedAlarmsEnabled] = useState(true);
+  const [notificationSettings, setNotificationSettings] = useState(DEFAULT_NOTIFICATION_SETTINGS);
+  const [alertsMuted, setAlertsMuted] = useState(false);
+  const [customSounds, setCustomSounds] = useState([]);
   const fileInputRef = useRef(null); // Ref for file input
+  const soundInputRef = useRef(null);
 
   useEffect(() => {
     // Load theme from chrome.storage or localStorage
     if (window.chrome && chrome.storage && chrome.storage.sync) {
-      chrome.storage.sync.get([THEME_KEY, MISSED_ALARMS_KEY], (result) => {
+      chrome.storage.sync.get([THEME_KEY, MISSED_ALARMS_KEY, NOTIFICATION_SETTINGS_KEY, ALERTS_MUTED_KEY], (result) => {
         setTheme(result[THEME_KEY] || "auto");
+        setAlertsMuted(result[ALERTS_MUTED_KEY] === true);
+        setNotificationSettings({ ...DEFAULT_NOTIFICATION_SETTINGS, ...(result[NOTIFICATION_SETTINGS_KEY] || {}) });
         if (typeof result[MISSED_ALARMS_KEY] === 'boolean') {
           setMissedAlarmsEnabled(result[MISSED_ALARMS_KEY]);
         } else {
@@ -112,6 +137,58 @@ const SettingsMenu = ({ onClose }) => {
     }
   };
 
+  useEffect(() => {
+    if (window.chrome && chrome.storage && chrome.storage.local) {
+      getCustomSounds().then(setCustomSounds).catch(error => console.error("Error loading custom sounds:", error));
+    }
+  }, []);
+
+  const handleAlertsMutedToggle = (e) => {
+    const isMuted = e.target.checked;
+    setAlertsMuted(isMuted);
+    if (window.chrome && chrome.storage && chrome.storage.sync) {
+      chrome.storage.sync.set({ [ALERTS_MUTED_KEY]: isMuted });
+    }
+  };
+
+  const handleSoundSelected = (event) => {
+    const file = event.target.files[0];
+    event.target.value = null; // Reset file input
+    if (!file) return;
+    if (file.size > MAX_CUSTOM_SOUND_BYTES) {
+      alert(`Sound files can be at most ${MAX_CUSTOM_SOUND_BYTES / (1024 * 1024)} MB.`);
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = async (e) => {
+      try {
+        const sound = await addCustomSound(file.name.replace(/\.[^.]+$/, ""), e.target.result);
+        setCustomSounds(sounds => [...sounds, sound]);
+      } catch (error) {
+        console.error("Error saving custom sound:", error);
+        alert("Error saving the sound. Extension storage may be full.");
+      }
+    };
+    reader.readAsDataURL(file);
+  };
+
+  const handleRemoveSound = async (soundId) => {
+    try {
+      await removeCustomSound(soundId);
+      setCustomSounds(sounds => sounds.filter(sound => sound.id !== soundId));
+    } catch (error) {
+      console.error("Error removing custom sound:", error);
+    }
+  };
+
+  const handleNotificationSettingChange = (key, value) => {
+    const updated = { ...notificationSettings, [key]: value };
+    setNotificationSettings(updated);
+    if (window.chrome && chrome.storage && chrome.storage.sync) {
+      chrome.storage.sync.set({ [NOTIFICATION_SETTINGS_KEY]: updated });
+    }
+  };
+
   const handleExportAll = async () => {
     try {
       const schedulesJson = await exportAllSchedules();
@@ -201,6 +278,85 @@ const SettingsMenu = ({ onClose }) => {
           </label>
         </div>
 
+        <div className="mb-4">
+          <label className="block text-sm font-semibold mb-1 text-foreground">Run Notifications</label>
+          <div className="flex space-x-2">
+            <select
+              className="flex-1 min-w-0 rounded-lg border border-border bg-background text-foreground px-3 py-2 focus:outline-none focus:ring-2 focus:ring-ring text-sm"
+              value={notificationSettings.mode}
+              onChange={(e) => handleNotificationSettingChange("mode", e.target.value)}
+              aria-label="Notification type"
+            >
+              {Object.entries(NOTIFICATION_MODE_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <select
+              className="w-28 rounded-lg border border-border bg-background text-foreground px-3 py-2 focus:outline-none focus:ring-2 focus:ring-ring text-sm"
+              value={String(notificationSettings.priority)}
+              onChange={(e) => handleNotificationSettingChange("priority", parseInt(e.target.value, 10))}
+              aria-label="Notification priority"
+              disabled={notificationSettings.mode === "none"}
+            >
+              {Object.entries(NOTIFICATION_PRIORITY_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <label className="mt-2 flex items-center space-x-3 cursor-pointer">
+            <input
+              type="checkbox"
+              className="form-checkbox h-5 w-5 text-primary rounded border-border focus:ring-primary focus:ring-offset-0"
+              checked={notificationSettings.requireInteraction}
+              onChange={(e) => handleNotificationSettingChange("requireInteraction", e.target.checked)}
+              disabled={notificationSettings.mode === "none"}
+            />
+            <span className="text-sm text-foreground">Keep on screen until dismissed</span>
+          </label>
+          <p className="mt-1 text-xs text-muted-foreground">Schedules can override these. Click a notification to bring the run&apos;s tabs to the front.</p>
+        </div>
+
+        <div className="mb-4">
+          <label className="flex items-center space-x-3 cursor-pointer">
+            <input
+              type="checkbox"
+              className="form-checkbox h-5 w-5 text-primary rounded border-border focus:ring-primary focus:ring-offset-0"
+              checked={alertsMuted}
+              onChange={handleAlertsMutedToggle}
+            />
+            <span className="text-sm font-semibold text-foreground">Mute alert sounds and speech</span>
+          </label>
+          <div className="mt-2">
+            <span className="block text-sm text-foreground mb-1">Custom Sounds</span>
+            {customSounds.length > 0 && (
+              <ul className="mb-2 space-y-1">
+                {customSounds.map(sound => (
+                  <li key={sound.id} className="flex items-center justify-between text-sm text-foreground">
+                    <span className="truncate" title={sound.name}>{sound.name}</span>
+                    <button
+                      type="button"
+                      className="text-xs text-red-500 hover:text-red-400 cursor-pointer"
+                      onClick={() => handleRemoveSound(sound.id)}
+                    >
+                      Remove
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <Button variant="outline" className="w-full" onClick={() => soundInputRef.current.click()}>
+              Upload Sound
+            </Button>
+            <input
+              type="file"
+              ref={soundInputRef}
+              accept="audio/*"
+              style={{ display: "none" }}
+              onChange={handleSoundSelected}
+            />
+          </div>
+        </div>
+
         {/* Import/Export All Schedules */}
         <div className="mt-6 pt-4 border-t border-border">
           <h3 className="text-md font-semibold mb-2 text-foreground">Manage All Schedules</h3>
@@ -221,6 +377,13 @@ const SettingsMenu = ({ onClose }) => {
           </div>
         </div>
 
+        <div className="mt-6 pt-4 border-t border-border">
+          <h3 className="text-md font-semibold mb-2 text-foreground">Exclusion Calendars</h3>
+          <Button variant="outline" className="w-full" onClick={() => { onClose(); window.location.hash = "#/calendars"; }}>
+            Manage Holidays &amp; Excluded Dates
+          </Button>
+        </div>
+
         <Button variant="outline" className="w-full mt-6" onClick={onClose}>Close</Button>
       </div>
     </div>
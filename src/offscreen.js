@@ -0,0 +1,19 @@
+// Chronotab offscreen document: plays alert sounds for the background service worker, which can't play audio itself
+import { playSound } from './utils/alerts.js';
+
+/**
+ * Listener for messages from the service worker. Handles `playSound` messages addressed to the offscreen document
+ * and answers once the sound has finished, so the service worker can wait before speaking.
+ * Messages for other parts of the extension are ignored.
+ * @param {{target: string, action: string, sound: string, volume: number, dataUrl?: string}} message - The message.
+ * @param {object} sender - The sender.
+ * @param {function(): void} sendResponse - Called once the sound has played.
+ * @returns {boolean | undefined} True to answer asynchronously.
+ */
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (!message || message.target !== 'offscreen' || message.action !== 'playSound') return undefined;
+  playSound(message.sound, message.volume, message.dataUrl)
+    .catch(error => console.error('[Chronotab] Error playing alert sound:', error))
+    .finally(() => sendResponse());
+  return true;
+});
@@ -6,84 +6,121 @@ import SettingsMenu from "../components/SettingsMenu";
 // MODIFIED: Added Pencil, Trash2 icons and Tooltip components
 // MODIFIED: Added AlertTriangle icon
 // MODIFIED: Added Plus icon
-import { Settings, Link, CalendarDays, Repeat, Play, Pencil, Trash2, AlertTriangle, Plus } from 'lucide-react';
+import { Settings, Link, CalendarDays, Repeat, Play, Pencil, Trash2, AlertTriangle, Plus, Flag, Archive, CalendarX, Activity, AppWindow, X, Pause, CirclePlay, SkipForward } from 'lucide-react';
 import {
   Tooltip,
   TooltipContent,
   TooltipProvider,
   TooltipTrigger,
 } from "@/components/ui/tooltip"; // Assuming ShadCN UI tooltip path
-import { runSchedule } from "../utils/scheduler"; // Import runSchedule
+import { runSchedule, isSchedulePaused, setSchedulePaused, setSkipNextRun, isSkippingNextRun, getSkippedThrough } from "../utils/scheduler";
+import { nextFireTime, getTimeSlots } from "../utils/recurrence";
+import { describeRRule } from "../utils/rrule";
+import { loadExclusionCalendars, EXCLUSION_CALENDARS_KEY } from "../utils/calendars";
+import { getRuns, closeRunTabs, focusRunTabs, focusTab, RUNS_KEY } from "../utils/runs";
+import { getRotationStates, getNextRotationEntry, getSelectionMode, ROTATION_STATE_KEY } from "../utils/rotation";
+import { normalizeUrlEntries } from "../utils/tabs";
+
+// How each run trigger is described in the "Running now" list
+const RUN_SOURCE_LABELS = {
+  alarm: "on schedule",
+  missed: "as a missed run",
+  manual: "with Run Now",
+  contextMenu: "from the context menu",
+};
 
 /**
- * Calculates the next occurrence date and time for a given schedule.
- * Uses Luxon for date/time manipulations.
+ * Returns a short label for a tab URL: its host name, or the URL itself if it can't be parsed.
  *
- * @param {Schedule} schedule - The schedule object.
- * @returns {DateTime | null} A Luxon DateTime object representing the next occurrence, or null if not applicable (e.g., a past "once" schedule).
+ * @param {string} url - The URL.
+ * @returns {string} The label.
  */
-function getNextOccurrenceDate(schedule) {
-  const now = DateTime.local();
-  // Ensure schedule.time is in the expected YYYY-MM-DDTHH:mm format
-  if (!schedule.time || !schedule.time.includes('T')) {
-    // console.warn("Invalid or old time format for schedule:", schedule.name, schedule.time);
-    return null; // Or handle as an error, or try to migrate
-  }
-
-  const scheduledDateTime = DateTime.fromISO(schedule.time);
-
-  if (schedule.repeat === "once") {
-    return scheduledDateTime > now ? scheduledDateTime : null; // Only if it's in the future
+function getTabLabel(url) {
+  try {
+    return new URL(url).hostname || url;
+  } catch {
+    return url;
   }
+}
 
-  if (schedule.repeat === "daily") {
-    let next = scheduledDateTime;
-    while (next <= now) {
-      next = next.plus({ days: 1 });
-    }
-    return next;
-  }
+/**
+ * Describes which URL a schedule that opens one URL per run opens next, e.g. ", next: example.com/reviews".
+ *
+ * @param {Schedule} schedule - The schedule object.
+ * @param {object} [rotationState] - The schedule's stored rotation state.
+ * @returns {string} The description, or an empty string for schedules that open all their URLs.
+ */
+function describeRotation(schedule, rotationState) {
+  if (getSelectionMode(schedule) === "all") return "";
+  const nextEntry = getNextRotationEntry(schedule, normalizeUrlEntries(schedule.urls), rotationState);
+  return nextEntry ? `, next: ${nextEntry.url.replace(/^https?:\/\//, "")}` : ", one at random";
+}
 
-  if (schedule.repeat === "weekly") {
-    let soonestNext = null;
-    // Iterate through each selected day of the week
-    schedule.dayOfWeek.forEach(dow => {
-      // Luxon weekdays are 1 (Mon) to 7 (Sun)
-      let nextOccurrence = scheduledDateTime;
-      // Adjust to the correct day of the week for the first occurrence
-      while (nextOccurrence.weekday !== dow) {
-        nextOccurrence = nextOccurrence.plus({ days: 1 });
-      }
-      // If this first occurrence is in the past, find the next one for this DOW
-      while (nextOccurrence <= now) {
-        nextOccurrence = nextOccurrence.plus({ weeks: 1 });
-      }
-      if (!soonestNext || nextOccurrence < soonestNext) {
-        soonestNext = nextOccurrence;
-      }
-    });
-    return soonestNext;
-  }
-  return null;
+/**
+ * Calculates the next occurrence date and time for a given schedule.
+ * The calculation itself is done by the shared recurrence engine; this wraps the result for display.
+ * For schedules with jitter this is the randomized time the alarm actually fires.
+ * A run the user chose to skip or already opened early is passed over, unless it was delayed from its reminder;
+ * paused schedules have no next run.
+ *
+ * @param {Schedule} schedule - The schedule object.
+ * @param {DateTime} now - The current time.
+ * @returns {DateTime | null} A Luxon DateTime object in the local zone representing the next occurrence, or null if not applicable (e.g., a past "once" schedule).
+ */
+function getNextOccurrenceDate(schedule, now) {
+  if (isSchedulePaused(schedule)) return null;
+  if (schedule.delayedRunAt && schedule.delayedRunAt > now.toMillis()) return DateTime.fromMillis(schedule.delayedRunAt);
+  const next = nextFireTime(schedule, Math.max(now.toMillis(), getSkippedThrough(schedule)));
+  return next ? DateTime.fromMillis(next) : null;
 }
 
 /**
  * Returns the three-letter abbreviation for a given day index.
- * Assumes 0 for Sunday, 1 for Monday, etc.
+ * Days are stored as 1 for Monday through 7 for Sunday; 0 is also accepted for Sunday.
  *
- * @param {number} dayIndex - The index of the day (0-6).
+ * @param {number} dayIndex - The index of the day (0-7).
  * @returns {string} The abbreviation of the day (e.g., "Sun", "Mon").
  */
 function getDayAbbreviation(dayIndex) {
   const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-  // Adjust for Luxon's weekday (1=Mon, 7=Sun) vs typical array (0=Sun) if needed
-  // Or ensure schedule.dayOfWeek stores them in a way that's directly mappable
-  return days[dayIndex % 7]; // Simple modulo, might need adjustment based on storage
+  return days[dayIndex % 7]; // 7 (Sunday) wraps round to 0
+}
+
+/**
+ * Describes an "interval" schedule, e.g. "Every 45 min, 09:00–18:00, Mon, Tue".
+ *
+ * @param {Schedule} schedule - An interval schedule.
+ * @returns {string} The description.
+ */
+function describeInterval(schedule) {
+  const minutes = schedule.intervalMinutes;
+  const parts = [minutes % 60 === 0 ? `Every ${minutes / 60} h` : `Every ${minutes} min`];
+  if (schedule.windowStart && schedule.windowEnd) {
+    parts.push(`${schedule.windowStart}–${schedule.windowEnd}`);
+  }
+  if (schedule.dayOfWeek && schedule.dayOfWeek.length > 0) {
+    parts.push(schedule.dayOfWeek.map(day => getDayAbbreviation(day)).join(', '));
+  }
+  return parts.join(', ');
+}
+
+/**
+ * Formats the time(s) of day a schedule runs at, e.g. "9:00 AM" or "9:00 AM, 1:00 PM, 6:00 PM".
+ *
+ * @param {Schedule} schedule - The schedule object.
+ * @returns {string} The formatted times.
+ */
+function formatTimeSlots(schedule) {
+  const slots = getTimeSlots(schedule);
+  if (slots.length === 0) return "Invalid time";
+  return slots.map(slot => DateTime.fromFormat(slot, 'HH:mm').toLocaleString(DateTime.TIME_SIMPLE)).join(', ');
 }
 
 /**
  * Dashboard component for Chronotab.
  * Displays a list of schedules, their next run times, and controls to manage them (run, edit, delete).
+ * Schedules that reached their end date or run limit are listed separately under "Archived".
+ * Runs whose tabs are still open are listed under "Running now", where their tabs can be focused or closed.
  * Also provides access to the settings menu and a notification for missed schedules.
  *
  * @param {object} props - The component's props.
@@ -96,6 +133,9 @@ const Dashboard = ({ isPopup }) => {
   const [now, setNow] = useState(DateTime.local());
   const [showSettings, setShowSettings] = useState(false);
   const [missedSchedulesCount, setMissedSchedulesCount] = useState(0); // Added state for missed schedules count
+  const [calendars, setCalendars] = useState([]); // Exclusion calendars, registered so next runs skip excluded dates
+  const [runs, setRuns] = useState([]); // Run sessions whose tabs are still open
+  const [rotationStates, setRotationStates] = useState({}); // Rotation cursors of schedules that open one URL per run
 
   useEffect(() => {
     const loadSchedules = () => {
@@ -117,6 +157,11 @@ const Dashboard = ({ isPopup }) => {
     };
 
     loadSchedules(); // Initial load
+    if (window.chrome && chrome.storage) {
+      loadExclusionCalendars().then(setCalendars);
+      getRuns().then(setRuns).catch(error => console.error("[Chronotab] Error loading runs:", error));
+      getRotationStates().then(setRotationStates).catch(error => console.error("[Chronotab] Error loading rotation state:", error));
+    }
 
     // Listener for storage changes
     const storageChangedListener = (changes, area) => {
@@ -129,6 +174,15 @@ const Dashboard = ({ isPopup }) => {
         // console.log("Dashboard: Detected missed alarms data changes, reloading.");
         loadSchedules(); // Reload all data as missed count might affect display
       }
+      if (area === 'local' && changes[EXCLUSION_CALENDARS_KEY]) {
+        loadExclusionCalendars().then(setCalendars);
+      }
+      if (area === 'local' && changes[RUNS_KEY]) {
+        setRuns(changes[RUNS_KEY].newValue || []);
+      }
+      if (area === 'local' && changes[ROTATION_STATE_KEY]) {
+        setRotationStates(changes[ROTATION_STATE_KEY].newValue || {});
+      }
     };
 
     if (window.chrome && chrome.storage) {
@@ -156,6 +210,20 @@ const Dashboard = ({ isPopup }) => {
     chrome.storage.sync.set({ schedules: updated });
   };
 
+  const saveSchedule = (updatedSchedule) => {
+    const updated = schedules.map((s) => (s.id === updatedSchedule.id ? updatedSchedule : s));
+    setSchedules(updated);
+    chrome.storage.sync.set({ schedules: updated });
+  };
+
+  const handleTogglePause = (schedule) => {
+    saveSchedule(setSchedulePaused(schedule, !isSchedulePaused(schedule)));
+  };
+
+  const handleToggleSkip = (schedule) => {
+    saveSchedule(setSkipNextRun(schedule, !isSkippingNextRun(schedule)));
+  };
+
   const handleEdit = (id) => {
     window.location.hash = `#/edit/${id}`;
   };
@@ -164,12 +232,24 @@ const Dashboard = ({ isPopup }) => {
     if (window.chrome && chrome.runtime) {
       runSchedule(schedule);
     } else {
-      schedule.urls.forEach(url => {
-        chrome.tabs.create({ url: url, active: false });
+      schedule.urls.forEach(entry => {
+        chrome.tabs.create({ url: entry.url, active: false });
       });
     }
   };
 
+  const handleFocusTab = (tabId) => {
+    focusTab(tabId).catch(error => console.error("[Chronotab] Error switching to tab:", error));
+  };
+
+  const handleFocusRun = (runId) => {
+    focusRunTabs(runId).catch(error => console.error("[Chronotab] Error bringing run tabs to front:", error));
+  };
+
+  const handleCloseRun = (runId) => {
+    closeRunTabs(runId).catch(error => console.error("[Chronotab] Error closing run tabs:", error));
+  };
+
   /**
    * Calculates a human-readable countdown string to a target date.
    *
@@ -186,6 +266,9 @@ const Dashboard = ({ isPopup }) => {
     return `${Math.floor(diff.seconds)}s`;
   }
 
+  const activeSchedules = schedules.filter(s => !s.archived);
+  const archivedSchedules = schedules.filter(s => s.archived);
+
   return (
     <div className={`flex flex-col h-full ${isPopup ? 'p-2 pt-1' : 'p-4'}`}>
       {/* Header Section */}
@@ -230,15 +313,86 @@ const Dashboard = ({ isPopup }) => {
             </div>
           )}
 
+          {!loading && runs.length > 0 && (
+            <div className="mb-4">
+              <h2 className="text-sm font-semibold text-foreground flex items-center mb-2">
+                <Activity size={14} className="mr-2 text-green-500" />
+                Running now
+              </h2>
+              <ul className="space-y-2">
+                {runs.map((run) => (
+                  <li key={run.id} className="rounded-lg border border-border/50 px-3 py-2 text-sm">
+                    <div className="flex items-center justify-between space-x-2">
+                      <div className="min-w-0">
+                        <div className="truncate text-foreground" title={run.scheduleName}>{run.scheduleName}</div>
+                        <div className="text-xs text-muted-foreground">
+                          Opened {DateTime.fromMillis(run.startedAt).toLocaleString(DateTime.TIME_SIMPLE)} {RUN_SOURCE_LABELS[run.source] || ""}
+                          {run.closeAt && `, closes ${DateTime.fromMillis(run.closeAt).toLocaleString(DateTime.TIME_SIMPLE)}`}
+                        </div>
+                      </div>
+                      <div className="flex items-center space-x-1 flex-shrink-0">
+                        <Tooltip>
+                          <TooltipTrigger asChild>
+                            <Button
+                              variant="ghost"
+                              size="icon"
+                              onClick={() => handleFocusRun(run.id)}
+                              className="text-muted-foreground hover:text-foreground hover:bg-muted-foreground/10 w-8 h-8"
+                            >
+                              <AppWindow size={16} />
+                            </Button>
+                          </TooltipTrigger>
+                          <TooltipContent>
+                            <p>Bring to front</p>
+                          </TooltipContent>
+                        </Tooltip>
+                        <Tooltip>
+                          <TooltipTrigger asChild>
+                            <Button
+                              variant="ghost"
+                              size="icon"
+                              onClick={() => handleCloseRun(run.id)}
+                              className="text-red-500 hover:text-red-400 hover:bg-red-500/10 w-8 h-8"
+                            >
+                              <X size={16} />
+                            </Button>
+                          </TooltipTrigger>
+                          <TooltipContent>
+                            <p>Close all tabs</p>
+                          </TooltipContent>
+                        </Tooltip>
+                      </div>
+                    </div>
+                    <div className="mt-1 flex flex-wrap gap-1">
+                      {run.tabs.map((runTab) => (
+                        <button
+                          key={runTab.tabId}
+                          type="button"
+                          onClick={() => handleFocusTab(runTab.tabId)}
+                          title={runTab.url}
+                          className="max-w-full truncate rounded-md bg-muted px-2 py-0.5 text-xs text-muted-foreground hover:text-foreground cursor-pointer"
+                        >
+                          {getTabLabel(runTab.url)}
+                        </button>
+                      ))}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
           {loading ? (
             <div className="text-center text-muted-foreground py-4">Loading...</div>
-          ) : schedules.length === 0 && missedSchedulesCount === 0 ? ( // Also check missedSchedulesCount for this message
+          ) : activeSchedules.length === 0 && missedSchedulesCount === 0 ? ( // Also check missedSchedulesCount for this message
             <div className="text-center text-muted-foreground mb-6">No schedules yet.</div>
           ) : (
             // REMOVED inner TooltipProvider, as the outer one now covers this
             <ul className="space-y-3 mb-4">
-              {schedules.map((schedule) => {
-                const nextDate = getNextOccurrenceDate(schedule);
+              {activeSchedules.map((schedule) => {
+                const paused = isSchedulePaused(schedule);
+                const skipping = !paused && isSkippingNextRun(schedule, now.toMillis());
+                const nextDate = getNextOccurrenceDate(schedule, now);
                 const countdown = getCountdown(nextDate);
                 let countdownColor = "text-primary";
                 if (countdown === "Due") countdownColor = "text-destructive font-bold";
@@ -279,6 +433,38 @@ const Dashboard = ({ isPopup }) => {
                             <p>Run Now</p>
                           </TooltipContent>
                         </Tooltip>
+                        {!paused && schedule.repeat !== "once" && (
+                          <Tooltip>
+                            <TooltipTrigger asChild>
+                              <Button
+                                variant="ghost"
+                                size="icon"
+                                onClick={() => handleToggleSkip(schedule)}
+                                className={`${skipping ? "text-amber-500 hover:text-amber-400" : "text-muted-foreground hover:text-foreground"} hover:bg-muted-foreground/10 w-8 h-8`}
+                              >
+                                <SkipForward size={16} />
+                              </Button>
+                            </TooltipTrigger>
+                            <TooltipContent>
+                              <p>{skipping ? `Don't ${schedule.delayedRunAt ? "delay" : "skip"} next run` : "Skip next run"}</p>
+                            </TooltipContent>
+                          </Tooltip>
+                        )}
+                        <Tooltip>
+                          <TooltipTrigger asChild>
+                            <Button
+                              variant="ghost"
+                              size="icon"
+                              onClick={() => handleTogglePause(schedule)}
+                              className={`${paused ? "text-amber-500 hover:text-amber-400" : "text-muted-foreground hover:text-foreground"} hover:bg-muted-foreground/10 w-8 h-8`}
+                            >
+                              {paused ? <CirclePlay size={16} /> : <Pause size={16} />}
+                            </Button>
+                          </TooltipTrigger>
+                          <TooltipContent>
+                            <p>{paused ? "Resume" : "Pause"}</p>
+                          </TooltipContent>
+                        </Tooltip>
                         <Tooltip>
                           <TooltipTrigger asChild>
                             <Button
@@ -315,7 +501,20 @@ const Dashboard = ({ isPopup }) => {
                     <div className="text-xs text-muted-foreground space-y-1 pt-1 border-t border-border/30">
                       <div className="flex items-center">
                         <Link size={12} className="mr-2 text-sky-500" />
-                        <span>{schedule.urls.length} URL{schedule.urls.length === 1 ? '' : 's'}</span>
+                        {schedule.action && schedule.action !== "open" ? (
+                          <span className="truncate" title={(schedule.matchPatterns || []).join("\n")}>
+                            {schedule.action === "close" ? "Closes" : "Reloads"} tabs matching {(schedule.matchPatterns || []).join(", ")}
+                          </span>
+                        ) : (
+                          <span>
+                            {schedule.urls.length} URL{schedule.urls.length === 1 ? '' : 's'}
+                            {schedule.tabGroup && ` in group "${schedule.tabGroup.title || schedule.name}"`}
+                            {schedule.windowTarget && (schedule.windowTarget.type === "incognito" ? ", incognito window" : ", new window")}
+                            {schedule.autoClose && (schedule.autoClose.at ? `, closed at ${schedule.autoClose.at}` : `, closed after ${schedule.autoClose.afterMinutes} min`)}
+                            {describeRotation(schedule, rotationStates[schedule.id])}
+                            {schedule.confirmBeforeRun && ", asks first"}
+                          </span>
+                        )}
                       </div>
                       <div className="flex items-center">
                         <Repeat size={12} className="mr-2 text-green-500" />
@@ -323,9 +522,45 @@ const Dashboard = ({ isPopup }) => {
                           {schedule.repeat === "once" && "Once"}
                           {schedule.repeat === "daily" && "Daily"}
                           {schedule.repeat === "weekly" && `Weekly: ${schedule.dayOfWeek.map(day => getDayAbbreviation(day)).join(', ')}`}
-                          {' @ '}{schedule.time && schedule.time.includes('T') ? DateTime.fromISO(schedule.time).toLocaleString(DateTime.TIME_SIMPLE) : "Invalid time"}
+                          {(schedule.repeat === "monthly" || schedule.repeat === "yearly") && describeRRule(schedule.rrule)}
+                          {schedule.repeat === "cron" && <>Cron: <code>{schedule.cron}</code></>}
+                          {schedule.repeat === "interval" && describeInterval(schedule)}
+                          {schedule.repeat !== "cron" && schedule.repeat !== "interval" && <>{' @ '}{formatTimeSlots(schedule)}</>}
+                          {schedule.jitterMinutes && <>{' '}±{schedule.jitterMinutes} min</>}
+                          {schedule.timeZone && <>{' '}({schedule.timeZone})</>}
                         </span>
                       </div>
+                      {(schedule.endDate || schedule.maxRuns) && (
+                        <div className="flex items-center">
+                          <Flag size={12} className="mr-2 text-amber-500" />
+                          <span>
+                            {schedule.endDate && `Ends ${DateTime.fromISO(schedule.endDate).toLocaleString(DateTime.DATE_MED)}`}
+                            {schedule.endDate && schedule.maxRuns && " or "}
+                            {schedule.maxRuns && `${schedule.endDate ? "after" : "Ends after"} ${schedule.maxRuns} run${schedule.maxRuns === 1 ? '' : 's'} (${schedule.runCount || 0} so far)`}
+                          </span>
+                        </div>
+                      )}
+                      {schedule.exclusionCalendarId && calendars.some(c => c.id === schedule.exclusionCalendarId) && (
+                        <div className="flex items-center">
+                          <CalendarX size={12} className="mr-2 text-amber-500" />
+                          <span>Skips dates in {calendars.find(c => c.id === schedule.exclusionCalendarId).name}</span>
+                        </div>
+                      )}
+                      {paused && (
+                        <div className="flex items-center">
+                          <Pause size={12} className="mr-2 text-amber-500" />
+                          <span>Paused{schedule.pausedAt && ` since ${DateTime.fromMillis(schedule.pausedAt).toLocaleString(DateTime.DATETIME_MED)}`}</span>
+                        </div>
+                      )}
+                      {skipping && (
+                        <div className="flex items-center">
+                          <SkipForward size={12} className="mr-2 text-amber-500" />
+                          <span>
+                            {schedule.delayedRunAt ? "Delayed" : "Skipping"} next run ({DateTime.fromMillis(schedule.skipUntil).toLocaleString(DateTime.DATETIME_MED_WITH_WEEKDAY)})
+                            {schedule.delayedRunAt && ` to ${DateTime.fromMillis(schedule.delayedRunAt).toLocaleString(DateTime.TIME_SIMPLE)}`}
+                          </span>
+                        </div>
+                      )}
                       {nextDate && (
                         <div className="flex items-center">
                           <CalendarDays size={12} className="mr-2 text-purple-500" />
@@ -338,6 +573,59 @@ const Dashboard = ({ isPopup }) => {
               })}
             </ul>
           )}
+          {!loading && archivedSchedules.length > 0 && (
+            <details className="mb-4 text-sm">
+              <summary className="cursor-pointer text-muted-foreground hover:text-foreground flex items-center">
+                <Archive size={14} className="mr-2" />
+                Archived ({archivedSchedules.length})
+              </summary>
+              <ul className="mt-2 space-y-2">
+                {archivedSchedules.map((schedule) => (
+                  <li key={schedule.id} className="flex items-center justify-between space-x-2 rounded-lg border border-border/50 px-3 py-2 text-muted-foreground">
+                    <div className="min-w-0">
+                      <div className="truncate text-foreground" title={schedule.name}>{schedule.name}</div>
+                      <div className="text-xs">
+                        Ended {schedule.archivedAt ? DateTime.fromMillis(schedule.archivedAt).toLocaleString(DateTime.DATE_MED) : ""}
+                        {schedule.runCount ? ` after ${schedule.runCount} run${schedule.runCount === 1 ? '' : 's'}` : ""}
+                      </div>
+                    </div>
+                    <div className="flex items-center space-x-1 flex-shrink-0">
+                      <Tooltip>
+                        <TooltipTrigger asChild>
+                          <Button
+                            variant="ghost"
+                            size="icon"
+                            onClick={() => handleEdit(schedule.id)}
+                            className="text-muted-foreground hover:text-foreground hover:bg-muted-foreground/10 w-8 h-8"
+                          >
+                            <Pencil size={16} />
+                          </Button>
+                        </TooltipTrigger>
+                        <TooltipContent>
+                          <p>Edit to reactivate</p>
+                        </TooltipContent>
+                      </Tooltip>
+                      <Tooltip>
+                        <TooltipTrigger asChild>
+                          <Button
+                            variant="ghost"
+                            size="icon"
+                            onClick={() => handleDelete(schedule.id)}
+                            className="text-red-500 hover:text-red-400 hover:bg-red-500/10 w-8 h-8"
+                          >
+                            <Trash2 size={16} />
+                          </Button>
+                        </TooltipTrigger>
+                        <TooltipContent>
+                          <p>Delete</p>
+                        </TooltipContent>
+                      </Tooltip>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            </details>
+          )}
           <Button onClick={() => window.location.hash = "#/schedule/new"} className="w-full mt-auto">
             <Plus size={18} />
             Add New Schedule
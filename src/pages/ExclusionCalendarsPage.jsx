@@ -0,0 +1,316 @@
+import React, { useEffect, useState, useRef } from "react";
+import { Button } from "../components/ui/button";
+import { ArrowLeft, CalendarX, Plus, Trash2, Upload } from 'lucide-react';
+import { getExclusionCalendars, saveExclusionCalendars, parseIcs, isValidDateKey } from "../utils/calendars";
+
+/**
+ * Describes one exclusion entry for display, e.g. "2025-12-24 – 2025-12-26 (every year)" or "2025-06-02 (every year until 2027)".
+ *
+ * @param {import('../utils/calendars').ExclusionEntry} entry - The entry.
+ * @returns {string} The description.
+ */
+function describeEntry(entry) {
+  let text = entry.end ? `${entry.start} – ${entry.end}` : entry.start;
+  if (entry.yearly) text += entry.lastYear ? ` (every year until ${entry.lastYear})` : " (every year)";
+  return text;
+}
+
+/**
+ * Returns the key that identifies an entry's dates, so the same holiday isn't added twice.
+ *
+ * @param {import('../utils/calendars').ExclusionEntry} entry - The entry.
+ * @returns {string} The key.
+ */
+function entryKey(entry) {
+  return `${entry.start}|${entry.end || ""}|${entry.yearly ? `yearly${entry.lastYear || ""}` : ""}`;
+}
+
+/**
+ * ExclusionCalendarsPage component for Chronotab.
+ * Lets the user create, rename and delete exclusion calendars, add or remove excluded dates and date ranges,
+ * and import dates from an iCalendar (.ics) file. Schedules subscribed to a calendar don't run on its dates.
+ *
+ * @param {object} props - The component's props.
+ * @param {boolean} props.isPopup - Indicates if the component is being rendered in a popup window, affecting layout.
+ * @returns {JSX.Element} The exclusion calendars page component.
+ */
+const ExclusionCalendarsPage = ({ isPopup }) => {
+  const [calendars, setCalendars] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedId, setSelectedId] = useState(null);
+  const [newCalendarName, setNewCalendarName] = useState("");
+  const [entryStart, setEntryStart] = useState("");
+  const [entryEnd, setEntryEnd] = useState("");
+  const [entryLabel, setEntryLabel] = useState("");
+  const [entryYearly, setEntryYearly] = useState(false);
+  const [message, setMessage] = useState("");
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    if (window.chrome && chrome.storage) {
+      getExclusionCalendars()
+        .then((stored) => {
+          setCalendars(stored);
+          if (stored.length > 0) setSelectedId(stored[0].id);
+        })
+        .catch(error => console.error("Error loading exclusion calendars:", error))
+        .finally(() => setLoading(false));
+    } else {
+      setLoading(false);
+    }
+  }, []);
+
+  const selected = calendars.find(calendar => calendar.id === selectedId) || null;
+
+  const persist = (updated) => {
+    setCalendars(updated);
+    saveExclusionCalendars(updated).catch(error => {
+      console.error("Error saving exclusion calendars:", error);
+      setMessage("Could not save the calendars. See console for details.");
+    });
+  };
+
+  const updateSelected = (changes) => {
+    persist(calendars.map(calendar => (calendar.id === selectedId ? { ...calendar, ...changes } : calendar)));
+  };
+
+  // Renames are saved when the field loses focus, not on every keystroke
+  const handleRename = (name) => {
+    setCalendars(calendars.map(calendar => (calendar.id === selectedId ? { ...calendar, name } : calendar)));
+  };
+
+  /**
+   * Adds entries to the selected calendar, skipping any whose dates are already in it.
+   * @param {import('../utils/calendars').ExclusionEntry[]} entries - The entries to add.
+   * @returns {number} How many entries were added.
+   */
+  const addEntries = (entries) => {
+    const existing = new Set(selected.entries.map(entryKey));
+    const added = entries.filter(entry => !existing.has(entryKey(entry)));
+    if (added.length > 0) {
+      updateSelected({ entries: [...selected.entries, ...added].sort((a, b) => a.start.localeCompare(b.start)) });
+    }
+    return added.length;
+  };
+
+  const handleCreateCalendar = (e) => {
+    e.preventDefault();
+    const name = newCalendarName.trim();
+    if (!name) return;
+    const calendar = { id: crypto.randomUUID(), name, entries: [] };
+    persist([...calendars, calendar]);
+    setSelectedId(calendar.id);
+    setNewCalendarName("");
+    setMessage("");
+  };
+
+  const handleDeleteCalendar = () => {
+    if (!window.confirm(`Delete the calendar "${selected.name}"? Schedules using it will run on every date again.`)) return;
+    const remaining = calendars.filter(calendar => calendar.id !== selectedId);
+    persist(remaining);
+    setSelectedId(remaining.length > 0 ? remaining[0].id : null);
+    // Unsubscribe the schedules that used the deleted calendar
+    chrome.storage.sync.get(["schedules"], (result) => {
+      const schedules = result.schedules || [];
+      if (!schedules.some(schedule => schedule.exclusionCalendarId === selected.id)) return;
+      const updated = schedules.map(schedule => {
+        if (schedule.exclusionCalendarId !== selected.id) return schedule;
+        const { exclusionCalendarId: _exclusionCalendarId, ...rest } = schedule;
+        return rest;
+      });
+      chrome.storage.sync.set({ schedules: updated });
+    });
+  };
+
+  const handleAddEntry = (e) => {
+    e.preventDefault();
+    if (!isValidDateKey(entryStart) || (entryEnd && !isValidDateKey(entryEnd))) {
+      setMessage("Enter a valid date.");
+      return;
+    }
+    if (entryEnd && entryEnd < entryStart) {
+      setMessage("The range ends before it starts.");
+      return;
+    }
+    const entry = { start: entryStart };
+    if (entryEnd && entryEnd !== entryStart) entry.end = entryEnd;
+    if (entryLabel.trim()) entry.label = entryLabel.trim();
+    if (entryYearly) entry.yearly = true;
+    setMessage(addEntries([entry]) > 0 ? "" : "Those dates are already excluded.");
+    setEntryStart("");
+    setEntryEnd("");
+    setEntryLabel("");
+    setEntryYearly(false);
+  };
+
+  const handleRemoveEntry = (idx) => {
+    updateSelected({ entries: selected.entries.filter((_, i) => i !== idx) });
+  };
+
+  const handleFileSelected = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        const entries = parseIcs(e.target.result);
+        const added = addEntries(entries);
+        setMessage(`Imported ${added} date${added === 1 ? "" : "s"} from ${file.name}${added < entries.length ? ` (${entries.length - added} already present)` : ""}.`);
+      } catch (error) {
+        console.error("Error importing ICS file:", error);
+        setMessage(`Could not import ${file.name}: ${error.message}`);
+      }
+    };
+    reader.readAsText(file);
+    event.target.value = null; // Reset file input
+  };
+
+  const inputClass = "w-full rounded-md border border-border bg-input px-3 py-2 text-foreground focus:outline-none focus:ring-2 focus:ring-ring";
+
+  return (
+    <div className={`flex flex-col h-full ${isPopup ? 'p-2 pt-1' : 'p-4'}`}>
+      <div
+        className="w-full max-w-md bg-card text-card-foreground rounded-2xl shadow-xl p-4 sm:p-6 relative flex flex-col flex-1 mx-auto border border-border"
+        style={{ margin: '35px auto' }}
+      >
+        <div className="flex items-center mb-4">
+          <button
+            type="button"
+            aria-label="Back"
+            className="mr-2 text-muted-foreground hover:text-foreground focus:outline-none focus-visible:ring-2 focus-visible:ring-ring/50 p-1 rounded-md"
+            onClick={() => window.location.hash = "#/"}
+          >
+            <ArrowLeft size={20} />
+          </button>
+          <h1 className="text-xl font-bold text-foreground">Exclusion Calendars</h1>
+        </div>
+        <p className="text-sm text-muted-foreground mb-4">
+          Schedules subscribed to a calendar skip runs that fall on its dates. Skipped runs are not reported as missed.
+        </p>
+
+        {loading ? (
+          <div className="text-center text-muted-foreground py-4">Loading...</div>
+        ) : (
+          <div className="space-y-4">
+            <form onSubmit={handleCreateCalendar} className="flex items-center space-x-2">
+              <input
+                type="text"
+                value={newCalendarName}
+                onChange={(e) => setNewCalendarName(e.target.value)}
+                placeholder="New calendar, e.g. Public holidays"
+                className={inputClass}
+              />
+              <Button type="submit" variant="outline" size="sm" disabled={!newCalendarName.trim()}>
+                <Plus size={16} className="mr-1" />
+                Add
+              </Button>
+            </form>
+
+            {calendars.length === 0 ? (
+              <div className="text-center text-muted-foreground py-4">No calendars yet.</div>
+            ) : (
+              <>
+                <div>
+                  <label htmlFor="calendar" className="block text-sm font-medium text-foreground mb-1">Calendar</label>
+                  <select
+                    id="calendar"
+                    value={selectedId || ""}
+                    onChange={(e) => { setSelectedId(e.target.value); setMessage(""); }}
+                    className={inputClass}
+                  >
+                    {calendars.map(calendar => (
+                      <option key={calendar.id} value={calendar.id}>{calendar.name} ({calendar.entries.length})</option>
+                    ))}
+                  </select>
+                </div>
+
+                {selected && (
+                  <>
+                    <div className="flex items-center space-x-2">
+                      <input
+                        type="text"
+                        value={selected.name}
+                        onChange={(e) => handleRename(e.target.value)}
+                        onBlur={() => updateSelected({ name: selected.name.trim() || "Untitled calendar" })}
+                        aria-label="Calendar name"
+                        className={inputClass}
+                        required
+                      />
+                      <Button type="button" variant="ghost" size="sm" onClick={handleDeleteCalendar} className="text-destructive hover:text-destructive/90 hover:bg-destructive/10">
+                        <Trash2 size={16} className="mr-1" />
+                        Delete
+                      </Button>
+                    </div>
+
+                    <form onSubmit={handleAddEntry} className="space-y-2 p-3 border border-border/50 rounded-lg">
+                      <div className="flex space-x-2">
+                        <div className="flex-1 min-w-0">
+                          <label htmlFor="entryStart" className="block text-xs font-medium text-foreground mb-1">From</label>
+                          <input type="date" id="entryStart" value={entryStart} onChange={(e) => setEntryStart(e.target.value)} className={inputClass} required />
+                        </div>
+                        <div className="flex-1 min-w-0">
+                          <label htmlFor="entryEnd" className="block text-xs font-medium text-foreground mb-1">To (optional)</label>
+                          <input type="date" id="entryEnd" value={entryEnd} min={entryStart || undefined} onChange={(e) => setEntryEnd(e.target.value)} className={inputClass} />
+                        </div>
+                      </div>
+                      <input
+                        type="text"
+                        value={entryLabel}
+                        onChange={(e) => setEntryLabel(e.target.value)}
+                        placeholder="Label, e.g. Christmas (optional)"
+                        className={inputClass}
+                      />
+                      <div className="flex items-center justify-between">
+                        <label className="flex items-center space-x-2 text-sm text-foreground cursor-pointer">
+                          <input type="checkbox" checked={entryYearly} onChange={(e) => setEntryYearly(e.target.checked)} />
+                          <span>Every year</span>
+                        </label>
+                        <div className="flex space-x-2">
+                          <Button type="button" variant="outline" size="sm" onClick={() => fileInputRef.current.click()}>
+                            <Upload size={16} className="mr-1" />
+                            Import .ics
+                          </Button>
+                          <Button type="submit" size="sm">Add Dates</Button>
+                        </div>
+                      </div>
+                      <input
+                        type="file"
+                        ref={fileInputRef}
+                        accept=".ics,text/calendar"
+                        style={{ display: "none" }}
+                        onChange={handleFileSelected}
+                      />
+                    </form>
+
+                    {message && <p className="text-xs text-muted-foreground">{message}</p>}
+
+                    {selected.entries.length === 0 ? (
+                      <div className="text-center text-muted-foreground py-2 text-sm">No dates in this calendar.</div>
+                    ) : (
+                      <ul className="space-y-1">
+                        {selected.entries.map((entry, idx) => (
+                          <li key={`${entryKey(entry)}-${idx}`} className="flex items-center justify-between text-sm border-b border-border/30 py-1">
+                            <div className="flex items-center min-w-0">
+                              <CalendarX size={14} className="mr-2 text-amber-500 flex-shrink-0" />
+                              <span className="truncate">
+                                {describeEntry(entry)}
+                                {entry.label && <span className="text-muted-foreground"> · {entry.label}</span>}
+                              </span>
+                            </div>
+                            <Button type="button" variant="ghost" size="sm" onClick={() => handleRemoveEntry(idx)} className="text-destructive hover:text-destructive/90 hover:bg-destructive/10">Remove</Button>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </>
+                )}
+              </>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ExclusionCalendarsPage;
@@ -12,6 +12,7 @@ import {
 /**
  * MissedSchedulesPage component for Chronotab.
  * Displays a list of schedules that were missed (i.e., their scheduled run time passed while the browser or extension was inactive).
+ * Each entry covers every run a schedule missed in one gap; running it opens the schedule's tabs once.
  * Allows users to run a missed schedule or clear it from the list. Also provides an option to clear all missed schedules.
  *
  * @returns {JSX.Element} The missed schedules page component.
@@ -47,7 +48,7 @@ const MissedSchedulesPage = () => {
   const handleRunSchedule = async (scheduleId, missedRunTime) => {
     if (chrome.runtime && chrome.runtime.sendMessage) {
       chrome.runtime.sendMessage(
-        { action: "runMissedAlarm", scheduleId: scheduleId },
+        { action: "runMissedAlarm", scheduleId: scheduleId, missedRunTime: missedRunTime },
         async (response) => {
           if (response && response.success) {
             // Remove the specific instance of the missed schedule that was run
@@ -153,9 +154,15 @@ const MissedSchedulesPage = () => {
                   <h2 className="text-lg sm:text-xl font-semibold text-foreground truncate" title={schedule.scheduleName || schedule.scheduleId}>
                     {schedule.scheduleName || schedule.scheduleId}
                   </h2>
-                  <p className="text-xs sm:text-sm text-muted-foreground">
-                    Originally scheduled for: {new Date(schedule.missedRunTime).toLocaleString()}
-                  </p>
+                  {schedule.missedCount > 1 ? (
+                    <p className="text-xs sm:text-sm text-muted-foreground">
+                      Missed {schedule.missedCount >= 10000 ? "10,000+" : schedule.missedCount} runs, from {new Date(schedule.firstMissedRunTime).toLocaleString()} to {new Date(schedule.missedRunTime).toLocaleString()}
+                    </p>
+                  ) : (
+                    <p className="text-xs sm:text-sm text-muted-foreground">
+                      Originally scheduled for: {new Date(schedule.missedRunTime).toLocaleString()}
+                    </p>
+                  )}
                 </div>
                 <div className="flex space-x-2 flex-shrink-0 w-full sm:w-auto">
                   <Tooltip>
@@ -3,12 +3,68 @@ import { useState, useEffect, useRef } from "react"; // Added useRef
 import { Button } from "../components/ui/button";
 import { ArrowLeft, Download, Upload } from 'lucide-react'; // Import icons
 import { exportScheduleById, importSchedule } from "../utils/scheduler"; // Added imports
+import { nextOccurrence, normalizeDaysOfWeek, getTimeSlots, MULTI_TIME_REPEATS, MAX_JITTER_MINUTES } from "../utils/recurrence";
+import { parseCron } from "../utils/cron";
+import { parseRRule, getDefaultRRule } from "../utils/rrule";
+import { getLocalTimeZone, getSupportedTimeZones } from "../utils/timezone";
+import { loadExclusionCalendars } from "../utils/calendars";
+import { TAB_GROUP_COLORS, WINDOW_STATES, MAX_TAB_DELAY_SECONDS, normalizeUrlEntries, isValidMatchPattern } from "../utils/tabs";
+import { MAX_AUTO_CLOSE_MINUTES } from "../utils/runs";
+import { SNOOZE_MINUTES, DEFAULT_AUTO_OPEN_MINUTES, MAX_AUTO_OPEN_MINUTES } from "../utils/prompts";
+import { MAX_REMINDER_MINUTES, REMINDER_DELAY_MINUTES } from "../utils/reminders";
+import { BUILTIN_SOUNDS, DEFAULT_ALERT_VOLUME, getCustomSounds, getCustomSoundOption, playSound, getSpeechText } from "../utils/alerts";
+import { hasUrlTemplate, expandUrlTemplate } from "../utils/templates";
+import RecurrenceRuleFields from "../components/RecurrenceRuleFields";
+
+const ACTION_LABELS = {
+  open: "Open tabs",
+  close: "Close matching tabs",
+  reload: "Reload matching tabs",
+};
+
+const SELECTION_LABELS = {
+  all: "All URLs",
+  roundRobin: "One URL, in turn",
+  random: "One URL, at random",
+  shuffle: "One URL, at random without repeats",
+};
+
+const EXISTING_TAB_POLICY_LABELS = {
+  new: "Always open a new tab",
+  focus: "Switch to the open tab",
+  reload: "Reload the open tab",
+  skip: "Leave it and skip",
+};
+
+const NOTIFICATION_MODE_LABELS = {
+  "": "Default",
+  none: "None",
+  summary: "One summary per run",
+  list: "List of opened pages",
+};
+
+const NOTIFICATION_PRIORITY_LABELS = {
+  "": "Default priority",
+  "-2": "Lowest",
+  "-1": "Low",
+  "0": "Normal",
+  "1": "High",
+  "2": "Highest",
+};
+
+const TAB_MATCH_MODE_LABELS = {
+  exact: "Exact URL",
+  ignoreQuery: "Same page, any query",
+  origin: "Same site",
+};
 
 /**
  * ScheduleEditor component for Chronotab.
  * Allows users to create new schedules or edit existing ones.
- * Handles form inputs for schedule name, URLs, start date, time, repeat frequency (once, daily, weekly),
- * and days of the week (for weekly schedules).
+ * Handles form inputs for schedule name, the action (open URLs, or close or reload tabs matching URL patterns), URLs, start date, time, repeat frequency (once, daily, weekly, monthly, yearly, interval, cron),
+ * days of the week (for weekly schedules, or to limit interval schedules), a recurrence rule (for monthly and yearly schedules),
+ * an interval and optional daily time window (for interval schedules), a cron expression (for cron schedules)
+ * and an optional IANA time zone.
  * Also provides functionality to export an individual schedule or import one.
  *
  * @param {object} props - The component's props.
@@ -21,11 +77,58 @@ const ScheduleEditor = ({ isPopup }) => {
   const editId = hash.startsWith("#/edit/") ? hash.replace("#/edit/", "") : null;
 
   const [name, setName] = useState("");
-  const [urls, setUrls] = useState([""]);
+  const [action, setAction] = useState("open"); // "open", "close" or "reload"
+  const [urls, setUrls] = useState([{ url: "" }]); // URL entries with their tab options
+  const [matchPatterns, setMatchPatterns] = useState(""); // One pattern per line, for close and reload actions
+  const [selection, setSelection] = useState("all"); // How many URLs each run opens
   const [startDate, setStartDate] = useState(""); // YYYY-MM-DD
   const [time, setTime] = useState(""); // HH:mm
+  const [extraTimes, setExtraTimes] = useState([]); // Further HH:mm slots for daily/weekly/monthly/yearly
   const [repeat, setRepeat] = useState("once");
   const [dayOfWeek, setDayOfWeek] = useState([]);
+  const [cron, setCron] = useState("*/30 9-17 * * 1-5");
+  const [rrule, setRRule] = useState("");
+  const [timeZone, setTimeZone] = useState(""); // "" follows the browser's local time zone
+  const [intervalValue, setIntervalValue] = useState("45");
+  const [intervalUnit, setIntervalUnit] = useState("minutes"); // "minutes" or "hours"
+  const [useWindow, setUseWindow] = useState(false);
+  const [windowStart, setWindowStart] = useState("09:00");
+  const [windowEnd, setWindowEnd] = useState("18:00");
+  const [endDate, setEndDate] = useState(""); // YYYY-MM-DD, "" for no end date
+  const [maxRuns, setMaxRuns] = useState(""); // "" for no limit
+  const [windowType, setWindowType] = useState("current"); // "current", "new" or "incognito"
+  const [windowState, setWindowState] = useState("normal");
+  const [windowBounds, setWindowBounds] = useState({ left: "", top: "", width: "", height: "" }); // "" leaves it to Chrome
+  const [incognitoAllowed, setIncognitoAllowed] = useState(true);
+  const [existingTabPolicy, setExistingTabPolicy] = useState("new");
+  const [existingTabMatch, setExistingTabMatch] = useState("exact");
+  const [tabDelaySeconds, setTabDelaySeconds] = useState(""); // "" opens tabs without waiting
+  const [maxConcurrent, setMaxConcurrent] = useState(""); // "" for no limit
+  const [lazyLoading, setLazyLoading] = useState(false);
+  const [autoCloseMode, setAutoCloseMode] = useState(""); // "", "after" or "at"
+  const [autoCloseMinutes, setAutoCloseMinutes] = useState("15");
+  const [autoCloseAt, setAutoCloseAt] = useState("13:00"); // HH:mm
+  const [confirmBeforeRun, setConfirmBeforeRun] = useState(false);
+  const [autoOpenMinutes, setAutoOpenMinutes] = useState(String(DEFAULT_AUTO_OPEN_MINUTES));
+  const [useTabGroup, setUseTabGroup] = useState(false);
+  const [groupTitle, setGroupTitle] = useState(""); // "" uses the schedule name
+  const [groupColor, setGroupColor] = useState(""); // "" lets Chrome pick
+  const [groupCollapsed, setGroupCollapsed] = useState(false);
+  const [jitterMinutes, setJitterMinutes] = useState(""); // "" fires exactly on time
+  const [reminderMinutes, setReminderMinutes] = useState(""); // "" for no reminder
+  const [notificationMode, setNotificationMode] = useState(""); // "" uses the global setting
+  const [notificationPriority, setNotificationPriority] = useState(""); // "" uses the global setting
+  const [notificationSticky, setNotificationSticky] = useState(""); // "", "yes" or "no"
+  const [alertSound, setAlertSound] = useState(""); // "" for no sound
+  const [alertVolume, setAlertVolume] = useState(DEFAULT_ALERT_VOLUME);
+  const [alertSpeak, setAlertSpeak] = useState(false);
+  const [speechText, setSpeechText] = useState(""); // "" says "Opening <name>"
+  const [speechVolume, setSpeechVolume] = useState(DEFAULT_ALERT_VOLUME);
+  const [customSounds, setCustomSounds] = useState([]);
+  const [exclusionCalendarId, setExclusionCalendarId] = useState(""); // "" runs on every date
+  const [calendars, setCalendars] = useState([]);
+  const [runCount, setRunCount] = useState(0);
+  const [archived, setArchived] = useState(false);
   const [loading, setLoading] = useState(!!editId);
   const individualFileInputRef = useRef(null); // Ref for individual file input
 
@@ -51,7 +154,11 @@ const ScheduleEditor = ({ isPopup }) => {
         const found = schedules.find(s => s.id === editId);
         if (found) {
           setName(found.name || "");
-          setUrls(found.urls && found.urls.length ? found.urls : [""]);
+          setAction(found.action || "open");
+          setMatchPatterns((found.matchPatterns || []).join("\n"));
+          setSelection(found.selection || "all");
+          const urlEntries = normalizeUrlEntries(found.urls);
+          setUrls(urlEntries.length ? urlEntries : [{ url: "" }]);
           if (found.time && found.time.includes('T')) {
             const [datePart, timePart] = found.time.split('T');
             setStartDate(datePart);
@@ -64,7 +171,80 @@ const ScheduleEditor = ({ isPopup }) => {
             setTime(getCurrentTime());
           }
           setRepeat(found.repeat || "once");
-          setDayOfWeek(found.dayOfWeek || []);
+          if (Array.isArray(found.times) && found.times.length > 1) {
+            const [firstSlot, ...otherSlots] = getTimeSlots(found);
+            setTime(firstSlot);
+            setExtraTimes(otherSlots);
+          }
+          setDayOfWeek(normalizeDaysOfWeek(found.dayOfWeek)); // 1=Mon..7=Sun, matching the day buttons
+          if (found.cron) setCron(found.cron);
+          if (found.rrule) setRRule(found.rrule);
+          setTimeZone(found.timeZone || "");
+          if (found.intervalMinutes) {
+            const inHours = found.intervalMinutes % 60 === 0;
+            setIntervalValue(String(inHours ? found.intervalMinutes / 60 : found.intervalMinutes));
+            setIntervalUnit(inHours ? "hours" : "minutes");
+          }
+          if (found.windowStart && found.windowEnd) {
+            setUseWindow(true);
+            setWindowStart(found.windowStart);
+            setWindowEnd(found.windowEnd);
+          }
+          setEndDate(found.endDate || "");
+          setMaxRuns(found.maxRuns ? String(found.maxRuns) : "");
+          setExclusionCalendarId(found.exclusionCalendarId || "");
+          setJitterMinutes(found.jitterMinutes ? String(found.jitterMinutes) : "");
+          setReminderMinutes(found.reminder ? String(found.reminder.minutesBefore) : "");
+          if (found.notification) {
+            setNotificationMode(found.notification.mode || "");
+            setNotificationPriority(found.notification.priority !== undefined ? String(found.notification.priority) : "");
+            if (found.notification.requireInteraction !== undefined) {
+              setNotificationSticky(found.notification.requireInteraction ? "yes" : "no");
+            }
+          }
+          if (found.alert) {
+            setAlertSound(found.alert.sound || "");
+            if (found.alert.volume !== undefined) setAlertVolume(found.alert.volume);
+            setAlertSpeak(!!found.alert.speak);
+            setSpeechText(found.alert.speechText || "");
+            if (found.alert.speechVolume !== undefined) setSpeechVolume(found.alert.speechVolume);
+          }
+          if (found.windowTarget) {
+            setWindowType(found.windowTarget.type);
+            setWindowState(found.windowTarget.state || "normal");
+            setWindowBounds({
+              left: found.windowTarget.left !== undefined ? String(found.windowTarget.left) : "",
+              top: found.windowTarget.top !== undefined ? String(found.windowTarget.top) : "",
+              width: found.windowTarget.width !== undefined ? String(found.windowTarget.width) : "",
+              height: found.windowTarget.height !== undefined ? String(found.windowTarget.height) : "",
+            });
+          }
+          setExistingTabPolicy(found.existingTabPolicy || "new");
+          setExistingTabMatch(found.existingTabMatch || "exact");
+          if (found.openingStrategy) {
+            setTabDelaySeconds(found.openingStrategy.delaySeconds ? String(found.openingStrategy.delaySeconds) : "");
+            setMaxConcurrent(found.openingStrategy.maxConcurrent ? String(found.openingStrategy.maxConcurrent) : "");
+            setLazyLoading(!!found.openingStrategy.lazy);
+          }
+          if (found.autoClose && found.autoClose.afterMinutes) {
+            setAutoCloseMode("after");
+            setAutoCloseMinutes(String(found.autoClose.afterMinutes));
+          } else if (found.autoClose && found.autoClose.at) {
+            setAutoCloseMode("at");
+            setAutoCloseAt(found.autoClose.at);
+          }
+          if (found.confirmBeforeRun) {
+            setConfirmBeforeRun(true);
+            setAutoOpenMinutes(String(found.confirmBeforeRun.autoOpenMinutes));
+          }
+          if (found.tabGroup) {
+            setUseTabGroup(true);
+            setGroupTitle(found.tabGroup.title || "");
+            setGroupColor(found.tabGroup.color || "");
+            setGroupCollapsed(!!found.tabGroup.collapsed);
+          }
+          setRunCount(found.runCount || 0);
+          setArchived(!!found.archived);
         }
         setLoading(false);
       });
@@ -75,6 +255,27 @@ const ScheduleEditor = ({ isPopup }) => {
     }
   }, [editId]);
 
+  // Incognito windows only work if the user allowed the extension in incognito
+  useEffect(() => {
+    if (window.chrome && chrome.extension && chrome.extension.isAllowedIncognitoAccess) {
+      chrome.extension.isAllowedIncognitoAccess().then(setIncognitoAllowed);
+    }
+  }, []);
+
+  // Load the exclusion calendars for the picker; this also registers them so the previews skip excluded dates
+  useEffect(() => {
+    if (window.chrome && chrome.storage) {
+      loadExclusionCalendars().then(setCalendars);
+    }
+  }, []);
+
+  // Uploaded sounds for the alert sound picker
+  useEffect(() => {
+    if (window.chrome && chrome.storage) {
+      getCustomSounds().then(setCustomSounds).catch(error => console.error("[Chronotab] Error loading custom sounds:", error));
+    }
+  }, []);
+
   // On mount, if creating a new schedule, prefill URL from query param if present
   useEffect(() => {
     if (!editId) {
@@ -89,30 +290,297 @@ const ScheduleEditor = ({ isPopup }) => {
         url = hashParams.get('url');
       }
       if (url) {
-        setUrls([url]);
+        setUrls([{ url }]);
       }
     }
   }, [editId]);
 
-  const handleUrlChange = (idx, value) => {
+  const handleUrlChange = (idx, changes) => {
     const newUrls = [...urls];
-    newUrls[idx] = value;
+    newUrls[idx] = { ...newUrls[idx], ...changes };
     setUrls(newUrls);
   };
 
-  const addUrlField = () => setUrls([...urls, ""]);
+  const addUrlField = () => setUrls([...urls, { url: "" }]);
   const removeUrlField = (idx) => setUrls(urls.filter((_, i) => i !== idx));
 
+  const handleExtraTimeChange = (idx, value) => {
+    const newTimes = [...extraTimes];
+    newTimes[idx] = value;
+    setExtraTimes(newTimes);
+  };
+
+  const addTimeField = () => setExtraTimes([...extraTimes, time || getCurrentTime()]);
+  const removeTimeField = (idx) => setExtraTimes(extraTimes.filter((_, i) => i !== idx));
+
+  const handleRepeatChange = (value) => {
+    setRepeat(value);
+    // Monthly and yearly rules carry their own FREQ; start from a sensible rule when switching between them
+    const freq = value === "monthly" ? "MONTHLY" : value === "yearly" ? "YEARLY" : null;
+    if (freq && !rrule.includes(`FREQ=${freq}`)) {
+      setRRule(getDefaultRRule(freq, startDate));
+    }
+  };
+
+  // All times of day the schedule runs at; only daily, weekly, monthly and yearly schedules can have more than one
+  const multiTime = MULTI_TIME_REPEATS.includes(repeat);
+  const timeSlots = multiTime && extraTimes.length > 0
+    ? getTimeSlots({ repeat, time, times: [time, ...extraTimes].filter(Boolean) })
+    : undefined;
+
+  // Validate the cron expression as the user types; the message or next run is shown under the input
+  let cronError = null;
+  let cronNextRun = null;
+  if (repeat === "cron") {
+    try {
+      parseCron(cron);
+      cronNextRun = nextOccurrence({ repeat, cron, time: `${startDate}T00:00`, timeZone: timeZone || undefined, exclusionCalendarId: exclusionCalendarId || undefined });
+    } catch (error) {
+      cronError = error.message;
+    }
+  }
+
+  // Same for monthly/yearly recurrence rules
+  let rruleError = null;
+  let rruleNextRun = null;
+  if (repeat === "monthly" || repeat === "yearly") {
+    try {
+      parseRRule(rrule);
+      rruleNextRun = nextOccurrence({ repeat, rrule, time: `${startDate}T${time}`, times: timeSlots, timeZone: timeZone || undefined, exclusionCalendarId: exclusionCalendarId || undefined });
+    } catch (error) {
+      rruleError = error.message;
+    }
+  }
+
+  // Interval schedules: validate and preview the next run
+  const intervalMinutes = (parseInt(intervalValue, 10) || 0) * (intervalUnit === "hours" ? 60 : 1);
+  let intervalError = null;
+  let intervalNextRun = null;
+  if (repeat === "interval") {
+    if (intervalMinutes < 1) {
+      intervalError = "Enter an interval of at least 1.";
+    } else if (useWindow && windowStart === windowEnd) {
+      intervalError = "The time window must start and end at different times.";
+    } else {
+      intervalNextRun = nextOccurrence({
+        repeat,
+        time: `${startDate}T${time}`,
+        intervalMinutes,
+        windowStart: useWindow ? windowStart : undefined,
+        windowEnd: useWindow ? windowEnd : undefined,
+        dayOfWeek,
+        timeZone: timeZone || undefined,
+        exclusionCalendarId: exclusionCalendarId || undefined,
+      });
+    }
+  }
+
+  // URL templates are previewed for the next run, or for now if there isn't one
+  let templatePreviewTime = Date.now();
+  if (urls.some(entry => hasUrlTemplate(entry.url))) {
+    try {
+      templatePreviewTime = nextOccurrence({
+        repeat,
+        time: repeat === "cron" ? `${startDate}T00:00` : `${startDate}T${time}`,
+        times: timeSlots,
+        dayOfWeek,
+        cron,
+        rrule,
+        intervalMinutes,
+        windowStart: useWindow ? windowStart : undefined,
+        windowEnd: useWindow ? windowEnd : undefined,
+        timeZone: timeZone || undefined,
+        exclusionCalendarId: exclusionCalendarId || undefined,
+      }) || templatePreviewTime;
+    } catch {
+      // Invalid recurrence settings are reported elsewhere; preview for now
+    }
+  }
+
+  // End conditions only apply to recurring schedules
+  let endError = null;
+  if (repeat !== "once") {
+    if (endDate && startDate && endDate < startDate) {
+      endError = "End date is before the start date.";
+    } else if (maxRuns && !(parseInt(maxRuns, 10) >= 1)) {
+      endError = "Maximum runs must be at least 1.";
+    }
+  }
+
+  // Jitter is optional; when set it must be a whole number of minutes within the allowed window
+  const jitterValue = parseInt(jitterMinutes, 10);
+  const jitterError = jitterMinutes !== "" && !(String(jitterValue) === jitterMinutes.trim() && jitterValue >= 0 && jitterValue <= MAX_JITTER_MINUTES)
+    ? `Enter a whole number of minutes from 0 to ${MAX_JITTER_MINUTES}.`
+    : null;
+
+  // A reminder comes at most two hours ahead
+  const reminderValue = parseInt(reminderMinutes, 10);
+  const reminderError = reminderMinutes !== "" && !(String(reminderValue) === reminderMinutes.trim() && reminderValue >= 1 && reminderValue <= MAX_REMINDER_MINUTES)
+    ? `Enter a whole number of minutes from 1 to ${MAX_REMINDER_MINUTES}.`
+    : null;
+
+  // Opening strategy values are optional whole numbers
+  const tabDelayValue = parseInt(tabDelaySeconds, 10);
+  const maxConcurrentValue = parseInt(maxConcurrent, 10);
+  let openingError = null;
+  if (tabDelaySeconds !== "" && !(String(tabDelayValue) === tabDelaySeconds.trim() && tabDelayValue >= 0 && tabDelayValue <= MAX_TAB_DELAY_SECONDS)) {
+    openingError = `Enter a delay from 0 to ${MAX_TAB_DELAY_SECONDS} seconds.`;
+  } else if (maxConcurrent !== "" && !(String(maxConcurrentValue) === maxConcurrent.trim() && maxConcurrentValue >= 1)) {
+    openingError = "Enter at least 1 tab loading at once.";
+  }
+
+  // Close and reload actions need at least one pattern, and every pattern must be valid
+  const patternList = matchPatterns.split("\n").map(pattern => pattern.trim()).filter(Boolean);
+  let patternError = null;
+  if (action !== "open") {
+    const invalid = patternList.find(pattern => !isValidMatchPattern(pattern));
+    if (patternList.length === 0) {
+      patternError = "Enter at least one URL pattern.";
+    } else if (invalid) {
+      patternError = `"${invalid}" is not a valid URL pattern.`;
+    }
+  }
+
+  // Auto-close needs a delay within a day, or a time of day
+  const autoCloseValue = parseInt(autoCloseMinutes, 10);
+  let autoCloseError = null;
+  if (autoCloseMode === "after" && !(String(autoCloseValue) === autoCloseMinutes.trim() && autoCloseValue >= 1 && autoCloseValue <= MAX_AUTO_CLOSE_MINUTES)) {
+    autoCloseError = `Enter a whole number of minutes from 1 to ${MAX_AUTO_CLOSE_MINUTES}.`;
+  } else if (autoCloseMode === "at" && !autoCloseAt) {
+    autoCloseError = "Choose the time to close the tabs at.";
+  }
+
+  // An unanswered prompt opens the tabs within the hour
+  const autoOpenValue = parseInt(autoOpenMinutes, 10);
+  const confirmError = confirmBeforeRun && !(String(autoOpenValue) === autoOpenMinutes.trim() && autoOpenValue >= 1 && autoOpenValue <= MAX_AUTO_OPEN_MINUTES)
+    ? `Enter a whole number of minutes from 1 to ${MAX_AUTO_OPEN_MINUTES}.`
+    : null;
+
   const handleSave = (e) => {
     e.preventDefault();
+    if (cronError || rruleError || intervalError || endError || jitterError || reminderError || patternError) return;
+    if (action === "open" && (openingError || autoCloseError || confirmError)) return;
     const id = editId || crypto.randomUUID();
-    // Combine startDate and time into YYYY-MM-DDTHH:mm format
-    const combinedDateTime = `${startDate}T${time}`;
-    const schedule = { id, name, urls: urls.filter(Boolean), time: combinedDateTime, repeat, dayOfWeek };
+    // Combine startDate and time into YYYY-MM-DDTHH:mm format.
+    // Cron schedules take their times from the expression, so only the start date matters.
+    const combinedDateTime = repeat === "cron" ? `${startDate}T00:00` : `${startDate}T${time}`;
+    const schedule = { id, name, urls: action === "open" ? normalizeUrlEntries(urls) : [], time: combinedDateTime, repeat, dayOfWeek };
+    if (timeSlots && timeSlots.length > 1) {
+      // `time` keeps the earliest slot so older versions still see a sensible single time
+      schedule.times = timeSlots;
+      schedule.time = `${startDate}T${timeSlots[0]}`;
+    }
+    if (repeat === "cron") {
+      schedule.cron = cron.trim();
+    }
+    if (repeat === "monthly" || repeat === "yearly") {
+      schedule.rrule = rrule.trim();
+    }
+    if (repeat === "interval") {
+      schedule.intervalMinutes = intervalMinutes;
+      if (useWindow) {
+        schedule.windowStart = windowStart;
+        schedule.windowEnd = windowEnd;
+      }
+    }
+    if (timeZone) {
+      schedule.timeZone = timeZone;
+    }
+    if (repeat !== "once" && endDate) {
+      schedule.endDate = endDate;
+    }
+    if (repeat !== "once" && maxRuns) {
+      schedule.maxRuns = parseInt(maxRuns, 10);
+    }
+    if (action !== "open") {
+      schedule.action = action;
+      schedule.matchPatterns = patternList;
+    }
+    if (action === "open" && selection !== "all") {
+      schedule.selection = selection;
+    }
+    if (action === "open" && windowType !== "current") {
+      schedule.windowTarget = { type: windowType };
+      if (windowState !== "normal") {
+        schedule.windowTarget.state = windowState;
+      } else {
+        Object.entries(windowBounds).forEach(([key, value]) => {
+          if (value !== "" && Number.isInteger(Number(value))) schedule.windowTarget[key] = Number(value);
+        });
+      }
+    }
+    if (action === "open" && existingTabPolicy !== "new") {
+      schedule.existingTabPolicy = existingTabPolicy;
+      if (existingTabMatch !== "exact") schedule.existingTabMatch = existingTabMatch;
+    }
+    if (action === "open" && (tabDelayValue > 0 || maxConcurrentValue > 0 || lazyLoading)) {
+      schedule.openingStrategy = {};
+      if (tabDelayValue > 0) schedule.openingStrategy.delaySeconds = tabDelayValue;
+      if (maxConcurrentValue > 0) schedule.openingStrategy.maxConcurrent = maxConcurrentValue;
+      if (lazyLoading) schedule.openingStrategy.lazy = true;
+    }
+    if (action === "open" && autoCloseMode === "after") {
+      schedule.autoClose = { afterMinutes: autoCloseValue };
+    } else if (action === "open" && autoCloseMode === "at") {
+      schedule.autoClose = { at: autoCloseAt };
+    }
+    if (action === "open" && confirmBeforeRun) {
+      schedule.confirmBeforeRun = { autoOpenMinutes: autoOpenValue };
+    }
+    if (action === "open" && useTabGroup) {
+      schedule.tabGroup = {};
+      if (groupTitle.trim()) schedule.tabGroup.title = groupTitle.trim();
+      if (groupColor) schedule.tabGroup.color = groupColor;
+      if (groupCollapsed) schedule.tabGroup.collapsed = true;
+    }
+    if (jitterValue > 0) {
+      schedule.jitterMinutes = jitterValue;
+    }
+    if (reminderValue > 0) {
+      schedule.reminder = { minutesBefore: reminderValue };
+    }
+    if (alertSound || alertSpeak) {
+      schedule.alert = {};
+      if (alertSound) {
+        schedule.alert.sound = alertSound;
+        if (alertVolume !== DEFAULT_ALERT_VOLUME) schedule.alert.volume = alertVolume;
+      }
+      if (alertSpeak) {
+        schedule.alert.speak = true;
+        if (speechText.trim()) schedule.alert.speechText = speechText.trim();
+        if (speechVolume !== DEFAULT_ALERT_VOLUME) schedule.alert.speechVolume = speechVolume;
+      }
+    }
+    if (notificationMode || notificationPriority || notificationSticky) {
+      schedule.notification = {};
+      if (notificationMode) schedule.notification.mode = notificationMode;
+      if (notificationPriority) schedule.notification.priority = parseInt(notificationPriority, 10);
+      if (notificationSticky) schedule.notification.requireInteraction = notificationSticky === "yes";
+    }
+    if (repeat !== "once" && exclusionCalendarId) {
+      schedule.exclusionCalendarId = exclusionCalendarId;
+    }
     chrome.storage.sync.get(["schedules"], (result) => {
       let schedules = result.schedules || [];
       if (editId) {
-        schedules = schedules.map(s => s.id === id ? schedule : s);
+        // Keep the run history so lastRun and runCount survive an edit. The archive flags are dropped:
+        // saving reactivates an archived schedule, and registerAlarms() archives it again if it's still over its limits.
+        // A paused schedule stays paused; a skipped run is forgotten, since the edit may have moved the schedule's runs.
+        // A run opened early from its reminder, or handed to a prompt, isn't opened again.
+        schedules = schedules.map(s => {
+          if (s.id !== id) return s;
+          const kept = {};
+          if (s.lastRun) kept.lastRun = s.lastRun;
+          if (s.runCount) kept.runCount = s.runCount;
+          if (s.enabled === false) {
+            kept.enabled = false;
+            kept.pausedAt = s.pausedAt;
+          }
+          if (s.resumedAt) kept.resumedAt = s.resumedAt;
+          if (s.openedEarlyFor) kept.openedEarlyFor = s.openedEarlyFor;
+          if (s.promptedFor) kept.promptedFor = s.promptedFor;
+          return { ...schedule, ...kept };
+        });
       } else {
         schedules = [...schedules, schedule];
       }
@@ -217,24 +685,332 @@ const ScheduleEditor = ({ isPopup }) => {
             </div>
 
             <div>
-              <label className="block text-sm font-medium text-foreground mb-1">URLs (one per line)</label>
-              {urls.map((url, idx) => (
-                <div key={idx} className="flex items-center space-x-2 mb-2">
-                  <input
-                    type="url"
-                    value={url}
-                    onChange={(e) => handleUrlChange(idx, e.target.value)}
-                    placeholder="https://example.com"
+              <label htmlFor="action" className="block text-sm font-medium text-foreground mb-1">Action</label>
+              <select
+                id="action"
+                value={action}
+                onChange={(e) => setAction(e.target.value)}
+                className="w-full rounded-md border border-border bg-input px-3 py-2 text-foreground focus:outline-none focus:ring-2 focus:ring-ring"
+              >
+                {Object.entries(ACTION_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+              </select>
+            </div>
+
+            {action === "open" ? (
+              <>
+                <div>
+                  <label className="block text-sm font-medium text-foreground mb-1">URLs (one per line)</label>
+                  <p className="text-xs text-muted-foreground mb-2">
+                    Position 0 is the leftmost tab. Pinned tabs stay out of the tab group.
+                    URLs may contain placeholders like <code>{"{{date:yyyy-MM-dd}}"}</code>, <code>{"{{isoWeek}}"}</code>, <code>{"{{weekday}}"}</code> or <code>{"{{now-1d:X}}"}</code>.
+                  </p>
+                  {urls.map((entry, idx) => (
+                    <div key={idx} className="mb-2">
+                      <div className="flex items-center space-x-2">
+                        <input
+                          type="url"
+                          value={entry.url}
+                          onChange={(e) => handleUrlChange(idx, { url: e.target.value })}
+                          placeholder="https://example.com"
+                          className="w-full rounded-md border border-border bg-input px-3 py-2 text-foreground focus:outline-none focus:ring-2 focus:ring-ring"
+                          required={idx === 0} // Only first URL is required
+                        />
+                        {urls.length > 1 && (
+                          <Button type="button" variant="ghost" size="sm" onClick={() => removeUrlField(idx)} className="text-destructive hover:text-destructive/90 hover:bg-destructive/10">Remove</Button>
+                        )}
+                      </div>
+                      {hasUrlTemplate(entry.url) && (
+                        <p className="mt-1 text-xs text-muted-foreground break-all">
+                          Next run opens: <span className="text-foreground">{expandUrlTemplate(entry.url, templatePreviewTime, timeZone || undefined)}</span>
+                        </p>
+                      )}
+                      <div className="flex items-center flex-wrap gap-x-3 gap-y-1 mt-1 text-xs text-muted-foreground">
+                        <label className="flex items-center space-x-1 cursor-pointer">
+                          <input type="checkbox" checked={!!entry.pinned} onChange={(e) => handleUrlChange(idx, { pinned: e.target.checked })} />
+                          <span>Pinned</span>
+                        </label>
+                        <label className="flex items-center space-x-1 cursor-pointer">
+                          <input type="checkbox" checked={!!entry.muted} onChange={(e) => handleUrlChange(idx, { muted: e.target.checked })} />
+                          <span>Muted</span>
+                        </label>
+                        <label className="flex items-center space-x-1 cursor-pointer">
+                          <input type="checkbox" checked={entry.active === false} onChange={(e) => handleUrlChange(idx, { active: !e.target.checked })} />
+                          <span>Background</span>
+                        </label>
+                        <label className="flex items-center space-x-1">
+                          <span>Position</span>
+                          <input
+                            type="number"
+                            min={0}
+                            value={entry.index ?? ""}
+                            onChange={(e) => handleUrlChange(idx, { index: e.target.value === "" ? undefined : parseInt(e.target.value, 10) })}
+                            placeholder="End"
+                            aria-label="Tab position"
+                            className="w-16 rounded-md border border-border bg-input px-2 py-0.5 text-foreground focus:outline-none focus:ring-2 focus:ring-ring"
+                          />
+                        </label>
+                      </div>
+                    </div>
+                  ))}
+                  <Button type="button" variant="outline" size="sm" onClick={addUrlField}>Add URL</Button>
+                </div>
+
+                <div>
+                  <label htmlFor="selection" className="block text-sm font-medium text-foreground mb-1">Each Run Opens</label>
+                  <select
+                    id="selection"
+                    value={selection}
+                    onChange={(e) => setSelection(e.target.value)}
                     className="w-full rounded-md border border-border bg-input px-3 py-2 text-foreground focus:outline-none focus:ring-2 focus:ring-ring"
-                    required={idx === 0} // Only first URL is required
-                  />
-                  {urls.length > 1 && (
-                    <Button type="button" variant="ghost" size="sm" onClick={() => removeUrlField(idx)} className="text-destructive hover:text-destructive/90 hover:bg-destructive/10">Remove</Button>
+                  >
+                    {Object.entries(SELECTION_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                  </select>
+                  {selection !== "all" && (
+                    <p className="mt-1 text-xs text-muted-foreground">Rotates through the URLs above, one per run. The position is remembered between runs.</p>
+                  )}
+                </div>
+
+                <div>
+                  <label htmlFor="existingTabPolicy" className="block text-sm font-medium text-foreground mb-1">If a URL Is Already Open</label>
+                  <div className="flex space-x-2">
+                    <select
+                      id="existingTabPolicy"
+                      value={existingTabPolicy}
+                      onChange={(e) => setExistingTabPolicy(e.target.value)}
+                      className="flex-1 min-w-0 rounded-md border border-border bg-input px-3 py-2 text-foreground focus:outline-none focus:ring-2 focus:ring-ring"
+                    >
+                      {Object.entries(EXISTING_TAB_POLICY_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                    </select>
+                    {existingTabPolicy !== "new" && (
+                      <select
+                        value={existingTabMatch}
+                        onChange={(e) => setExistingTabMatch(e.target.value)}
+                        aria-label="Match open tabs by"
+                        className="rounded-md border border-border bg-input px-3 py-2 text-foreground focus:outline-none focus:ring-2 focus:ring-ring"
+                      >
+                        {Object.entries(TAB_MATCH_MODE_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                      </select>
+                    )}
+                  </div>
+                </div>
+
+                <div>
+                  <span className="block text-sm font-medium text-foreground mb-1">Opening Pace</span>
+                  <div className="flex space-x-2">
+                    <input
+                      type="number"
+                      min={0}
+                      max={MAX_TAB_DELAY_SECONDS}
+                      value={tabDelaySeconds}
+                      onChange={(e) => setTabDelaySeconds(e.target.value)}
+                      placeholder="Delay (s)"
+                      aria-label="Seconds between tabs"
+                      className="flex-1 min-w-0 rounded-md border border-border bg-input px-3 py-2 text-foreground focus:outline-none focus:ring-2 focus:ring-ring"
+                    />
+                    <input
+                      type="number"
+                      min={1}
+                      value={maxConcurrent}
+                      onChange={(e) => setMaxConcurrent(e.target.value)}
+                      placeholder="Max loading"
+                      aria-label="Most tabs loading at once"
+                      className="flex-1 min-w-0 rounded-md border border-border bg-input px-3 py-2 text-foreground focus:outline-none focus:ring-2 focus:ring-ring"
+                    />
+                  </div>
+                  <label className="mt-2 flex items-center space-x-2 text-sm text-foreground cursor-pointer">
+                    <input type="checkbox" checked={lazyLoading} onChange={(e) => setLazyLoading(e.target.checked)} />
+                    <span>Load only the first tab; the rest load when you switch to them</span>
+                  </label>
+                  {openingError ? (
+                    <p className="mt-1 text-xs text-destructive">{openingError}</p>
+                  ) : (
+                    <p className="mt-1 text-xs text-muted-foreground">
+                      Spread out large schedules so they don&apos;t freeze the browser. Leave empty to open every tab at once.
+                    </p>
+                  )}
+                </div>
+
+                <div>
+                  <label htmlFor="autoCloseMode" className="block text-sm font-medium text-foreground mb-1">Close Opened Tabs</label>
+                  <div className="flex space-x-2">
+                    <select
+                      id="autoCloseMode"
+                      value={autoCloseMode}
+                      onChange={(e) => setAutoCloseMode(e.target.value)}
+                      className="flex-1 min-w-0 rounded-md border border-border bg-input px-3 py-2 text-foreground focus:outline-none focus:ring-2 focus:ring-ring"
+                    >
+                      <option value="">Never</option>
+                      <option value="after">After a number of minutes</option>
+                      <option value="at">At a time of day</option>
+                    </select>
+                    {autoCloseMode === "after" && (
+                      <input
+                        type="number"
+                        min={1}
+                        max={MAX_AUTO_CLOSE_MINUTES}
+                        value={autoCloseMinutes}
+                        onChange={(e) => setAutoCloseMinutes(e.target.value)}
+                        aria-label="Minutes until the tabs close"
+                        className="w-24 rounded-md border border-border bg-input px-3 py-2 text-foreground focus:outline-none focus:ring-2 focus:ring-ring"
+                      />
+                    )}
+                    {autoCloseMode === "at" && (
+                      <input
+                        type="time"
+                        value={autoCloseAt}
+                        onChange={(e) => setAutoCloseAt(e.target.value)}
+                        aria-label="Time the tabs close at"
+                        className="rounded-md border border-border bg-input px-3 py-2 text-foreground focus:outline-none focus:ring-2 focus:ring-ring"
+                      />
+                    )}
+                  </div>
+                  {autoCloseError ? (
+                    <p className="mt-1 text-xs text-destructive">{autoCloseError}</p>
+                  ) : autoCloseMode !== "" && (
+                    <p className="mt-1 text-xs text-muted-foreground">
+                      Tabs you pin or navigate to another page in the meantime are left open.
+                    </p>
+                  )}
+                </div>
+
+                <div>
+                  <label className="flex items-center space-x-2 text-sm font-medium text-foreground cursor-pointer">
+                    <input type="checkbox" checked={confirmBeforeRun} onChange={(e) => setConfirmBeforeRun(e.target.checked)} />
+                    <span>Ask before opening</span>
+                  </label>
+                  {confirmBeforeRun && (
+                    <div className="mt-2 flex items-center space-x-2 text-sm text-foreground">
+                      <span>Open anyway after</span>
+                      <input
+                        type="number"
+                        min={1}
+                        max={MAX_AUTO_OPEN_MINUTES}
+                        value={autoOpenMinutes}
+                        onChange={(e) => setAutoOpenMinutes(e.target.value)}
+                        aria-label="Minutes until the tabs open anyway"
+                        className="w-20 rounded-md border border-border bg-input px-3 py-2 text-foreground focus:outline-none focus:ring-2 focus:ring-ring"
+                      />
+                      <span>min</span>
+                    </div>
+                  )}
+                  {confirmError ? (
+                    <p className="mt-1 text-xs text-destructive">{confirmError}</p>
+                  ) : confirmBeforeRun && (
+                    <p className="mt-1 text-xs text-muted-foreground">
+                      When the schedule fires, a notification asks first: click it to open the tabs now, snooze for {SNOOZE_MINUTES} minutes,
+                      or skip the run. Runs you start yourself don&apos;t ask.
+                    </p>
+                  )}
+                </div>
+
+                <div className="space-y-2">
+                  <label htmlFor="windowType" className="block text-sm font-medium text-foreground mb-1">Open Tabs In</label>
+                  <div className="flex space-x-2">
+                    <select
+                      id="windowType"
+                      value={windowType}
+                      onChange={(e) => setWindowType(e.target.value)}
+                      className="flex-1 min-w-0 rounded-md border border-border bg-input px-3 py-2 text-foreground focus:outline-none focus:ring-2 focus:ring-ring"
+                    >
+                      <option value="current">Current window</option>
+                      <option value="new">New window</option>
+                      <option value="incognito">Incognito window</option>
+                    </select>
+                    {windowType !== "current" && (
+                      <select
+                        value={windowState}
+                        onChange={(e) => setWindowState(e.target.value)}
+                        aria-label="Window state"
+                        className="rounded-md border border-border bg-input px-3 py-2 text-foreground focus:outline-none focus:ring-2 focus:ring-ring"
+                      >
+                        {WINDOW_STATES.map(state => (
+                          <option key={state} value={state}>{state.charAt(0).toUpperCase() + state.slice(1)}</option>
+                        ))}
+                      </select>
+                    )}
+                  </div>
+                  {windowType !== "current" && windowState === "normal" && (
+                    <div className="grid grid-cols-4 gap-2">
+                      {["left", "top", "width", "height"].map(key => (
+                        <input
+                          key={key}
+                          type="number"
+                          value={windowBounds[key]}
+                          onChange={(e) => setWindowBounds({ ...windowBounds, [key]: e.target.value })}
+                          placeholder={key.charAt(0).toUpperCase() + key.slice(1)}
+                          aria-label={`Window ${key}`}
+                          min={key === "width" || key === "height" ? 1 : undefined}
+                          className="w-full rounded-md border border-border bg-input px-2 py-2 text-sm text-foreground focus:outline-none focus:ring-2 focus:ring-ring"
+                        />
+                      ))}
+                    </div>
+                  )}
+                  {windowType === "incognito" && !incognitoAllowed && (
+                    <p className="text-xs text-destructive">
+                      Chronotab isn&apos;t allowed in incognito, so a normal window will open. Turn on &quot;Allow in Incognito&quot; on the extension&apos;s details page.
+                    </p>
                   )}
                 </div>
-              ))}
-              <Button type="button" variant="outline" size="sm" onClick={addUrlField}>Add URL</Button>
-            </div>
+
+                <div className="space-y-2">
+                  <label className="flex items-center space-x-2 text-sm font-medium text-foreground cursor-pointer">
+                    <input type="checkbox" checked={useTabGroup} onChange={(e) => setUseTabGroup(e.target.checked)} />
+                    <span>Open in a tab group</span>
+                  </label>
+                  {useTabGroup && (
+                    <>
+                      <div className="flex space-x-2">
+                        <input
+                          type="text"
+                          value={groupTitle}
+                          onChange={(e) => setGroupTitle(e.target.value)}
+                          placeholder={name || "Group name"}
+                          aria-label="Group name"
+                          className="flex-1 min-w-0 rounded-md border border-border bg-input px-3 py-2 text-foreground focus:outline-none focus:ring-2 focus:ring-ring"
+                        />
+                        <select
+                          value={groupColor}
+                          onChange={(e) => setGroupColor(e.target.value)}
+                          aria-label="Group color"
+                          className="rounded-md border border-border bg-input px-3 py-2 text-foreground focus:outline-none focus:ring-2 focus:ring-ring"
+                        >
+                          <option value="">Any color</option>
+                          {TAB_GROUP_COLORS.map(color => (
+                            <option key={color} value={color}>{color.charAt(0).toUpperCase() + color.slice(1)}</option>
+                          ))}
+                        </select>
+                      </div>
+                      <label className="flex items-center space-x-2 text-sm text-foreground cursor-pointer">
+                        <input type="checkbox" checked={groupCollapsed} onChange={(e) => setGroupCollapsed(e.target.checked)} />
+                        <span>Collapse the group</span>
+                      </label>
+                      <p className="text-xs text-muted-foreground">If the group from the last run is still open, new tabs are added to it.</p>
+                    </>
+                  )}
+                </div>
+              </>
+            ) : (
+              <div>
+                <label htmlFor="matchPatterns" className="block text-sm font-medium text-foreground mb-1">Tabs to {action === "close" ? "Close" : "Reload"} (one pattern per line)</label>
+                <textarea
+                  id="matchPatterns"
+                  value={matchPatterns}
+                  onChange={(e) => setMatchPatterns(e.target.value)}
+                  rows={3}
+                  placeholder={"*.jira.example.com\nhttps://metrics.example.com/dashboard*"}
+                  className="w-full rounded-md border border-border bg-input px-3 py-2 font-mono text-sm text-foreground focus:outline-none focus:ring-2 focus:ring-ring"
+                  required
+                />
+                {patternError ? (
+                  <p className="mt-1 text-xs text-destructive">{patternError}</p>
+                ) : (
+                  <p className="mt-1 text-xs text-muted-foreground">
+                    A host like <code>*.example.com</code> matches every page on it; use a full pattern like <code>https://example.com/reports/*</code> to narrow it down.
+                    {action === "close" && " Pinned tabs are never closed."}
+                  </p>
+                )}
+              </div>
+            )}
 
             {/* Flex container for Start Date, Time, and Repeat */}
             <div className="flex flex-col sm:flex-row sm:space-x-4 space-y-4 sm:space-y-0">
@@ -250,36 +1026,361 @@ const ScheduleEditor = ({ isPopup }) => {
                 />
               </div>
 
-              <div className="flex-1 min-w-0"> {/* Added flex-1 and min-w-0 for responsiveness */}
-                <label htmlFor="time" className="block text-sm font-medium text-foreground mb-1">Time</label>
-                <input
-                  type="time"
-                  id="time"
-                  value={time}
-                  onChange={(e) => setTime(e.target.value)}
-                  className="w-full rounded-md border border-border bg-input px-3 py-2 text-foreground focus:outline-none focus:ring-2 focus:ring-ring"
-                  required
-                />
-              </div>
+              {repeat !== "cron" && (
+                <div className="flex-1 min-w-0"> {/* Added flex-1 and min-w-0 for responsiveness */}
+                  <label htmlFor="time" className="block text-sm font-medium text-foreground mb-1">{repeat === "interval" ? "First Run" : "Time"}</label>
+                  <input
+                    type="time"
+                    id="time"
+                    value={time}
+                    onChange={(e) => setTime(e.target.value)}
+                    className="w-full rounded-md border border-border bg-input px-3 py-2 text-foreground focus:outline-none focus:ring-2 focus:ring-ring"
+                    required
+                  />
+                </div>
+              )}
 
               <div className="flex-1 min-w-0"> {/* Added flex-1 and min-w-0 for responsiveness */}
                 <label htmlFor="repeat" className="block text-sm font-medium text-foreground mb-1">Repeat</label>
                 <select
                   id="repeat"
                   value={repeat}
-                  onChange={(e) => setRepeat(e.target.value)}
+                  onChange={(e) => handleRepeatChange(e.target.value)}
                   className="w-full rounded-md border border-border bg-input px-3 py-2 text-foreground focus:outline-none focus:ring-2 focus:ring-ring"
                 >
                   <option value="once">Once</option>
                   <option value="daily">Daily</option>
                   <option value="weekly">Weekly</option>
+                  <option value="monthly">Monthly</option>
+                  <option value="yearly">Yearly</option>
+                  <option value="interval">Every N minutes/hours</option>
+                  <option value="cron">Custom (cron)</option>
                 </select>
               </div>
             </div>
 
-            {repeat === "weekly" && (
+            {multiTime && (
               <div>
-                <label className="block text-sm font-medium text-foreground mb-1">Day of the Week</label>
+                <label className="block text-sm font-medium text-foreground mb-1">More Times</label>
+                {extraTimes.map((slot, idx) => (
+                  <div key={idx} className="flex items-center space-x-2 mb-2">
+                    <input
+                      type="time"
+                      value={slot}
+                      onChange={(e) => handleExtraTimeChange(idx, e.target.value)}
+                      className="w-full rounded-md border border-border bg-input px-3 py-2 text-foreground focus:outline-none focus:ring-2 focus:ring-ring"
+                      required
+                    />
+                    <Button type="button" variant="ghost" size="sm" onClick={() => removeTimeField(idx)} className="text-destructive hover:text-destructive/90 hover:bg-destructive/10">Remove</Button>
+                  </div>
+                ))}
+                <Button type="button" variant="outline" size="sm" onClick={addTimeField}>Add time</Button>
+                {timeSlots && timeSlots.length > 1 && (
+                  <p className="text-xs text-muted-foreground mt-1">Runs at {timeSlots.join(", ")} each {repeat === "daily" ? "day" : "scheduled day"}.</p>
+                )}
+              </div>
+            )}
+
+            <div>
+              <label htmlFor="timeZone" className="block text-sm font-medium text-foreground mb-1">Time Zone</label>
+              <select
+                id="timeZone"
+                value={timeZone}
+                onChange={(e) => setTimeZone(e.target.value)}
+                className="w-full rounded-md border border-border bg-input px-3 py-2 text-foreground focus:outline-none focus:ring-2 focus:ring-ring"
+              >
+                <option value="">Local time ({getLocalTimeZone()})</option>
+                {getSupportedTimeZones().map(zone => <option key={zone} value={zone}>{zone}</option>)}
+              </select>
+              <p className="mt-1 text-xs text-muted-foreground">
+                {timeZone ? "Runs at this wall-clock time in the chosen zone, wherever you are." : "Follows your computer's time zone if you travel."}
+              </p>
+            </div>
+
+            <div>
+              <label htmlFor="jitterMinutes" className="block text-sm font-medium text-foreground mb-1">Random Offset (± minutes, optional)</label>
+              <input
+                type="number"
+                id="jitterMinutes"
+                min={0}
+                max={MAX_JITTER_MINUTES}
+                value={jitterMinutes}
+                onChange={(e) => setJitterMinutes(e.target.value)}
+                placeholder="0"
+                className="w-full rounded-md border border-border bg-input px-3 py-2 text-foreground focus:outline-none focus:ring-2 focus:ring-ring"
+              />
+              {jitterError ? (
+                <p className="mt-1 text-xs text-destructive">{jitterError}</p>
+              ) : (
+                <p className="mt-1 text-xs text-muted-foreground">
+                  Each run fires up to this many minutes early or late, so shared schedules don&apos;t all hit a site at once.
+                </p>
+              )}
+            </div>
+
+            <div>
+              <label htmlFor="reminderMinutes" className="block text-sm font-medium text-foreground mb-1">Reminder (minutes before, optional)</label>
+              <input
+                type="number"
+                id="reminderMinutes"
+                min={1}
+                max={MAX_REMINDER_MINUTES}
+                value={reminderMinutes}
+                onChange={(e) => setReminderMinutes(e.target.value)}
+                placeholder="No reminder"
+                className="w-full rounded-md border border-border bg-input px-3 py-2 text-foreground focus:outline-none focus:ring-2 focus:ring-ring"
+              />
+              {reminderError ? (
+                <p className="mt-1 text-xs text-destructive">{reminderError}</p>
+              ) : (
+                <p className="mt-1 text-xs text-muted-foreground">
+                  A notification comes before each run: click it to run now, delay the run by {REMINDER_DELAY_MINUTES} minutes, or skip it this time.
+                </p>
+              )}
+            </div>
+
+            <div>
+              <label htmlFor="notificationMode" className="block text-sm font-medium text-foreground mb-1">Run Notification</label>
+              <div className="flex space-x-2">
+                <select
+                  id="notificationMode"
+                  value={notificationMode}
+                  onChange={(e) => setNotificationMode(e.target.value)}
+                  className="flex-1 min-w-0 rounded-md border border-border bg-input px-3 py-2 text-foreground focus:outline-none focus:ring-2 focus:ring-ring"
+                >
+                  {Object.entries(NOTIFICATION_MODE_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+                <select
+                  value={notificationPriority}
+                  onChange={(e) => setNotificationPriority(e.target.value)}
+                  aria-label="Notification priority"
+                  disabled={notificationMode === "none"}
+                  className="flex-1 min-w-0 rounded-md border border-border bg-input px-3 py-2 text-foreground focus:outline-none focus:ring-2 focus:ring-ring"
+                >
+                  {Object.entries(NOTIFICATION_PRIORITY_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+                <select
+                  value={notificationSticky}
+                  onChange={(e) => setNotificationSticky(e.target.value)}
+                  aria-label="Keep the notification on screen"
+                  disabled={notificationMode === "none"}
+                  className="flex-1 min-w-0 rounded-md border border-border bg-input px-3 py-2 text-foreground focus:outline-none focus:ring-2 focus:ring-ring"
+                >
+                  <option value="">Default duration</option>
+                  <option value="yes">Until dismissed</option>
+                  <option value="no">Hide automatically</option>
+                </select>
+              </div>
+              <p className="mt-1 text-xs text-muted-foreground">
+                &quot;Default&quot; follows the notification settings. Clicking the notification brings the opened tabs to the front.
+              </p>
+            </div>
+
+            <div className="space-y-2">
+              <label htmlFor="alertSound" className="block text-sm font-medium text-foreground mb-1">Alert Sound</label>
+              <div className="flex items-center space-x-2">
+                <select
+                  id="alertSound"
+                  value={alertSound}
+                  onChange={(e) => setAlertSound(e.target.value)}
+                  className="flex-1 min-w-0 rounded-md border border-border bg-input px-3 py-2 text-foreground focus:outline-none focus:ring-2 focus:ring-ring"
+                >
+                  <option value="">None</option>
+                  {Object.entries(BUILTIN_SOUNDS).map(([value, sound]) => (
+                    <option key={value} value={value}>{sound.label}</option>
+                  ))}
+                  {customSounds.map(sound => (
+                    <option key={sound.id} value={getCustomSoundOption(sound.id)}>{sound.name}</option>
+                  ))}
+                </select>
+                <input
+                  type="range"
+                  min={0}
+                  max={100}
+                  value={alertVolume}
+                  onChange={(e) => setAlertVolume(parseInt(e.target.value, 10))}
+                  disabled={!alertSound}
+                  aria-label="Sound volume"
+                  className="w-24"
+                />
+                <Button
+                  type="button"
+                  variant="outline"
+                  size="sm"
+                  disabled={!alertSound}
+                  onClick={() => {
+                    const custom = customSounds.find(sound => getCustomSoundOption(sound.id) === alertSound);
+                    playSound(alertSound, alertVolume, custom && custom.dataUrl);
+                  }}
+                >
+                  Play
+                </Button>
+              </div>
+              <label className="flex items-center space-x-2 text-sm text-foreground cursor-pointer">
+                <input type="checkbox" checked={alertSpeak} onChange={(e) => setAlertSpeak(e.target.checked)} />
+                <span>Announce it out loud</span>
+              </label>
+              {alertSpeak && (
+                <div className="flex items-center space-x-2">
+                  <input
+                    type="text"
+                    value={speechText}
+                    onChange={(e) => setSpeechText(e.target.value)}
+                    placeholder={getSpeechText({ name: name || "this schedule" })}
+                    aria-label="Announcement"
+                    className="flex-1 min-w-0 rounded-md border border-border bg-input px-3 py-2 text-foreground focus:outline-none focus:ring-2 focus:ring-ring"
+                  />
+                  <input
+                    type="range"
+                    min={0}
+                    max={100}
+                    value={speechVolume}
+                    onChange={(e) => setSpeechVolume(parseInt(e.target.value, 10))}
+                    aria-label="Speech volume"
+                    className="w-24"
+                  />
+                  <Button
+                    type="button"
+                    variant="outline"
+                    size="sm"
+                    onClick={() => chrome.tts.speak(getSpeechText({ name: name || "this schedule", alert: { speechText } }), { volume: speechVolume / 100 })}
+                  >
+                    Say
+                  </Button>
+                </div>
+              )}
+              <p className="text-xs text-muted-foreground">
+                Plays when the schedule fires, so you notice it from another app. Upload sounds or mute all alerts in Settings.
+              </p>
+            </div>
+
+            {repeat !== "once" && (
+              <div>
+                <div className="flex flex-col sm:flex-row sm:space-x-4 space-y-4 sm:space-y-0">
+                  <div className="flex-1 min-w-0">
+                    <label htmlFor="endDate" className="block text-sm font-medium text-foreground mb-1">End Date (optional)</label>
+                    <input
+                      type="date"
+                      id="endDate"
+                      value={endDate}
+                      min={startDate || undefined}
+                      onChange={(e) => setEndDate(e.target.value)}
+                      className="w-full rounded-md border border-border bg-input px-3 py-2 text-foreground focus:outline-none focus:ring-2 focus:ring-ring"
+                    />
+                  </div>
+                  <div className="flex-1 min-w-0">
+                    <label htmlFor="maxRuns" className="block text-sm font-medium text-foreground mb-1">Max Runs (optional)</label>
+                    <input
+                      type="number"
+                      id="maxRuns"
+                      min={1}
+                      value={maxRuns}
+                      onChange={(e) => setMaxRuns(e.target.value)}
+                      placeholder="Unlimited"
+                      className="w-full rounded-md border border-border bg-input px-3 py-2 text-foreground focus:outline-none focus:ring-2 focus:ring-ring"
+                    />
+                  </div>
+                </div>
+                {endError ? (
+                  <p className="mt-1 text-xs text-destructive">{endError}</p>
+                ) : (
+                  <p className="mt-1 text-xs text-muted-foreground">
+                    When either limit is reached the schedule is archived.
+                    {runCount > 0 && ` It has run ${runCount} time${runCount === 1 ? "" : "s"} so far.`}
+                    {archived && " Saving reactivates it if it has runs left."}
+                  </p>
+                )}
+              </div>
+            )}
+
+            {repeat !== "once" && (
+              <div>
+                <label htmlFor="exclusionCalendar" className="block text-sm font-medium text-foreground mb-1">Skip Dates In</label>
+                <select
+                  id="exclusionCalendar"
+                  value={exclusionCalendarId}
+                  onChange={(e) => setExclusionCalendarId(e.target.value)}
+                  className="w-full rounded-md border border-border bg-input px-3 py-2 text-foreground focus:outline-none focus:ring-2 focus:ring-ring"
+                >
+                  <option value="">No exclusion calendar</option>
+                  {calendars.map(calendar => (
+                    <option key={calendar.id} value={calendar.id}>{calendar.name}</option>
+                  ))}
+                  {exclusionCalendarId && !calendars.some(calendar => calendar.id === exclusionCalendarId) && (
+                    <option value={exclusionCalendarId}>Unknown calendar (not on this device)</option>
+                  )}
+                </select>
+                <p className="mt-1 text-xs text-muted-foreground">
+                  Runs on these dates are skipped and not reported as missed.{" "}
+                  <a href="#/calendars" className="underline hover:text-foreground">Manage calendars</a>
+                </p>
+              </div>
+            )}
+
+            {repeat === "interval" && (
+              <div className="space-y-2 text-sm text-foreground">
+                <div className="flex items-center flex-wrap gap-2">
+                  <span>Every</span>
+                  <input
+                    type="number"
+                    min={1}
+                    value={intervalValue}
+                    onChange={(e) => setIntervalValue(e.target.value)}
+                    className="w-20 rounded-md border border-border bg-input px-2 py-1 text-foreground focus:outline-none focus:ring-2 focus:ring-ring"
+                    aria-label="Interval"
+                  />
+                  <select
+                    value={intervalUnit}
+                    onChange={(e) => setIntervalUnit(e.target.value)}
+                    className="rounded-md border border-border bg-input px-2 py-1 text-foreground focus:outline-none focus:ring-2 focus:ring-ring"
+                    aria-label="Interval unit"
+                  >
+                    <option value="minutes">minutes</option>
+                    <option value="hours">hours</option>
+                  </select>
+                </div>
+                <div className="flex items-center flex-wrap gap-2">
+                  <label className="flex items-center gap-2">
+                    <input type="checkbox" checked={useWindow} onChange={(e) => setUseWindow(e.target.checked)} />
+                    <span>Only between</span>
+                  </label>
+                  <input
+                    type="time"
+                    value={windowStart}
+                    onChange={(e) => setWindowStart(e.target.value)}
+                    disabled={!useWindow}
+                    className="rounded-md border border-border bg-input px-2 py-1 text-foreground focus:outline-none focus:ring-2 focus:ring-ring disabled:opacity-50"
+                    aria-label="Window start"
+                  />
+                  <span>and</span>
+                  <input
+                    type="time"
+                    value={windowEnd}
+                    onChange={(e) => setWindowEnd(e.target.value)}
+                    disabled={!useWindow}
+                    className="rounded-md border border-border bg-input px-2 py-1 text-foreground focus:outline-none focus:ring-2 focus:ring-ring disabled:opacity-50"
+                    aria-label="Window end"
+                  />
+                </div>
+                {intervalError ? (
+                  <p className="text-xs text-destructive">{intervalError}</p>
+                ) : (
+                  <p className="text-xs text-muted-foreground">
+                    {intervalNextRun ? `Next run: ${new Date(intervalNextRun).toLocaleString()}` : "This schedule never fires."}
+                  </p>
+                )}
+              </div>
+            )}
+
+            {(repeat === "weekly" || repeat === "interval") && (
+              <div>
+                <label className="block text-sm font-medium text-foreground mb-1">
+                  {repeat === "interval" ? "Only on These Days (none selected means every day)" : "Day of the Week"}
+                </label>
                 <div className="grid grid-cols-3 sm:grid-cols-4 gap-2">
                   {["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"].map((day, index) => (
                     <Button
@@ -302,6 +1403,41 @@ const ScheduleEditor = ({ isPopup }) => {
                 </div>
               </div>
             )}
+            {(repeat === "monthly" || repeat === "yearly") && (
+              <div>
+                <RecurrenceRuleFields value={rrule} onChange={setRRule} />
+                {rruleError ? (
+                  <p className="mt-1 text-xs text-destructive">{rruleError}</p>
+                ) : (
+                  <p className="mt-1 text-xs text-muted-foreground">
+                    {rruleNextRun ? `Next run: ${new Date(rruleNextRun).toLocaleString()}` : "This rule never fires."}
+                  </p>
+                )}
+              </div>
+            )}
+            {repeat === "cron" && (
+              <div>
+                <label htmlFor="cron" className="block text-sm font-medium text-foreground mb-1">Cron Expression</label>
+                <input
+                  type="text"
+                  id="cron"
+                  value={cron}
+                  onChange={(e) => setCron(e.target.value)}
+                  placeholder="*/30 9-17 * * 1-5"
+                  spellCheck={false}
+                  className="w-full rounded-md border border-border bg-input px-3 py-2 font-mono text-foreground focus:outline-none focus:ring-2 focus:ring-ring"
+                  required
+                />
+                {cronError ? (
+                  <p className="mt-1 text-xs text-destructive">{cronError}</p>
+                ) : (
+                  <p className="mt-1 text-xs text-muted-foreground">
+                    minute hour day-of-month month day-of-week.
+                    {cronNextRun ? ` Next run: ${new Date(cronNextRun).toLocaleString()}` : " This expression never fires."}
+                  </p>
+                )}
+              </div>
+            )}
             <div className="mt-auto flex space-x-2 pt-4">
               <Button type="button" variant="outline" onClick={() => window.location.hash = "#/"} className="flex-1">Cancel</Button>
               <Button type="submit" className="flex-1">Save Schedule</Button>
@@ -0,0 +1,264 @@
+// Alerts: sounds and spoken announcements when a schedule fires, played through an offscreen document
+
+/**
+ * @typedef {object} AlertOptions
+ * How a schedule makes itself heard when it fires. At least one of `sound` and `speak` is set.
+ * @property {string} [sound] - A built-in sound (a key of {@link BUILTIN_SOUNDS}), or `custom:` followed by the ID of
+ *                              an uploaded sound (see {@link getCustomSounds}).
+ * @property {number} [volume] - Sound volume from 0 to 100. Defaults to {@link DEFAULT_ALERT_VOLUME}.
+ * @property {boolean} [speak] - Announce the run with text-to-speech.
+ * @property {string} [speechText] - What to say. Defaults to "Opening" followed by the schedule name.
+ * @property {number} [speechVolume] - Speech volume from 0 to 100. Defaults to {@link DEFAULT_ALERT_VOLUME}.
+ */
+
+/**
+ * @typedef {object} CustomSound
+ * A sound the user uploaded.
+ * @property {string} id - Unique identifier for the sound.
+ * @property {string} name - The sound's name, from its file name.
+ * @property {string} dataUrl - The audio file as a data URL.
+ */
+
+/**
+ * The built-in sounds, synthesized rather than shipped as files. Each note is
+ * `[frequency in Hz, start in seconds, duration in seconds]`.
+ * @type {Object<string, {label: string, wave: string, notes: number[][]}>}
+ */
+export const BUILTIN_SOUNDS = {
+  chime: { label: "Chime", wave: "sine", notes: [[880, 0, 0.35], [1318.5, 0.2, 0.6]] },
+  bell: { label: "Bell", wave: "triangle", notes: [[1046.5, 0, 1.2], [1568, 0, 0.9]] },
+  rise: { label: "Rising", wave: "sine", notes: [[523.3, 0, 0.2], [659.3, 0.15, 0.2], [784, 0.3, 0.2], [1046.5, 0.45, 0.45]] },
+  beep: { label: "Beep", wave: "square", notes: [[1000, 0, 0.12], [1000, 0.2, 0.12], [1000, 0.4, 0.12]] },
+  alarm: { label: "Alarm", wave: "sawtooth", notes: [[880, 0, 0.25], [660, 0.25, 0.25], [880, 0.5, 0.25], [660, 0.75, 0.25]] },
+};
+
+/**
+ * Volume of sounds and speech whose schedule doesn't set one, from 0 to 100.
+ * @type {number}
+ */
+export const DEFAULT_ALERT_VOLUME = 80;
+
+/**
+ * Largest audio file that can be uploaded as a custom sound, in bytes.
+ * Custom sounds live in `chrome.storage.local`, which holds 10 MB in all.
+ * @type {number}
+ */
+export const MAX_CUSTOM_SOUND_BYTES = 1024 * 1024;
+
+/**
+ * Key in `chrome.storage.local` holding the uploaded sounds.
+ * @type {string}
+ */
+export const CUSTOM_SOUNDS_KEY = 'chronotab_custom_sounds';
+
+/**
+ * Key in `chrome.storage.sync` of the global mute. While true, no schedule plays its sound or speaks.
+ * @type {string}
+ */
+export const ALERTS_MUTED_KEY = 'chronotab_alerts_muted';
+
+// Prefix of the `sound` option for uploaded sounds, followed by the sound ID
+const CUSTOM_SOUND_PREFIX = 'custom:';
+
+// Page the service worker plays sounds through, since it can't play audio itself
+const OFFSCREEN_DOCUMENT_PATH = 'offscreen.html';
+
+// The offscreen document being created, so that alerts firing together don't create it twice
+let creatingOffscreenDocument = null;
+
+/**
+ * Checks whether a volume is a whole number from 0 to 100.
+ * @param {number} volume - The volume.
+ * @returns {boolean} True if the volume is valid.
+ */
+function isValidVolume(volume) {
+  return Number.isInteger(volume) && volume >= 0 && volume <= 100;
+}
+
+/**
+ * Checks whether a schedule's alert options are well-formed. Uploaded sounds aren't looked up:
+ * a schedule whose sound was since deleted just stays quiet.
+ * @param {AlertOptions} alert - The options.
+ * @returns {boolean} True if the options are valid.
+ */
+export function isValidAlertOptions(alert) {
+  if (!alert || typeof alert !== 'object') return false;
+  if (alert.sound === undefined && !alert.speak) return false;
+  if (alert.sound !== undefined &&
+      !(typeof alert.sound === 'string' && (alert.sound in BUILTIN_SOUNDS || alert.sound.startsWith(CUSTOM_SOUND_PREFIX)))) {
+    return false;
+  }
+  if (alert.volume !== undefined && !isValidVolume(alert.volume)) return false;
+  if (alert.speak !== undefined && typeof alert.speak !== 'boolean') return false;
+  if (alert.speechText !== undefined && typeof alert.speechText !== 'string') return false;
+  return alert.speechVolume === undefined || isValidVolume(alert.speechVolume);
+}
+
+/**
+ * Returns the `sound` option value for an uploaded sound.
+ * @param {string} soundId - The sound ID.
+ * @returns {string} The option value.
+ */
+export function getCustomSoundOption(soundId) {
+  return `${CUSTOM_SOUND_PREFIX}${soundId}`;
+}
+
+/**
+ * Reads the uploaded sounds.
+ * @async
+ * @returns {Promise<CustomSound[]>} The sounds.
+ */
+export async function getCustomSounds() {
+  const result = await chrome.storage.local.get(CUSTOM_SOUNDS_KEY);
+  return result[CUSTOM_SOUNDS_KEY] || [];
+}
+
+/**
+ * Saves an uploaded sound.
+ * @async
+ * @param {string} name - The sound's name.
+ * @param {string} dataUrl - The audio file as a data URL.
+ * @returns {Promise<CustomSound>} The saved sound.
+ */
+export async function addCustomSound(name, dataUrl) {
+  const sound = { id: crypto.randomUUID(), name, dataUrl };
+  const sounds = await getCustomSounds();
+  await chrome.storage.local.set({ [CUSTOM_SOUNDS_KEY]: [...sounds, sound] });
+  return sound;
+}
+
+/**
+ * Deletes an uploaded sound. Schedules using it play no sound from then on.
+ * @async
+ * @param {string} soundId - The sound ID.
+ * @returns {Promise<void>}
+ */
+export async function removeCustomSound(soundId) {
+  const sounds = (await getCustomSounds()).filter(sound => sound.id !== soundId);
+  if (sounds.length === 0) {
+    await chrome.storage.local.remove(CUSTOM_SOUNDS_KEY);
+  } else {
+    await chrome.storage.local.set({ [CUSTOM_SOUNDS_KEY]: sounds });
+  }
+}
+
+/**
+ * Plays a sound. Needs a page that can play audio: the offscreen document, or an extension page for a preview.
+ * @async
+ * @param {string} sound - A built-in sound (a key of {@link BUILTIN_SOUNDS}), or anything else for `dataUrl`.
+ * @param {number} volume - The volume, from 0 to 100.
+ * @param {string} [dataUrl] - The audio of an uploaded sound.
+ * @returns {Promise<void>} Resolves once the sound has finished playing.
+ */
+export async function playSound(sound, volume, dataUrl) {
+  const gain = Math.min(100, Math.max(0, volume)) / 100;
+  const builtin = BUILTIN_SOUNDS[sound];
+  if (!builtin) {
+    if (!dataUrl) return;
+    const audio = new Audio(dataUrl);
+    audio.volume = gain;
+    await new Promise((resolve) => {
+      audio.addEventListener('ended', resolve);
+      audio.addEventListener('error', resolve);
+      audio.play().catch(resolve);
+    });
+    return;
+  }
+
+  const context = new AudioContext();
+  let end = 0;
+  for (const [frequency, start, duration] of builtin.notes) {
+    const oscillator = context.createOscillator();
+    const envelope = context.createGain();
+    oscillator.type = builtin.wave;
+    oscillator.frequency.value = frequency;
+    // A quick attack and an exponential fade keep the notes from clicking
+    const startAt = context.currentTime + start;
+    envelope.gain.setValueAtTime(0.0001, startAt);
+    envelope.gain.exponentialRampToValueAtTime(Math.max(gain, 0.0001) * 0.4, startAt + 0.01);
+    envelope.gain.exponentialRampToValueAtTime(0.0001, startAt + duration);
+    oscillator.connect(envelope).connect(context.destination);
+    oscillator.start(startAt);
+    oscillator.stop(startAt + duration);
+    end = Math.max(end, start + duration);
+  }
+  await new Promise(resolve => setTimeout(resolve, end * 1000 + 50));
+  await context.close();
+}
+
+/**
+ * Returns what a schedule's spoken announcement says.
+ * @param {import('./scheduler.js').Schedule} schedule - The schedule.
+ * @returns {string} The text.
+ */
+export function getSpeechText(schedule) {
+  const text = schedule.alert && schedule.alert.speechText ? schedule.alert.speechText.trim() : '';
+  return text || `Opening ${schedule.name}`;
+}
+
+/**
+ * Creates the offscreen document sounds are played through, unless it's already open.
+ * Chrome closes it again by itself once it has been silent for a while.
+ * @async
+ * @returns {Promise<void>}
+ */
+async function ensureOffscreenDocument() {
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [chrome.runtime.getURL(OFFSCREEN_DOCUMENT_PATH)],
+  });
+  if (contexts.length > 0) return;
+  if (!creatingOffscreenDocument) {
+    creatingOffscreenDocument = chrome.offscreen.createDocument({
+      url: OFFSCREEN_DOCUMENT_PATH,
+      reasons: ['AUDIO_PLAYBACK'],
+      justification: 'Plays the alert sounds of schedules when they fire.',
+    }).finally(() => {
+      creatingOffscreenDocument = null;
+    });
+  }
+  await creatingOffscreenDocument;
+}
+
+/**
+ * Plays a schedule's alert from the service worker: its sound through the offscreen document, then its
+ * spoken announcement. Nothing plays while alerts are muted (see {@link ALERTS_MUTED_KEY}).
+ * @async
+ * @param {import('./scheduler.js').Schedule} schedule - The schedule that fired.
+ * @returns {Promise<void>} Resolves once the sound has played and the announcement is queued. Errors are logged, not thrown.
+ */
+export async function playAlert(schedule) {
+  const { alert } = schedule;
+  if (!isValidAlertOptions(alert)) return;
+  try {
+    const result = await chrome.storage.sync.get(ALERTS_MUTED_KEY);
+    if (result[ALERTS_MUTED_KEY]) return;
+
+    if (alert.sound !== undefined) {
+      let dataUrl;
+      if (alert.sound.startsWith(CUSTOM_SOUND_PREFIX)) {
+        const soundId = alert.sound.slice(CUSTOM_SOUND_PREFIX.length);
+        const custom = (await getCustomSounds()).find(sound => sound.id === soundId);
+        dataUrl = custom ? custom.dataUrl : undefined;
+      }
+      if (alert.sound in BUILTIN_SOUNDS || dataUrl) {
+        await ensureOffscreenDocument();
+        // Resolves once the offscreen document has played the sound, so speech doesn't talk over it
+        await chrome.runtime.sendMessage({
+          target: 'offscreen',
+          action: 'playSound',
+          sound: alert.sound,
+          volume: alert.volume !== undefined ? alert.volume : DEFAULT_ALERT_VOLUME,
+          dataUrl,
+        });
+      }
+    }
+
+    if (alert.speak) {
+      const volume = alert.speechVolume !== undefined ? alert.speechVolume : DEFAULT_ALERT_VOLUME;
+      chrome.tts.speak(getSpeechText(schedule), { volume: volume / 100, enqueue: true });
+    }
+  } catch (error) {
+    console.error(`[Chronotab] Error playing the alert of '${schedule.name}':`, error);
+  }
+}
@@ -0,0 +1,305 @@
+// Exclusion calendars: named lists of dates on which subscribed schedules don't run
+import { getZonedParts, zonedTimeToTimestamp, addCalendarDays } from './timezone.js';
+
+/**
+ * @typedef {object} ExclusionEntry
+ * One excluded date or date range of an exclusion calendar.
+ * @property {string} start - First excluded day ("YYYY-MM-DD").
+ * @property {string} [end] - Last excluded day ("YYYY-MM-DD", inclusive). Omitted for a single day.
+ * @property {string} [label] - What the date is, e.g. "Christmas Day".
+ * @property {boolean} [yearly] - True if the entry repeats on the same dates every year from `start` on.
+ * @property {number} [lastYear] - For yearly entries, the last year a repetition starts in. Omitted if it repeats forever.
+ */
+
+/**
+ * @typedef {object} ExclusionCalendar
+ * A named list of excluded dates. Schedules subscribe to one through their `exclusionCalendarId`.
+ * @property {string} id - Unique identifier for the calendar.
+ * @property {string} name - User-defined name, e.g. "UK bank holidays".
+ * @property {ExclusionEntry[]} entries - The excluded dates.
+ */
+
+/**
+ * Key in `chrome.storage.local` holding the list of exclusion calendars.
+ * Calendars live in local storage because an imported ICS feed can easily outgrow the per-item quota of sync storage.
+ * @type {string}
+ */
+export const EXCLUSION_CALENDARS_KEY = 'chronotab_exclusion_calendars';
+
+// Calendars known to the recurrence engine, by ID. Filled by setExclusionCalendars.
+let registeredCalendars = new Map();
+
+/**
+ * Tells the recurrence engine which exclusion calendars exist.
+ * Until a calendar is registered, schedules subscribed to it run on every date.
+ * @param {ExclusionCalendar[]} calendars - All exclusion calendars.
+ */
+export function setExclusionCalendars(calendars) {
+  registeredCalendars = new Map((calendars || []).map(calendar => [calendar.id, calendar]));
+}
+
+/**
+ * Returns a registered exclusion calendar.
+ * @param {string} [calendarId] - The calendar ID.
+ * @returns {ExclusionCalendar | null} The calendar, or null if there is no registered calendar with that ID.
+ */
+export function getExclusionCalendar(calendarId) {
+  return (calendarId && registeredCalendars.get(calendarId)) || null;
+}
+
+/**
+ * Reads the exclusion calendars from `chrome.storage.local`.
+ * @async
+ * @returns {Promise<ExclusionCalendar[]>} The stored calendars.
+ */
+export async function getExclusionCalendars() {
+  const result = await chrome.storage.local.get(EXCLUSION_CALENDARS_KEY);
+  return result[EXCLUSION_CALENDARS_KEY] || [];
+}
+
+/**
+ * Reads the exclusion calendars from storage and registers them with the recurrence engine.
+ * Must be awaited before computing occurrences in a fresh context (e.g. a restarted service worker).
+ * Errors are logged and leave the engine with no calendars.
+ * @async
+ * @returns {Promise<ExclusionCalendar[]>} The stored calendars, or an empty array if they couldn't be read.
+ */
+export async function loadExclusionCalendars() {
+  try {
+    const calendars = await getExclusionCalendars();
+    setExclusionCalendars(calendars);
+    return calendars;
+  } catch (error) {
+    console.error("[Chronotab] Error loading exclusion calendars:", error);
+    setExclusionCalendars([]);
+    return [];
+  }
+}
+
+/**
+ * Saves the exclusion calendars to `chrome.storage.local` and registers them with the recurrence engine.
+ * @async
+ * @param {ExclusionCalendar[]} calendars - All exclusion calendars.
+ * @returns {Promise<void>}
+ */
+export async function saveExclusionCalendars(calendars) {
+  await chrome.storage.local.set({ [EXCLUSION_CALENDARS_KEY]: calendars });
+  setExclusionCalendars(calendars);
+}
+
+/**
+ * Checks whether a string is a real calendar date in "YYYY-MM-DD" form.
+ * @param {string} value - The string to check.
+ * @returns {boolean} True if the date exists.
+ */
+export function isValidDateKey(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  if (!match) return false;
+  const date = { year: parseInt(match[1], 10), month: parseInt(match[2], 10), day: parseInt(match[3], 10) };
+  const normalized = addCalendarDays(date, 0);
+  return normalized.year === date.year && normalized.month === date.month && normalized.day === date.day;
+}
+
+/**
+ * Formats a date as "YYYY-MM-DD".
+ * @param {{year: number, month: number, day: number}} date - The date (month 1-12).
+ * @returns {string} The formatted date.
+ */
+function toDateKey({ year, month, day }) {
+  return `${String(year).padStart(4, '0')}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Parses a "YYYY-MM-DD" string.
+ * @param {string} dateKey - The date.
+ * @returns {{year: number, month: number, day: number}} The date (month 1-12).
+ */
+function fromDateKey(dateKey) {
+  const [year, month, day] = dateKey.split('-').map(part => parseInt(part, 10));
+  return { year, month, day };
+}
+
+/**
+ * Finds the excluded range of an entry that contains a day, taking yearly repetition into account.
+ * @param {ExclusionEntry} entry - The entry.
+ * @param {string} dateKey - The day ("YYYY-MM-DD").
+ * @returns {string | null} The last excluded day of the matching range, or null if the entry doesn't cover the day.
+ */
+function matchEntry(entry, dateKey) {
+  const end = entry.end || entry.start;
+  if (!entry.yearly) {
+    return entry.start <= dateKey && dateKey <= end ? end : null;
+  }
+  if (dateKey < entry.start) return null;
+  // A range that spans New Year may have started in the previous year
+  const year = parseInt(dateKey.slice(0, 4), 10);
+  const spanYears = parseInt(end.slice(0, 4), 10) - parseInt(entry.start.slice(0, 4), 10);
+  for (const startYear of [year, year - 1]) {
+    if (Number.isInteger(entry.lastYear) && startYear > entry.lastYear) continue;
+    const shiftedStart = `${String(startYear).padStart(4, '0')}${entry.start.slice(4)}`;
+    const shiftedEnd = `${String(startYear + spanYears).padStart(4, '0')}${end.slice(4)}`;
+    if (shiftedStart <= dateKey && dateKey <= shiftedEnd) {
+      return shiftedEnd;
+    }
+  }
+  return null;
+}
+
+/**
+ * Checks whether an instant falls on a date excluded by a calendar and, if so, when the exclusion ends.
+ * Dates are evaluated as wall-clock dates in the given time zone, so an exclusion of 25 December covers
+ * midnight to midnight in the schedule's own zone.
+ * @param {ExclusionCalendar} calendar - The exclusion calendar.
+ * @param {number} timestamp - The instant (milliseconds since epoch).
+ * @param {string} [timeZone] - IANA time zone to read the date in. Defaults to the browser's zone.
+ * @returns {number | null} Midnight after the last excluded day covering the instant, or null if it isn't excluded.
+ */
+export function getExclusionEnd(calendar, timestamp, timeZone) {
+  const dateKey = toDateKey(getZonedParts(timestamp, timeZone));
+  let lastExcludedDay = null;
+  (calendar.entries || []).forEach(entry => {
+    const end = matchEntry(entry, dateKey);
+    if (end !== null && (lastExcludedDay === null || end > lastExcludedDay)) {
+      lastExcludedDay = end;
+    }
+  });
+  if (lastExcludedDay === null) return null;
+  const dayAfter = addCalendarDays(fromDateKey(lastExcludedDay), 1);
+  return zonedTimeToTimestamp(dayAfter.year, dayAfter.month, dayAfter.day, 0, 0, timeZone);
+}
+
+/**
+ * Reads the date of an iCalendar DATE or DATE-TIME value ("20251225" or "20251225T090000Z").
+ * Times and time zones are ignored: an event counts for the calendar date it is written with.
+ * @param {string} value - The property value.
+ * @returns {{date: string, hasTime: boolean, midnight: boolean} | null} The date ("YYYY-MM-DD"), whether the value
+ *          had a time, and whether that time was midnight; or null if the value isn't a date.
+ */
+function parseIcsDate(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value.trim());
+  if (!match) return null;
+  const date = `${match[1]}-${match[2]}-${match[3]}`;
+  if (!isValidDateKey(date)) return null;
+  const hasTime = match[4] !== undefined;
+  return { date, hasTime, midnight: hasTime && match[4] === '00' && match[5] === '00' && match[6] === '00' };
+}
+
+/**
+ * Undoes the text escaping of an iCalendar TEXT value.
+ * @param {string} value - The escaped value.
+ * @returns {string} The plain text.
+ */
+function unescapeIcsText(value) {
+  return value.replace(/\\([\\;,nN])/g, (_, char) => (char === 'n' || char === 'N' ? ' ' : char)).trim();
+}
+
+/**
+ * Splits an RRULE value into its parts, e.g. `{FREQ: 'YEARLY', BYMONTH: '12'}`.
+ * @param {string} value - The RRULE value.
+ * @returns {Object<string, string>} The parts, by upper-case name.
+ */
+function parseRRuleParts(value) {
+  return Object.fromEntries(value.trim().toUpperCase().split(';').map(part => part.split('=')));
+}
+
+/**
+ * Checks whether an RRULE repeats an event on the same date every year, e.g. `FREQ=YEARLY;BYMONTH=12;BYMONTHDAY=25`.
+ * Rules that move the date around (such as "fourth Thursday of November") or skip years don't qualify.
+ * @param {Object<string, string>} parts - The RRULE parts (see {@link parseRRuleParts}).
+ * @returns {boolean} True for a plain yearly rule.
+ */
+function isFixedDateYearlyRule(parts) {
+  if (parts.FREQ !== 'YEARLY' || (parts.INTERVAL && parts.INTERVAL !== '1')) return false;
+  return !['BYDAY', 'BYSETPOS', 'BYWEEKNO', 'BYYEARDAY'].some(name => name in parts);
+}
+
+/**
+ * Works out the last year a plain yearly rule repeats an event in, from the rule's `UNTIL` or `COUNT`.
+ * @param {Object<string, string>} parts - The RRULE parts (see {@link parseRRuleParts}).
+ * @param {string} start - The event's first day ("YYYY-MM-DD").
+ * @returns {number | null} The year, or null if the rule repeats forever.
+ */
+function getYearlyRuleLastYear(parts, start) {
+  const startYear = parseInt(start.slice(0, 4), 10);
+  let lastYear = null;
+  const count = parseInt(parts.COUNT, 10);
+  if (count >= 1) {
+    lastYear = startYear + count - 1;
+  }
+  const until = parts.UNTIL ? parseIcsDate(parts.UNTIL) : null;
+  if (until) {
+    // The repetition in UNTIL's year only counts if it starts on or before the UNTIL date
+    const untilYear = parseInt(until.date.slice(0, 4), 10);
+    const untilLastYear = until.date.slice(4) >= start.slice(4) ? untilYear : untilYear - 1;
+    lastYear = lastYear === null ? untilLastYear : Math.min(lastYear, untilLastYear);
+  }
+  return lastYear;
+}
+
+/**
+ * Extracts excluded dates from an iCalendar (.ics) file, such as a public-holiday feed.
+ *
+ * Every VEVENT becomes one entry spanning the days from DTSTART to DTEND (exclusive for all-day events,
+ * as RFC 5545 defines it). The SUMMARY becomes the entry's label. Events that repeat on the same date every
+ * year become yearly entries, ending where the rule's UNTIL or COUNT ends them; other recurrence rules are ignored
+ * and only the first occurrence is imported.
+ * Holiday feeds generally list each year's date as a separate event, so this covers them.
+ *
+ * @param {string} text - The contents of the .ics file.
+ * @returns {ExclusionEntry[]} The entries, sorted by start date.
+ * @throws {Error} If the text isn't an iCalendar file or has no usable events. The message is suitable for showing to the user.
+ */
+export function parseIcs(text) {
+  if (typeof text !== 'string' || !/BEGIN:VCALENDAR/i.test(text)) {
+    throw new Error("The file is not an iCalendar (.ics) file.");
+  }
+  // Long lines are folded by starting continuation lines with a space or tab
+  const lines = text.replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+
+  const entries = [];
+  let event = null;
+  lines.forEach(line => {
+    const separator = line.indexOf(':');
+    if (separator === -1) return;
+    const [name] = line.slice(0, separator).split(';');
+    const property = name.toUpperCase();
+    const value = line.slice(separator + 1);
+
+    if (property === 'BEGIN' && value.trim().toUpperCase() === 'VEVENT') {
+      event = {};
+    } else if (property === 'END' && value.trim().toUpperCase() === 'VEVENT') {
+      if (event && event.start) {
+        const entry = { start: event.start.date };
+        let end = event.start.date;
+        if (event.end && event.end.date > event.start.date) {
+          // All-day (and midnight) end times are exclusive, so the day before is the last excluded day
+          end = !event.end.hasTime || event.end.midnight
+            ? toDateKey(addCalendarDays(fromDateKey(event.end.date), -1))
+            : event.end.date;
+        }
+        if (end > entry.start) entry.end = end;
+        if (event.summary) entry.label = event.summary;
+        if (event.rule && isFixedDateYearlyRule(event.rule)) {
+          const lastYear = getYearlyRuleLastYear(event.rule, entry.start);
+          // A rule that ends in its first year doesn't repeat at all
+          if (lastYear === null || lastYear > parseInt(entry.start.slice(0, 4), 10)) {
+            entry.yearly = true;
+            if (lastYear !== null) entry.lastYear = lastYear;
+          }
+        }
+        entries.push(entry);
+      }
+      event = null;
+    } else if (event) {
+      if (property === 'DTSTART') event.start = parseIcsDate(value);
+      else if (property === 'DTEND') event.end = parseIcsDate(value);
+      else if (property === 'SUMMARY') event.summary = unescapeIcsText(value);
+      else if (property === 'RRULE') event.rule = parseRRuleParts(value);
+    }
+  });
+
+  if (entries.length === 0) {
+    throw new Error("The file contains no events with dates.");
+  }
+  return entries.sort((a, b) => a.start.localeCompare(b.start));
+}
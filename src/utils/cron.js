@@ -0,0 +1,265 @@
+// Five-field cron expression parsing and next-fire calculation
+import { getZonedParts, zonedTimeToTimestamp } from './timezone.js';
+
+/**
+ * @typedef {object} ParsedCron
+ * The expanded form of a five-field cron expression.
+ * @property {Set<number>} minutes - Matching minutes (0-59).
+ * @property {Set<number>} hours - Matching hours (0-23).
+ * @property {Set<number>} daysOfMonth - Matching days of the month (1-31).
+ * @property {Set<number>} months - Matching months (1=Jan, 12=Dec).
+ * @property {Set<number>} daysOfWeek - Matching days of the week (0=Sun, 6=Sat). A 7 in the expression is folded into 0.
+ * @property {boolean} dayOfMonthRestricted - True if the day-of-month field is not a wildcard.
+ * @property {boolean} dayOfWeekRestricted - True if the day-of-week field is not a wildcard.
+ */
+
+const MONTH_NAMES = ["JAN", "FEB", "MAR", "APR", "MAY", "JUN", "JUL", "AUG", "SEP", "OCT", "NOV", "DEC"];
+const DAY_NAMES = ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"];
+
+const FIELD_SPECS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day-of-month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12, names: MONTH_NAMES, nameOffset: 1 },
+  { name: "day-of-week", min: 0, max: 7, names: DAY_NAMES, nameOffset: 0 },
+];
+
+const MACROS = {
+  "@yearly": "0 0 1 1 *",
+  "@annually": "0 0 1 1 *",
+  "@monthly": "0 0 1 * *",
+  "@weekly": "0 0 * * 0",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@hourly": "0 * * * *",
+};
+
+// How far ahead getNextCronOccurrence searches before giving up. Eight years is enough
+// to reach the next Feb 29 that also satisfies a day-of-week restriction.
+const MAX_SEARCH_MS = 8 * 366 * 24 * 60 * 60 * 1000;
+
+const parsedCache = new Map();
+
+/**
+ * Converts a single value token (number or name) of a cron field to a number.
+ * @param {string} token - The token, e.g. "5", "MON" or "jan".
+ * @param {object} spec - The field specification from `FIELD_SPECS`.
+ * @returns {number} The numeric value.
+ * @throws {Error} If the token is not a valid value for the field.
+ */
+function parseFieldValue(token, spec) {
+  if (spec.names) {
+    const nameIndex = spec.names.indexOf(token.toUpperCase());
+    if (nameIndex !== -1) return nameIndex + spec.nameOffset;
+  }
+  if (!/^\d+$/.test(token)) {
+    throw new Error(`Invalid ${spec.name} value '${token}'.`);
+  }
+  const value = parseInt(token, 10);
+  if (value < spec.min || value > spec.max) {
+    throw new Error(`${spec.name} value ${value} is out of range (${spec.min}-${spec.max}).`);
+  }
+  return value;
+}
+
+/**
+ * Expands one cron field (e.g. "1-5", "*\/15", "MON,WED,FRI") into the set of values it matches.
+ * @param {string} field - The raw field text.
+ * @param {object} spec - The field specification from `FIELD_SPECS`.
+ * @returns {Set<number>} The matching values.
+ * @throws {Error} If the field is malformed.
+ */
+function parseField(field, spec) {
+  const values = new Set();
+  field.split(",").forEach(part => {
+    if (part === "") {
+      throw new Error(`Empty list item in ${spec.name} field.`);
+    }
+    const [rangePart, stepPart, ...rest] = part.split("/");
+    if (rest.length > 0) {
+      throw new Error(`Invalid step syntax '${part}' in ${spec.name} field.`);
+    }
+
+    let step = 1;
+    if (stepPart !== undefined) {
+      if (!/^\d+$/.test(stepPart) || parseInt(stepPart, 10) === 0) {
+        throw new Error(`Invalid step '${stepPart}' in ${spec.name} field.`);
+      }
+      step = parseInt(stepPart, 10);
+    }
+
+    let start;
+    let end;
+    if (rangePart === "*" || rangePart === "?") {
+      start = spec.min;
+      end = spec.max;
+    } else if (rangePart.includes("-")) {
+      const [startToken, endToken, ...extra] = rangePart.split("-");
+      if (extra.length > 0) {
+        throw new Error(`Invalid range '${rangePart}' in ${spec.name} field.`);
+      }
+      start = parseFieldValue(startToken, spec);
+      end = parseFieldValue(endToken, spec);
+      if (start > end) {
+        throw new Error(`Range '${rangePart}' in ${spec.name} field runs backwards.`);
+      }
+    } else {
+      start = parseFieldValue(rangePart, spec);
+      // "5/10" means "every 10 starting at 5"
+      end = stepPart !== undefined ? spec.max : start;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  });
+  return values;
+}
+
+/**
+ * Parses a standard five-field cron expression: `minute hour day-of-month month day-of-week`.
+ *
+ * Supported syntax per field: `*`, single values, ranges (`1-5`), lists (`1,3,5`), steps (`*\/15`, `9-17/2`, `5/10`),
+ * month names (`JAN`-`DEC`) and day names (`SUN`-`SAT`). Day-of-week accepts both 0 and 7 for Sunday.
+ * `?` is accepted as a wildcard in any field. The macros `@yearly`, `@annually`, `@monthly`, `@weekly`,
+ * `@daily`, `@midnight` and `@hourly` are also recognised.
+ *
+ * As in Vixie cron, when both day-of-month and day-of-week are restricted, a day matches if it satisfies either one.
+ *
+ * @param {string} expression - The cron expression, e.g. "*\/30 9-17 * * 1-5".
+ * @returns {ParsedCron} The expanded expression.
+ * @throws {Error} If the expression is malformed. The error message is suitable for showing to the user.
+ */
+export function parseCron(expression) {
+  if (typeof expression !== "string" || expression.trim() === "") {
+    throw new Error("Cron expression is empty.");
+  }
+  let normalized = expression.trim().replace(/\s+/g, " ");
+  if (normalized.startsWith("@")) {
+    const macro = MACROS[normalized.toLowerCase()];
+    if (!macro) {
+      throw new Error(`Unknown cron macro '${normalized}'.`);
+    }
+    normalized = macro;
+  }
+
+  const fields = normalized.split(" ");
+  if (fields.length !== 5) {
+    throw new Error(`Expected 5 fields (minute hour day-of-month month day-of-week) but got ${fields.length}.`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, rawDaysOfWeek] = fields.map((field, i) => parseField(field, FIELD_SPECS[i]));
+  const daysOfWeek = new Set([...rawDaysOfWeek].map(d => d % 7));
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    dayOfMonthRestricted: !(fields[2].startsWith("*") || fields[2].startsWith("?")),
+    dayOfWeekRestricted: !(fields[4].startsWith("*") || fields[4].startsWith("?")),
+  };
+}
+
+/**
+ * Checks whether a string is a valid five-field cron expression.
+ * @param {string} expression - The cron expression to validate.
+ * @returns {boolean} True if {@link parseCron} accepts the expression.
+ */
+export function isValidCron(expression) {
+  try {
+    parseCron(expression);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Returns the parsed form of an expression, reusing earlier parses of the same string.
+ * @param {string} expression - The cron expression.
+ * @returns {ParsedCron} The expanded expression.
+ * @throws {Error} If the expression is malformed.
+ */
+function getParsedCron(expression) {
+  if (!parsedCache.has(expression)) {
+    parsedCache.set(expression, parseCron(expression));
+  }
+  return parsedCache.get(expression);
+}
+
+/**
+ * Checks whether a calendar day satisfies the day-of-month and day-of-week fields of a parsed expression.
+ * @param {ParsedCron} cron - The parsed expression.
+ * @param {number} dayOfMonth - Day of the month (1-31).
+ * @param {number} dayOfWeek - Day of the week (0=Sun, 6=Sat).
+ * @returns {boolean} True if the day matches.
+ */
+function dayMatches(cron, dayOfMonth, dayOfWeek) {
+  const domMatch = cron.daysOfMonth.has(dayOfMonth);
+  const dowMatch = cron.daysOfWeek.has(dayOfWeek);
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) {
+    return domMatch || dowMatch;
+  }
+  return domMatch && dowMatch;
+}
+
+/**
+ * Calculates the next time a cron expression fires, strictly after a given timestamp.
+ *
+ * The expression is evaluated against wall-clock time in `timeZone`. The search walks a wall-clock cursor
+ * forward, skipping whole months, days and hours that cannot match, so sparse expressions stay cheap.
+ * Wall-clock times that do not exist because of a daylight-saving jump are shifted forward by the size
+ * of the gap, and repeated wall-clock times only fire on their first occurrence.
+ *
+ * @param {string} expression - The cron expression, e.g. "0 9 * * 1-5".
+ * @param {number} fromTimestamp - The timestamp (milliseconds since epoch) to search after.
+ * @param {string} [timeZone] - IANA time zone to evaluate the expression in. Defaults to the browser's local time zone.
+ * @returns {number | null} The timestamp of the next fire time, or null if the expression is invalid or never fires.
+ */
+export function getNextCronOccurrence(expression, fromTimestamp, timeZone) {
+  let cron;
+  try {
+    cron = getParsedCron(expression);
+  } catch (error) {
+    console.error(`[Chronotab] Invalid cron expression '${expression}': ${error.message}`);
+    return null;
+  }
+
+  // The cursor is a wall-clock time stored in a UTC Date, which gives calendar arithmetic without DST effects.
+  const from = getZonedParts(fromTimestamp, timeZone);
+  let cursor = new Date(Date.UTC(from.year, from.month - 1, from.day, from.hour, from.minute + 1));
+  const searchLimit = cursor.getTime() + MAX_SEARCH_MS;
+
+  while (cursor.getTime() <= searchLimit) {
+    const year = cursor.getUTCFullYear();
+    const month = cursor.getUTCMonth();
+    const day = cursor.getUTCDate();
+    const hour = cursor.getUTCHours();
+
+    if (!cron.months.has(month + 1)) {
+      cursor = new Date(Date.UTC(year, month + 1, 1));
+      continue;
+    }
+    if (!dayMatches(cron, day, cursor.getUTCDay())) {
+      cursor = new Date(Date.UTC(year, month, day + 1));
+      continue;
+    }
+    if (!cron.hours.has(hour)) {
+      cursor = new Date(Date.UTC(year, month, day, hour + 1));
+      continue;
+    }
+    if (!cron.minutes.has(cursor.getUTCMinutes())) {
+      cursor = new Date(cursor.getTime() + 60 * 1000);
+      continue;
+    }
+
+    const candidate = zonedTimeToTimestamp(year, month + 1, day, hour, cursor.getUTCMinutes(), timeZone);
+    if (candidate > fromTimestamp) {
+      return candidate;
+    }
+    cursor = new Date(cursor.getTime() + 60 * 1000);
+  }
+  return null;
+}
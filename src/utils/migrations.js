@@ -0,0 +1,45 @@
+// One-time upgrades of data stored by older versions of the extension
+import { normalizeDaysOfWeek } from './recurrence.js';
+import { normalizeUrlEntries } from './tabs.js';
+
+/**
+ * Key in `chrome.storage.sync` holding the number of the last migration applied.
+ * Kept in sync storage next to the schedules so a migration runs once per profile, not once per device.
+ * @type {string}
+ */
+const SCHEMA_VERSION_KEY = 'chronotab_schema_version';
+
+/**
+ * Ordered list of migrations. Each one receives the stored schedules and returns the upgraded list.
+ * Migration N (1-based) brings the data to schema version N. Append new migrations; never reorder them.
+ * @type {Array<function(import('./scheduler.js').Schedule[]): import('./scheduler.js').Schedule[]>}
+ */
+const MIGRATIONS = [
+  // 1: weekly days were stored as 0=Sun..6=Sat by some versions and 1=Mon..7=Sun by others; settle on 1=Mon..7=Sun
+  (schedules) => schedules.map(schedule => (
+    Array.isArray(schedule.dayOfWeek) ? { ...schedule, dayOfWeek: normalizeDaysOfWeek(schedule.dayOfWeek) } : schedule
+  )),
+  // 2: URLs were bare strings; they are now objects carrying per-tab options
+  (schedules) => schedules.map(schedule => ({ ...schedule, urls: normalizeUrlEntries(schedule.urls) })),
+];
+
+/**
+ * Applies any migrations the stored data hasn't been through yet and records the new schema version.
+ * Safe to call on every install or update; it does nothing when the data is already current.
+ * @async
+ * @returns {Promise<boolean>} True if any migration ran.
+ */
+export async function runMigrations() {
+  const result = await chrome.storage.sync.get([SCHEMA_VERSION_KEY, 'schedules']);
+  const currentVersion = result[SCHEMA_VERSION_KEY] || 0;
+  if (currentVersion >= MIGRATIONS.length) {
+    return false;
+  }
+
+  let schedules = result.schedules || [];
+  for (let version = currentVersion; version < MIGRATIONS.length; version++) {
+    schedules = MIGRATIONS[version](schedules);
+  }
+  await chrome.storage.sync.set({ schedules, [SCHEMA_VERSION_KEY]: MIGRATIONS.length });
+  return true;
+}
@@ -0,0 +1,157 @@
+// Run notifications: what Chronotab shows when a schedule fires, set globally and per schedule
+import { focusRunTabs } from './runs.js';
+
+/**
+ * @typedef {object} NotificationOptions
+ * How a schedule's runs are announced. Every property is optional; schedules fall back to the global settings.
+ * @property {string} [mode] - One of {@link NOTIFICATION_MODES}.
+ * @property {number} [priority] - Chrome notification priority, from -2 (lowest) to 2 (highest).
+ * @property {boolean} [requireInteraction] - Keep the notification on screen until the user dismisses it.
+ */
+
+/**
+ * How a run is announced:
+ * - "none": not at all.
+ * - "summary": one notification per run saying how many tabs it opened, closed or reloaded.
+ * - "list": one notification per run listing each page it opened.
+ * @type {string[]}
+ */
+export const NOTIFICATION_MODES = ["none", "summary", "list"];
+
+/**
+ * Key in `chrome.storage.sync` holding the global notification settings.
+ * @type {string}
+ */
+export const NOTIFICATION_SETTINGS_KEY = 'chronotab_notification_settings';
+
+/**
+ * The notification settings used when neither the global settings nor the schedule set one.
+ * @type {{mode: string, priority: number, requireInteraction: boolean}}
+ */
+export const DEFAULT_NOTIFICATION_SETTINGS = { mode: "summary", priority: 0, requireInteraction: false };
+
+// Run notifications, followed by the run ID so a click can bring the run's tabs to the front
+const RUN_NOTIFICATION_PREFIX = 'chronotab-run-';
+
+// Chrome shows only the first few items of a list notification
+const MAX_LIST_ITEMS = 5;
+
+/**
+ * Checks whether notification options are well-formed.
+ * @param {NotificationOptions} options - The options.
+ * @returns {boolean} True if every property that is set has a valid value.
+ */
+export function isValidNotificationOptions(options) {
+  if (!options || typeof options !== 'object') return false;
+  if (options.mode !== undefined && !NOTIFICATION_MODES.includes(options.mode)) return false;
+  if (options.priority !== undefined && !(Number.isInteger(options.priority) && options.priority >= -2 && options.priority <= 2)) return false;
+  return options.requireInteraction === undefined || typeof options.requireInteraction === 'boolean';
+}
+
+/**
+ * Reads the global notification settings, filled in with the defaults.
+ * @async
+ * @returns {Promise<{mode: string, priority: number, requireInteraction: boolean}>} The settings.
+ */
+export async function getNotificationSettings() {
+  const result = await chrome.storage.sync.get(NOTIFICATION_SETTINGS_KEY);
+  const stored = result[NOTIFICATION_SETTINGS_KEY];
+  return { ...DEFAULT_NOTIFICATION_SETTINGS, ...(isValidNotificationOptions(stored) ? stored : {}) };
+}
+
+/**
+ * Works out how a schedule's runs are announced: its own options where it has them, the global settings otherwise.
+ * @param {import('./scheduler.js').Schedule} schedule - The schedule.
+ * @param {{mode: string, priority: number, requireInteraction: boolean}} settings - The global settings.
+ * @returns {{mode: string, priority: number, requireInteraction: boolean}} The options to use.
+ */
+export function resolveNotificationOptions(schedule, settings) {
+  const own = isValidNotificationOptions(schedule.notification) ? schedule.notification : {};
+  return {
+    mode: own.mode !== undefined ? own.mode : settings.mode,
+    priority: own.priority !== undefined ? own.priority : settings.priority,
+    requireInteraction: own.requireInteraction !== undefined ? own.requireInteraction : settings.requireInteraction,
+  };
+}
+
+/**
+ * Checks whether a notification ID belongs to a run notification.
+ * @param {string} notificationId - The notification ID.
+ * @returns {boolean} True if the notification announced a run.
+ */
+export function isRunNotification(notificationId) {
+  return notificationId.startsWith(RUN_NOTIFICATION_PREFIX);
+}
+
+/**
+ * Returns a short label for a page in a list notification.
+ * @param {string} url - The page URL.
+ * @returns {string} The host name, or the URL if it has none.
+ */
+function getPageLabel(url) {
+  try {
+    return new URL(url).hostname || url;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Announces a run of a schedule, as set by the schedule's notification options or the global settings.
+ * Runs that opened, closed or reloaded nothing aren't announced. Clicking the notification of a run
+ * that opened tabs brings them to the front (see {@link handleRunNotificationClick}).
+ * @async
+ * @param {import('./scheduler.js').Schedule} schedule - The schedule that ran.
+ * @param {import('./scheduler.js').RunOutcome} outcome - What the run did (see `runSchedule`).
+ * @returns {Promise<void>} Resolves once the notification is requested. Errors are logged, not thrown.
+ */
+export async function notifyRun(schedule, outcome) {
+  try {
+    const options = resolveNotificationOptions(schedule, await getNotificationSettings());
+    if (options.mode === "none" || outcome.tabCount === 0) return;
+
+    const plural = outcome.tabCount === 1 ? "" : "s";
+    let verb = "Opened";
+    if (schedule.action === "close") verb = "Closed";
+    else if (schedule.action === "reload") verb = "Reloaded";
+    const notification = {
+      type: "basic",
+      iconUrl: chrome.runtime.getURL("icon.png"),
+      title: schedule.name,
+      message: `${verb} ${outcome.tabCount} tab${plural}`,
+      priority: options.priority,
+      requireInteraction: options.requireInteraction,
+    };
+    if (options.mode === "list" && outcome.run) {
+      notification.type = "list";
+      notification.items = outcome.run.tabs.slice(0, MAX_LIST_ITEMS).map(tab => ({ title: getPageLabel(tab.url), message: tab.url }));
+      if (outcome.run.tabs.length > MAX_LIST_ITEMS) {
+        notification.contextMessage = `and ${outcome.run.tabs.length - MAX_LIST_ITEMS} more`;
+      }
+    }
+    const notificationId = outcome.run ? `${RUN_NOTIFICATION_PREFIX}${outcome.run.id}` : '';
+    chrome.notifications.create(notificationId, notification, () => {
+      if (chrome.runtime.lastError) {
+        console.error('[Chronotab] Run notification error:', chrome.runtime.lastError.message);
+      }
+    });
+  } catch (error) {
+    console.error(`[Chronotab] Error announcing the run of '${schedule.name}':`, error);
+  }
+}
+
+/**
+ * Handles a click on a run notification by bringing the run's windows to the front, showing one of its
+ * tabs in each and expanding its tab group if it was collapsed (see `focusRunTabs`).
+ * @async
+ * @param {string} notificationId - The notification ID (see {@link isRunNotification}).
+ * @returns {Promise<void>} Resolves once the tabs are in front. Errors are logged, not thrown.
+ */
+export async function handleRunNotificationClick(notificationId) {
+  chrome.notifications.clear(notificationId);
+  try {
+    await focusRunTabs(notificationId.slice(RUN_NOTIFICATION_PREFIX.length));
+  } catch (error) {
+    console.error("[Chronotab] Error bringing run tabs to front:", error);
+  }
+}
@@ -0,0 +1,232 @@
+// Run prompts: notifications that ask before a schedule opens its tabs, with snooze and skip
+
+/**
+ * @typedef {object} ConfirmOptions
+ * Asks before a schedule's alarm opens its tabs.
+ * @property {number} autoOpenMinutes - Minutes after which the tabs open anyway if the prompt isn't acted on
+ *                                      (1 to {@link MAX_AUTO_OPEN_MINUTES}).
+ */
+
+/**
+ * @typedef {object} Prompt
+ * A run waiting for the user to confirm it.
+ * @property {string} id - Unique identifier for the prompt.
+ * @property {import('./scheduler.js').Schedule} schedule - The schedule as it was when its alarm fired. Kept whole,
+ *                                                          since a "once" schedule is deleted once it has fired.
+ * @property {number} occurrence - The occurrence the run belongs to (ms since epoch), for URL templates.
+ * @property {string} source - What triggered the run (see `Run` in runs.js).
+ * @property {string} state - "waiting" while the notification is showing, "snoozed" while it's snoozed.
+ * @property {number} dueAt - Timestamp (ms since epoch) the tabs open at if the prompt is still waiting,
+ *                            or the notification shows again at if it's snoozed.
+ */
+
+/**
+ * Key in `chrome.storage.local` holding the prompts not yet answered, so they survive service-worker restarts.
+ * @type {string}
+ */
+export const PROMPTS_KEY = 'chronotab_prompts';
+
+/**
+ * How long "Snooze" puts a prompt off, in minutes.
+ * @type {number}
+ */
+export const SNOOZE_MINUTES = 10;
+
+/**
+ * Wait before an unanswered prompt opens the tabs anyway, in minutes, for schedules that don't set one.
+ * @type {number}
+ */
+export const DEFAULT_AUTO_OPEN_MINUTES = 5;
+
+/**
+ * Longest wait before an unanswered prompt opens the tabs anyway, in minutes.
+ * @type {number}
+ */
+export const MAX_AUTO_OPEN_MINUTES = 60;
+
+// Internal alarm (see INTERNAL_ALARM_PREFIX in scheduler.js) that auto-opens or re-shows a prompt, followed by the
+// prompt ID. The prompt's notification uses the same ID.
+const PROMPT_PREFIX = 'chronotab-prompt-';
+
+// Notification buttons. Chrome shows at most two, so opening is done by clicking the notification itself.
+const SNOOZE_BUTTON = 0;
+const SKIP_BUTTON = 1;
+
+// Updates of the stored prompts, chained so that concurrent events don't overwrite each other
+let pendingUpdate = Promise.resolve();
+
+/**
+ * Checks whether a schedule's confirmation options are well-formed.
+ * @param {ConfirmOptions} options - The options.
+ * @returns {boolean} True if `autoOpenMinutes` is a whole number in range.
+ */
+export function isValidConfirmOptions(options) {
+  if (!options || typeof options !== 'object') return false;
+  return Number.isInteger(options.autoOpenMinutes) && options.autoOpenMinutes >= 1 && options.autoOpenMinutes <= MAX_AUTO_OPEN_MINUTES;
+}
+
+/**
+ * Works out when a prompt shown now opens the tabs if it goes unanswered.
+ * @param {import('./scheduler.js').Schedule} schedule - The schedule being run.
+ * @returns {number} The timestamp (ms since epoch).
+ */
+function getAutoOpenTime(schedule) {
+  const minutes = isValidConfirmOptions(schedule.confirmBeforeRun)
+    ? schedule.confirmBeforeRun.autoOpenMinutes
+    : DEFAULT_AUTO_OPEN_MINUTES;
+  return Date.now() + minutes * 60 * 1000;
+}
+
+/**
+ * Checks whether an alarm name or notification ID belongs to a prompt.
+ * @param {string} id - The alarm name or notification ID.
+ * @returns {boolean} True if it's a prompt's.
+ */
+export function isPromptId(id) {
+  return id.startsWith(PROMPT_PREFIX);
+}
+
+/**
+ * Reads the unanswered prompts from `chrome.storage.local`.
+ * @async
+ * @returns {Promise<Prompt[]>} The prompts.
+ */
+export async function getPrompts() {
+  const result = await chrome.storage.local.get(PROMPTS_KEY);
+  return result[PROMPTS_KEY] || [];
+}
+
+/**
+ * Applies a change to the stored prompts. Changes are applied one after another.
+ * @param {function(Prompt[]): (Prompt[] | null)} change - Receives the current prompts and returns the new list,
+ *                                                        or null to leave them unchanged.
+ * @returns {Promise<void>} Resolves once the change is saved. Errors are logged, not thrown.
+ */
+function updatePrompts(change) {
+  pendingUpdate = pendingUpdate
+    .then(async () => {
+      const prompts = change(await getPrompts());
+      if (prompts === null) return;
+      if (prompts.length === 0) {
+        await chrome.storage.local.remove(PROMPTS_KEY);
+      } else {
+        await chrome.storage.local.set({ [PROMPTS_KEY]: prompts });
+      }
+    })
+    .catch(error => console.error("[Chronotab] Error updating prompts:", error));
+  return pendingUpdate;
+}
+
+/**
+ * Shows a prompt's notification and sets the alarm that opens the tabs if it goes unanswered.
+ * @param {Prompt} prompt - The waiting prompt.
+ */
+function showPrompt(prompt) {
+  const minutes = Math.max(1, Math.round((prompt.dueAt - Date.now()) / 60000));
+  chrome.notifications.create(`${PROMPT_PREFIX}${prompt.id}`, {
+    type: "basic",
+    iconUrl: chrome.runtime.getURL("icon.png"),
+    title: `Open ${prompt.schedule.name}?`,
+    message: `Click to open the tabs now. They open by themselves in ${minutes} min.`,
+    priority: 2,
+    requireInteraction: true,
+    buttons: [{ title: `Snooze ${SNOOZE_MINUTES} min` }, { title: "Skip" }],
+  }, () => {
+    if (chrome.runtime.lastError) {
+      console.error('[Chronotab] Prompt notification error:', chrome.runtime.lastError.message);
+    }
+  });
+  chrome.alarms.create(`${PROMPT_PREFIX}${prompt.id}`, { when: prompt.dueAt });
+}
+
+/**
+ * Removes a prompt along with its alarm and notification.
+ * @async
+ * @param {string} promptId - The prompt ID.
+ * @returns {Promise<Prompt | null>} The removed prompt, or null if it was already answered.
+ */
+async function takePrompt(promptId) {
+  let prompt = null;
+  await updatePrompts(prompts => {
+    prompt = prompts.find(existing => existing.id === promptId) || null;
+    return prompt ? prompts.filter(existing => existing.id !== promptId) : null;
+  });
+  await chrome.alarms.clear(`${PROMPT_PREFIX}${promptId}`);
+  chrome.notifications.clear(`${PROMPT_PREFIX}${promptId}`);
+  return prompt;
+}
+
+/**
+ * Asks before a schedule run opens its tabs, instead of opening them straight away.
+ * Clicking the prompt's notification opens the tabs and its buttons snooze or skip the run. Leaving it, or closing it
+ * without answering, opens the tabs after the schedule's `autoOpenMinutes`.
+ * @async
+ * @param {import('./scheduler.js').Schedule} schedule - The schedule, with `confirmBeforeRun` options.
+ * @param {number} occurrence - The occurrence the run belongs to (ms since epoch).
+ * @param {string} source - What triggered the run.
+ * @returns {Promise<Prompt>} The prompt.
+ */
+export async function promptBeforeRun(schedule, occurrence, source) {
+  const prompt = {
+    id: `${schedule.id}-${occurrence}`,
+    schedule: { ...schedule },
+    occurrence,
+    source,
+    state: "waiting",
+    dueAt: getAutoOpenTime(schedule),
+  };
+  await updatePrompts(prompts => [...prompts.filter(existing => existing.id !== prompt.id), prompt]);
+  showPrompt(prompt);
+  return prompt;
+}
+
+/**
+ * Handles a prompt's alarm. A waiting prompt has gone unanswered, so its run goes ahead;
+ * a snoozed prompt is shown again, with a fresh auto-open timeout.
+ * @async
+ * @param {{name: string}} alarm - The alarm that fired (see {@link isPromptId}).
+ * @returns {Promise<Prompt | null>} The prompt whose tabs should now open, or null if there's nothing to open.
+ */
+export async function handlePromptAlarm(alarm) {
+  const promptId = alarm.name.slice(PROMPT_PREFIX.length);
+  const prompt = (await getPrompts()).find(existing => existing.id === promptId);
+  if (!prompt) return null;
+  if (prompt.state === "waiting") {
+    return takePrompt(promptId);
+  }
+  const shown = { ...prompt, state: "waiting", dueAt: getAutoOpenTime(prompt.schedule) };
+  await updatePrompts(prompts => prompts.map(existing => (existing.id === promptId ? shown : existing)));
+  showPrompt(shown);
+  return null;
+}
+
+/**
+ * Handles a click on a prompt's notification or one of its buttons.
+ * A click on the notification itself opens the tabs, "Skip" drops the run and "Snooze" puts the prompt off.
+ * @async
+ * @param {string} notificationId - The notification ID (see {@link isPromptId}).
+ * @param {number} [buttonIndex] - The button clicked, or undefined for the notification itself.
+ * @returns {Promise<{action: string, prompt: Prompt} | null>} The answered prompt with "open" or "skip",
+ *          or null if the prompt was snoozed or already answered.
+ */
+export async function handlePromptClick(notificationId, buttonIndex) {
+  const promptId = notificationId.slice(PROMPT_PREFIX.length);
+  if (buttonIndex === undefined || buttonIndex === SKIP_BUTTON) {
+    const prompt = await takePrompt(promptId);
+    return prompt ? { action: buttonIndex === undefined ? "open" : "skip", prompt } : null;
+  }
+  if (buttonIndex === SNOOZE_BUTTON) {
+    const dueAt = Date.now() + SNOOZE_MINUTES * 60 * 1000;
+    let snoozed = false;
+    await updatePrompts(prompts => {
+      if (!prompts.some(existing => existing.id === promptId)) return null;
+      snoozed = true;
+      return prompts.map(existing => (existing.id === promptId ? { ...existing, state: "snoozed", dueAt } : existing));
+    });
+    chrome.notifications.clear(notificationId);
+    if (snoozed) {
+      chrome.alarms.create(`${PROMPT_PREFIX}${promptId}`, { when: dueAt });
+    }
+  }
+  return null;
+}
@@ -0,0 +1,560 @@
+// Recurrence engine: the one place that decides when a schedule runs.
+// Used by the background service worker, the scheduler and the UI, so it must stay free of bundler-only imports.
+import { getNextCronOccurrence } from './cron.js';
+import { getNextRRuleOccurrence } from './rrule.js';
+import { getZonedParts, zonedTimeToTimestamp, addCalendarDays } from './timezone.js';
+import { getExclusionCalendar, getExclusionEnd } from './calendars.js';
+
+/**
+ * @typedef {object} Clock
+ * Source of the current time. Swapped out with {@link setClock} to evaluate schedules at a fixed instant.
+ * @property {function(): number} now - Returns the current time in milliseconds since epoch.
+ */
+
+/**
+ * @typedef {object} ScheduleTime
+ * The parts of a schedule's `time` string.
+ * @property {{year: number, month: number, day: number} | null} date - The start date (month 1-12), or null for a legacy "HH:mm" time.
+ * @property {number} hour - Hour (0-23).
+ * @property {number} minute - Minute (0-59).
+ */
+
+/** @type {Clock} */
+const systemClock = { now: () => Date.now() };
+let clock = systemClock;
+
+/**
+ * Upper bound on how many occurrences {@link occurrencesBetween} returns, so an every-minute cron
+ * or interval over a long gap can't stall the service worker.
+ * @type {number}
+ */
+export const MAX_OCCURRENCES = 10000;
+
+// How many excluded stretches nextOccurrence steps over before giving up on a schedule.
+const MAX_EXCLUSION_SKIPS = 1000;
+
+/**
+ * Replaces the clock used when no explicit `from` timestamp is given.
+ * @param {Clock | null} newClock - The clock to use, or null to go back to the system clock.
+ */
+export function setClock(newClock) {
+  clock = newClock || systemClock;
+}
+
+/**
+ * Returns the clock currently in use.
+ * @returns {Clock} The clock.
+ */
+export function getClock() {
+  return clock;
+}
+
+/**
+ * Normalizes a list of days of the week to ISO numbering (1=Mon, 7=Sun), sorted and without duplicates.
+ * Sunday stored as 0 (the `Date.getDay()` convention) is mapped to 7. Values outside 0-7 are dropped.
+ * @param {Array<number|string>} days - The stored days of the week.
+ * @returns {number[]} The normalized days.
+ */
+export function normalizeDaysOfWeek(days) {
+  if (!Array.isArray(days)) return [];
+  const normalized = days
+    .map(day => parseInt(day, 10))
+    .filter(day => day >= 0 && day <= 7)
+    .map(day => (day === 0 ? 7 : day));
+  return [...new Set(normalized)].sort((a, b) => a - b);
+}
+
+/**
+ * Splits a schedule's `time` string ("YYYY-MM-DDTHH:mm", or the legacy "HH:mm") into its parts.
+ * @param {string} timeStr - The time string.
+ * @returns {ScheduleTime | null} The parts, or null if the string is malformed.
+ */
+function parseScheduleTime(timeStr) {
+  const match = /^(?:(\d{4})-(\d{2})-(\d{2})T)?(\d{1,2}):(\d{2})/.exec(timeStr || '');
+  if (!match) {
+    console.error(`[Chronotab] Invalid schedule time '${timeStr}'. Cannot calculate next occurrence.`);
+    return null;
+  }
+  const [year, month, day, hour, minute] = match.slice(1).map(n => (n === undefined ? undefined : parseInt(n, 10)));
+  if (hour > 23 || minute > 59) {
+    console.error(`[Chronotab] Invalid schedule time '${timeStr}'. Cannot calculate next occurrence.`);
+    return null;
+  }
+  return { date: year === undefined ? null : { year, month, day }, hour, minute };
+}
+
+/**
+ * Returns the instant a schedule's start date and time refer to, in the schedule's time zone.
+ * @param {import('./scheduler.js').Schedule} schedule - The schedule.
+ * @returns {number | null} The start timestamp, or null if the time has no date part or is malformed.
+ */
+export function getScheduleStart(schedule) {
+  const parsed = schedule && parseScheduleTime(schedule.time);
+  if (!parsed || !parsed.date) return null;
+  const { date, hour, minute } = parsed;
+  return zonedTimeToTimestamp(date.year, date.month, date.day, hour, minute, schedule.timeZone);
+}
+
+/**
+ * Next occurrence of a wall-clock time on any day, strictly after `fromTimestamp`.
+ * The day is advanced on the zone's calendar rather than by 24 hours so DST changes don't shift the time.
+ * @param {ScheduleTime} parsed - The schedule time.
+ * @param {number} fromTimestamp - The timestamp to search after.
+ * @param {string} [timeZone] - IANA time zone. Defaults to the browser's local time zone.
+ * @returns {number} The next occurrence.
+ */
+function nextDaily({ hour, minute }, fromTimestamp, timeZone) {
+  const today = getZonedParts(fromTimestamp, timeZone);
+  let next = zonedTimeToTimestamp(today.year, today.month, today.day, hour, minute, timeZone);
+  if (next <= fromTimestamp) {
+    const tomorrow = addCalendarDays(today, 1);
+    next = zonedTimeToTimestamp(tomorrow.year, tomorrow.month, tomorrow.day, hour, minute, timeZone);
+  }
+  return next;
+}
+
+/**
+ * Next occurrence of a wall-clock time on one day of the week, strictly after `fromTimestamp`.
+ * @param {ScheduleTime} parsed - The schedule time.
+ * @param {number} dayOfWeek - ISO day of the week (1=Mon, 7=Sun).
+ * @param {number} fromTimestamp - The timestamp to search after.
+ * @param {string} [timeZone] - IANA time zone. Defaults to the browser's local time zone.
+ * @returns {number} The next occurrence.
+ */
+function nextWeekly({ hour, minute }, dayOfWeek, fromTimestamp, timeZone) {
+  const today = getZonedParts(fromTimestamp, timeZone);
+  const daysToAdd = (dayOfWeek - today.weekday + 7) % 7;
+  let target = addCalendarDays(today, daysToAdd);
+  let next = zonedTimeToTimestamp(target.year, target.month, target.day, hour, minute, timeZone);
+  if (next <= fromTimestamp) {
+    target = addCalendarDays(today, daysToAdd + 7);
+    next = zonedTimeToTimestamp(target.year, target.month, target.day, hour, minute, timeZone);
+  }
+  return next;
+}
+
+/**
+ * Parses an "HH:mm" string into minutes after midnight.
+ * @param {string} timeStr - The time string.
+ * @returns {number | null} The minutes after midnight, or null if the string is missing or malformed.
+ */
+function parseMinutesOfDay(timeStr) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(timeStr || '');
+  if (!match) return null;
+  const hour = parseInt(match[1], 10);
+  const minute = parseInt(match[2], 10);
+  return hour <= 23 && minute <= 59 ? hour * 60 + minute : null;
+}
+
+/**
+ * Next run of an "interval" schedule strictly after `fromTimestamp`.
+ *
+ * Without a time window, runs are every `intervalMinutes` of elapsed time from the start instant.
+ * With a window (`windowStart` and `windowEnd`, both "HH:mm"), runs restart each day at the window's
+ * opening and continue every `intervalMinutes` of wall-clock time up to and including its closing.
+ * A window that closes before it opens runs past midnight. In both cases, if `dayOfWeek` lists any days,
+ * runs (or, for overnight windows, window openings) on other days are skipped.
+ *
+ * @param {import('./scheduler.js').Schedule} schedule - The schedule.
+ * @param {number} fromTimestamp - The timestamp to search after.
+ * @param {number} start - The schedule's start instant (see {@link getScheduleStart}).
+ * @returns {number | null} The next run, or null if none falls within the next week.
+ */
+function nextInterval(schedule, fromTimestamp, start) {
+  const { intervalMinutes, timeZone } = schedule;
+  const intervalMs = intervalMinutes * 60 * 1000;
+  const days = normalizeDaysOfWeek(schedule.dayOfWeek);
+  const isDayAllowed = (weekday) => days.length === 0 || days.includes(weekday);
+  const windowStart = parseMinutesOfDay(schedule.windowStart);
+  const windowEnd = parseMinutesOfDay(schedule.windowEnd);
+
+  if (windowStart === null || windowEnd === null) {
+    let searchFrom = Math.max(fromTimestamp, start - 1);
+    // A week of skipped days is the most that can stand between two runs
+    for (let attempt = 0; attempt < 8; attempt++) {
+      const steps = Math.floor((searchFrom - start) / intervalMs) + 1;
+      const candidate = start + steps * intervalMs;
+      const parts = getZonedParts(candidate, timeZone);
+      if (isDayAllowed(parts.weekday)) {
+        return candidate;
+      }
+      const nextDay = addCalendarDays(parts, 1);
+      searchFrom = zonedTimeToTimestamp(nextDay.year, nextDay.month, nextDay.day, 0, 0, timeZone) - 1;
+    }
+    return null;
+  }
+
+  const span = (windowEnd - windowStart + 1440) % 1440;
+  const searchFrom = Math.max(fromTimestamp, start - 1);
+  // Begin a day early in case yesterday's overnight window is still open
+  let day = addCalendarDays(getZonedParts(searchFrom, timeZone), -1);
+  for (let i = 0; i < 9; i++, day = addCalendarDays(day, 1)) {
+    const weekday = new Date(Date.UTC(day.year, day.month - 1, day.day)).getUTCDay() || 7;
+    if (!isDayAllowed(weekday)) continue;
+
+    const opens = zonedTimeToTimestamp(day.year, day.month, day.day, Math.floor(windowStart / 60), windowStart % 60, timeZone);
+    // Wall-clock and elapsed time can differ by a DST shift, so start the scan an hour early
+    for (let step = Math.max(0, Math.floor((searchFrom - opens - 60 * 60 * 1000) / intervalMs)); step * intervalMinutes <= span; step++) {
+      const minutes = windowStart + step * intervalMinutes;
+      const date = addCalendarDays(day, Math.floor(minutes / 1440));
+      const candidate = zonedTimeToTimestamp(date.year, date.month, date.day, Math.floor((minutes % 1440) / 60), minutes % 60, timeZone);
+      if (candidate > searchFrom) {
+        return candidate;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Returns the instant a schedule's `endDate` stops it: midnight at the end of that day in the schedule's time zone.
+ * @param {import('./scheduler.js').Schedule} schedule - The schedule.
+ * @returns {number | null} The end timestamp (exclusive), or null if the schedule has no valid end date.
+ */
+export function getScheduleEnd(schedule) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec((schedule && schedule.endDate) || '');
+  if (!match) return null;
+  const dayAfter = addCalendarDays({ year: parseInt(match[1], 10), month: parseInt(match[2], 10), day: parseInt(match[3], 10) }, 1);
+  return zonedTimeToTimestamp(dayAfter.year, dayAfter.month, dayAfter.day, 0, 0, schedule.timeZone);
+}
+
+/**
+ * Returns how many more times a schedule may run under its `maxRuns` limit.
+ * @param {import('./scheduler.js').Schedule} schedule - The schedule.
+ * @returns {number} The remaining runs, or Infinity if the schedule has no limit.
+ */
+export function getRemainingRuns(schedule) {
+  if (!schedule || !schedule.maxRuns) return Infinity;
+  return Math.max(0, schedule.maxRuns - (schedule.runCount || 0));
+}
+
+/**
+ * Checks whether a recurring schedule has finished because of its `endDate` or `maxRuns`,
+ * i.e. it set a limit and has no occurrences left after its last run.
+ * "once" schedules never expire this way; they are removed after running instead.
+ * @param {import('./scheduler.js').Schedule} schedule - The schedule.
+ * @param {number} [fromTimestamp] - The current time. Defaults to the clock's current time.
+ * @returns {boolean} True if the schedule should be archived.
+ */
+export function isScheduleExpired(schedule, fromTimestamp = clock.now()) {
+  if (!schedule || schedule.repeat === "once" || (!schedule.endDate && !schedule.maxRuns)) {
+    return false;
+  }
+  return nextFireTime(schedule, Math.max(fromTimestamp, schedule.lastRun || 0)) === null;
+}
+
+/**
+ * Calculates when a schedule next runs, strictly after a given timestamp.
+ *
+ * The date part of `schedule.time` is the schedule's start: no occurrence is returned before it,
+ * and a "once" schedule runs exactly then. All wall-clock times are evaluated in `schedule.timeZone`
+ * (or the browser's zone if it has none).
+ * - "once": the start instant, if it is after `fromTimestamp`.
+ * - "daily": the time of day on every day.
+ * - "weekly": the time of day on each day in `dayOfWeek` (ISO numbering, see {@link normalizeDaysOfWeek}).
+ * - "monthly" / "yearly": the days selected by `rrule`, at the time of day.
+ * - "cron": the times selected by `cron`, from midnight of the start date.
+ * - "interval": every `intervalMinutes`, optionally only inside a daily time window and on some days (see {@link nextInterval}).
+ *
+ * For the repeats in {@link MULTI_TIME_REPEATS}, "the time of day" is every slot in `times`
+ * when the schedule has several (see {@link getTimeSlots}); the earliest upcoming slot wins.
+ *
+ * Occurrences after the schedule's `endDate` are never returned, and once `runCount` has reached
+ * `maxRuns` the schedule has no further occurrences. Occurrences on dates excluded by the schedule's
+ * exclusion calendar are skipped (see {@link nextIncludedOccurrence}).
+ *
+ * @param {import('./scheduler.js').Schedule} schedule - The schedule.
+ * @param {number} [fromTimestamp] - The timestamp (milliseconds since epoch) to search after. Defaults to the clock's current time.
+ * @returns {number | null} The timestamp of the next run, or null if the schedule never runs again or is invalid.
+ */
+export function nextOccurrence(schedule, fromTimestamp = clock.now()) {
+  if (!schedule) return null;
+  const slots = getTimeSlots(schedule);
+  if (slots.length <= 1) {
+    return applyLimits(schedule, nextIncludedOccurrence(schedule, fromTimestamp));
+  }
+  const candidates = slots
+    .map(slot => nextIncludedOccurrence(withTimeSlot(schedule, slot), fromTimestamp))
+    .filter(next => next !== null);
+  return applyLimits(schedule, candidates.length > 0 ? Math.min(...candidates) : null);
+}
+
+/**
+ * Calculates when one time slot of a multi-time schedule next runs, strictly after a given timestamp.
+ * Like {@link nextOccurrence}, the schedule's `endDate`, `maxRuns` and exclusion calendar are honored.
+ *
+ * @param {import('./scheduler.js').Schedule} schedule - The schedule.
+ * @param {string} slot - The time slot ("HH:mm"), one of {@link getTimeSlots}.
+ * @param {number} [fromTimestamp] - The timestamp (milliseconds since epoch) to search after. Defaults to the clock's current time.
+ * @returns {number | null} The timestamp of the slot's next run, or null if it never runs again.
+ */
+export function nextSlotOccurrence(schedule, slot, fromTimestamp = clock.now()) {
+  if (!schedule) return null;
+  return applyLimits(schedule, nextIncludedOccurrence(withTimeSlot(schedule, slot), fromTimestamp));
+}
+
+/**
+ * {@link nextUnboundedOccurrence}, skipping occurrences that fall on a date excluded by the schedule's
+ * exclusion calendar (`exclusionCalendarId`). Each excluded stretch is stepped over in one go, so a
+ * frequent schedule doesn't have to walk through every run of a long holiday.
+ * A calendar that isn't registered (see `setExclusionCalendars` in calendars.js) excludes nothing.
+ * @param {import('./scheduler.js').Schedule} schedule - The schedule.
+ * @param {number} fromTimestamp - The timestamp (milliseconds since epoch) to search after.
+ * @returns {number | null} The timestamp of the next run on a date that isn't excluded, or null if there is none.
+ */
+function nextIncludedOccurrence(schedule, fromTimestamp) {
+  let next = nextUnboundedOccurrence(schedule, fromTimestamp);
+  const calendar = getExclusionCalendar(schedule.exclusionCalendarId);
+  if (!calendar) return next;
+  for (let skips = 0; next !== null && skips < MAX_EXCLUSION_SKIPS; skips++) {
+    const excludedUntil = getExclusionEnd(calendar, next, schedule.timeZone);
+    if (excludedUntil === null) return next;
+    next = nextUnboundedOccurrence(schedule, Math.max(next, excludedUntil - 1));
+  }
+  return null;
+}
+
+/**
+ * Drops an occurrence that falls after the schedule's `endDate` or beyond its `maxRuns`.
+ * @param {import('./scheduler.js').Schedule} schedule - The schedule.
+ * @param {number | null} next - The unbounded next occurrence.
+ * @returns {number | null} The occurrence, or null if the schedule's limits rule it out.
+ */
+function applyLimits(schedule, next) {
+  if (next === null || getRemainingRuns(schedule) === 0) return null;
+  const end = getScheduleEnd(schedule);
+  return end !== null && next >= end ? null : next;
+}
+
+/**
+ * Repeat types that may run at several times of day, listed in the schedule's `times`.
+ * @type {string[]}
+ */
+export const MULTI_TIME_REPEATS = ["daily", "weekly", "monthly", "yearly"];
+
+/**
+ * Returns the times of day ("HH:mm") a schedule runs at, sorted and without duplicates.
+ * For repeats in {@link MULTI_TIME_REPEATS} with a non-empty `times` array that is the list of slots;
+ * otherwise it's the single time of day in `time`.
+ * @param {import('./scheduler.js').Schedule} schedule - The schedule.
+ * @returns {string[]} The time slots, or an empty array if the schedule's time is malformed.
+ */
+export function getTimeSlots(schedule) {
+  if (MULTI_TIME_REPEATS.includes(schedule.repeat) && Array.isArray(schedule.times) && schedule.times.length > 0) {
+    const valid = schedule.times.filter(slot => parseMinutesOfDay(slot) !== null);
+    return [...new Set(valid.map(slot => slot.padStart(5, '0')))].sort();
+  }
+  const match = /(\d{1,2}:\d{2})/.exec(schedule.time || '');
+  return match ? [match[1].padStart(5, '0')] : [];
+}
+
+/**
+ * Returns a copy of a schedule that runs only at one time slot: `time` keeps its start date but takes the
+ * slot as its time of day, and `times` is removed.
+ * @param {import('./scheduler.js').Schedule} schedule - The schedule.
+ * @param {string} slot - The time slot ("HH:mm").
+ * @returns {import('./scheduler.js').Schedule} The single-slot schedule.
+ */
+function withTimeSlot(schedule, slot) {
+  const datePart = /^\d{4}-\d{2}-\d{2}T/.exec(schedule.time || '');
+  const { times: _times, ...rest } = schedule;
+  return { ...rest, time: datePart ? `${datePart[0]}${slot}` : slot };
+}
+
+/**
+ * {@link nextOccurrence} without the `endDate` and `maxRuns` limits and the exclusion calendar.
+ * @param {import('./scheduler.js').Schedule} schedule - The schedule.
+ * @param {number} fromTimestamp - The timestamp (milliseconds since epoch) to search after.
+ * @returns {number | null} The timestamp of the next run, or null if the recurrence never fires again or is invalid.
+ */
+function nextUnboundedOccurrence(schedule, fromTimestamp) {
+  const parsed = parseScheduleTime(schedule.time);
+  if (!parsed) return null;
+  const { timeZone } = schedule;
+  const start = getScheduleStart(schedule);
+
+  switch (schedule.repeat) {
+    case "once":
+      return start !== null && start > fromTimestamp ? start : null;
+    case "daily":
+      // Step back 1ms because the search is exclusive and the start itself is an occurrence
+      return nextDaily(parsed, start !== null ? Math.max(fromTimestamp, start - 1) : fromTimestamp, timeZone);
+    case "weekly": {
+      const searchFrom = start !== null ? Math.max(fromTimestamp, start - 1) : fromTimestamp;
+      const candidates = normalizeDaysOfWeek(schedule.dayOfWeek).map(dow => nextWeekly(parsed, dow, searchFrom, timeZone));
+      return candidates.length > 0 ? Math.min(...candidates) : null;
+    }
+    case "monthly":
+    case "yearly":
+      if (!schedule.rrule || !parsed.date) return null;
+      return getNextRRuleOccurrence(schedule.rrule, schedule.time, fromTimestamp, timeZone);
+    case "cron": {
+      if (!schedule.cron) return null;
+      let searchFrom = fromTimestamp;
+      if (parsed.date) {
+        const { year, month, day } = parsed.date;
+        searchFrom = Math.max(fromTimestamp, zonedTimeToTimestamp(year, month, day, 0, 0, timeZone) - 1);
+      }
+      return getNextCronOccurrence(schedule.cron, searchFrom, timeZone);
+    }
+    case "interval":
+      if (!(schedule.intervalMinutes >= 1) || start === null) return null;
+      return nextInterval(schedule, fromTimestamp, start);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Lists the times a schedule runs in a window, in ascending order.
+ * No more than the schedule's remaining runs (see {@link getRemainingRuns}) and at most 10,000
+ * occurrences are returned; the earliest ones are kept.
+ *
+ * @param {import('./scheduler.js').Schedule} schedule - The schedule.
+ * @param {number} startTimestamp - Start of the window (exclusive), in milliseconds since epoch.
+ * @param {number} [endTimestamp] - End of the window (inclusive). Defaults to the clock's current time.
+ * @returns {number[]} The occurrence timestamps.
+ */
+export function occurrencesBetween(schedule, startTimestamp, endTimestamp = clock.now()) {
+  const occurrences = [];
+  const limit = Math.min(MAX_OCCURRENCES, getRemainingRuns(schedule));
+  let next = nextOccurrence(schedule, startTimestamp);
+  while (next !== null && next <= endTimestamp && occurrences.length < limit) {
+    occurrences.push(next);
+    next = nextOccurrence(schedule, next);
+  }
+  return occurrences;
+}
+
+/**
+ * Largest jitter a schedule may ask for, in minutes (±12 hours).
+ * @type {number}
+ */
+export const MAX_JITTER_MINUTES = 720;
+
+/**
+ * Returns a schedule's jitter window in milliseconds, or 0 if it has none.
+ * @param {import('./scheduler.js').Schedule} schedule - The schedule.
+ * @returns {number} The largest offset, either way, between an occurrence and the time it fires.
+ */
+function getJitterMs(schedule) {
+  const minutes = schedule && schedule.jitterMinutes;
+  return Number.isInteger(minutes) && minutes > 0 ? Math.min(minutes, MAX_JITTER_MINUTES) * 60 * 1000 : 0;
+}
+
+/**
+ * Returns how far an occurrence of a schedule is moved by its `jitterMinutes`.
+ *
+ * The offset is a hash of the schedule ID and the occurrence, so it is random-looking but the same every
+ * time it is computed: re-registering alarms, the Dashboard and the missed-run check all agree on when an
+ * occurrence fires. Imported schedules get a new ID, so two people sharing a schedule get different offsets.
+ *
+ * @param {import('./scheduler.js').Schedule} schedule - The schedule.
+ * @param {number} occurrence - The occurrence's nominal timestamp, as returned by {@link nextOccurrence}.
+ * @returns {number} The offset in milliseconds (whole seconds, between -jitter and +jitter).
+ */
+export function getJitterOffset(schedule, occurrence) {
+  const jitterMs = getJitterMs(schedule);
+  if (jitterMs === 0) return 0;
+  // 32-bit FNV-1a
+  const key = `${schedule.id}:${occurrence}`;
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < key.length; i++) {
+    hash ^= key.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  const fraction = (hash >>> 0) / 0x100000000; // [0, 1)
+  return Math.round(((fraction * 2 - 1) * jitterMs) / 1000) * 1000;
+}
+
+/**
+ * Finds the earliest fire time (occurrence plus jitter offset) strictly after a timestamp.
+ * Occurrences up to one jitter window either side can fire first, so all of them are compared.
+ * @param {import('./scheduler.js').Schedule} schedule - The schedule.
+ * @param {function(number): (number | null)} next - Returns the nominal occurrence after a timestamp.
+ * @param {number} fromTimestamp - The timestamp (milliseconds since epoch) to search after.
+ * @returns {{occurrence: number, fireTime: number} | null} The occurrence and when it fires, or null if none is left.
+ */
+function findNextFire(schedule, next, fromTimestamp) {
+  const jitterMs = getJitterMs(schedule);
+  let best = null;
+  let occurrence = next(fromTimestamp - jitterMs);
+  for (let i = 0; occurrence !== null && i < MAX_OCCURRENCES; i++) {
+    // Later occurrences fire no earlier than occurrence - jitter, so they can't beat the best found so far
+    if (best !== null && occurrence - jitterMs >= best.fireTime) break;
+    const fireTime = occurrence + getJitterOffset(schedule, occurrence);
+    if (fireTime > fromTimestamp && (best === null || fireTime < best.fireTime)) {
+      best = { occurrence, fireTime };
+    }
+    occurrence = next(occurrence);
+  }
+  return best;
+}
+
+/**
+ * Calculates when a schedule next fires, strictly after a given timestamp: its next occurrence
+ * (see {@link nextOccurrence}) moved by the schedule's jitter (see {@link getJitterOffset}).
+ * Without `jitterMinutes` this is the same as {@link nextOccurrence}.
+ *
+ * Occurrences closer together than twice the jitter may fire out of order.
+ *
+ * @param {import('./scheduler.js').Schedule} schedule - The schedule.
+ * @param {number} [fromTimestamp] - The timestamp (milliseconds since epoch) to search after. Defaults to the clock's current time.
+ * @returns {number | null} The timestamp the schedule next fires at, or null if it never runs again.
+ */
+export function nextFireTime(schedule, fromTimestamp = clock.now()) {
+  if (!schedule) return null;
+  const fire = findNextFire(schedule, from => nextOccurrence(schedule, from), fromTimestamp);
+  return fire ? fire.fireTime : null;
+}
+
+/**
+ * {@link nextFireTime} for one time slot of a multi-time schedule (see {@link nextSlotOccurrence}).
+ * @param {import('./scheduler.js').Schedule} schedule - The schedule.
+ * @param {string} slot - The time slot ("HH:mm"), one of {@link getTimeSlots}.
+ * @param {number} [fromTimestamp] - The timestamp (milliseconds since epoch) to search after. Defaults to the clock's current time.
+ * @returns {number | null} The timestamp the slot next fires at, or null if it never runs again.
+ */
+export function nextSlotFireTime(schedule, slot, fromTimestamp = clock.now()) {
+  if (!schedule) return null;
+  const fire = findNextFire(schedule, from => nextSlotOccurrence(schedule, slot, from), fromTimestamp);
+  return fire ? fire.fireTime : null;
+}
+
+/**
+ * Lists the times a schedule fires in a window, in ascending order, with jitter applied
+ * (see {@link nextFireTime}). An occurrence counts if its fire time is in the window, even if
+ * its nominal time is not. The same limits as {@link occurrencesBetween} apply.
+ *
+ * @param {import('./scheduler.js').Schedule} schedule - The schedule.
+ * @param {number} startTimestamp - Start of the window (exclusive), in milliseconds since epoch.
+ * @param {number} [endTimestamp] - End of the window (inclusive). Defaults to the clock's current time.
+ * @returns {number[]} The fire times.
+ */
+export function fireTimesBetween(schedule, startTimestamp, endTimestamp = clock.now()) {
+  const jitterMs = getJitterMs(schedule);
+  if (jitterMs === 0) {
+    return occurrencesBetween(schedule, startTimestamp, endTimestamp);
+  }
+  const limit = Math.min(MAX_OCCURRENCES, getRemainingRuns(schedule));
+  return occurrencesBetween(schedule, startTimestamp - jitterMs, endTimestamp + jitterMs)
+    .map(occurrence => occurrence + getJitterOffset(schedule, occurrence))
+    .filter(fireTime => fireTime > startTimestamp && fireTime <= endTimestamp)
+    .sort((a, b) => a - b)
+    .slice(0, limit);
+}
+
+/**
+ * Recovers the occurrence a fire time belongs to, undoing the schedule's jitter (see {@link getJitterOffset}).
+ * Used when an alarm fires or a missed run is caught up on, to know which scheduled run it stands for.
+ * @param {import('./scheduler.js').Schedule} schedule - The schedule.
+ * @param {number} fireTime - The fire time (milliseconds since epoch), e.g. an alarm's `scheduledTime`.
+ * @returns {number} The occurrence's nominal timestamp, or `fireTime` itself if no occurrence fires at that time.
+ */
+export function occurrenceForFireTime(schedule, fireTime) {
+  const jitterMs = getJitterMs(schedule);
+  if (jitterMs === 0) return fireTime;
+  const match = occurrencesBetween(schedule, fireTime - jitterMs - 1, fireTime + jitterMs)
+    .find(occurrence => occurrence + getJitterOffset(schedule, occurrence) === fireTime);
+  return match !== undefined ? match : fireTime;
+}
@@ -0,0 +1,177 @@
+// Reminders: notifications shortly before a schedule runs, from which the run can be opened early, delayed or skipped
+
+/**
+ * @typedef {object} ReminderOptions
+ * Shows a notification shortly before a schedule runs.
+ * @property {number} minutesBefore - How many minutes before the run (1 to {@link MAX_REMINDER_MINUTES}).
+ */
+
+/**
+ * Longest time a reminder can come before its run, in minutes.
+ * @type {number}
+ */
+export const MAX_REMINDER_MINUTES = 120;
+
+/**
+ * How long "Delay" puts a run off, in minutes, counted from the run's scheduled time.
+ * @type {number}
+ */
+export const REMINDER_DELAY_MINUTES = 15;
+
+/**
+ * Prefix of reminder alarms, followed by the name of the schedule alarm the reminder is for.
+ * Unlike internal alarms, reminder alarms are cleared and re-armed along with the schedule alarms,
+ * so they follow every change to the schedule. Schedule IDs never start with this prefix.
+ * @type {string}
+ */
+export const REMINDER_ALARM_PREFIX = 'reminder-';
+
+// Internal alarm (see INTERNAL_ALARM_PREFIX in scheduler.js) of a delayed run, followed by the schedule ID
+const DELAYED_RUN_ALARM_PREFIX = 'chronotab-delayed-';
+
+// Reminder notifications, followed by the fire time of the run and the schedule ID
+const REMINDER_NOTIFICATION_PREFIX = 'chronotab-reminder-';
+
+// Notification buttons. Chrome shows at most two, so opening is done by clicking the notification itself.
+const DELAY_BUTTON = 0;
+const SKIP_BUTTON = 1;
+
+/**
+ * Checks whether a schedule's reminder options are well-formed.
+ * @param {ReminderOptions} reminder - The options.
+ * @returns {boolean} True if `minutesBefore` is a whole number in range.
+ */
+export function isValidReminder(reminder) {
+  if (!reminder || typeof reminder !== 'object') return false;
+  return Number.isInteger(reminder.minutesBefore) && reminder.minutesBefore >= 1 && reminder.minutesBefore <= MAX_REMINDER_MINUTES;
+}
+
+/**
+ * Works out when to remind about a run.
+ * @param {import('./scheduler.js').Schedule} schedule - The schedule.
+ * @param {number} fireTime - The run's fire time (ms since epoch).
+ * @returns {number | null} The reminder time (ms since epoch), or null if the schedule has no reminder.
+ */
+export function getReminderTime(schedule, fireTime) {
+  if (!isValidReminder(schedule.reminder)) return null;
+  return fireTime - schedule.reminder.minutesBefore * 60 * 1000;
+}
+
+/**
+ * Checks whether an alarm name belongs to a reminder.
+ * @param {string} alarmName - The alarm name.
+ * @returns {boolean} True if the alarm shows a reminder.
+ */
+export function isReminderAlarm(alarmName) {
+  return alarmName.startsWith(REMINDER_ALARM_PREFIX);
+}
+
+/**
+ * Returns the name of the schedule alarm a reminder alarm is for.
+ * @param {string} alarmName - The reminder alarm's name (see {@link isReminderAlarm}).
+ * @returns {string} The schedule alarm's name.
+ */
+export function getRemindedAlarmName(alarmName) {
+  return alarmName.slice(REMINDER_ALARM_PREFIX.length);
+}
+
+/**
+ * Checks whether an alarm name belongs to a delayed run (see {@link delayRun}).
+ * @param {string} alarmName - The alarm name.
+ * @returns {boolean} True if the alarm starts a delayed run.
+ */
+export function isDelayedRunAlarm(alarmName) {
+  return alarmName.startsWith(DELAYED_RUN_ALARM_PREFIX);
+}
+
+/**
+ * Returns the ID of the schedule a delayed-run alarm belongs to.
+ * @param {string} alarmName - The alarm name (see {@link isDelayedRunAlarm}).
+ * @returns {string} The schedule ID.
+ */
+export function getDelayedScheduleId(alarmName) {
+  return alarmName.slice(DELAYED_RUN_ALARM_PREFIX.length);
+}
+
+/**
+ * Sets the alarm that starts a delayed run. The caller records the delay on the schedule (`delayedRunAt`).
+ * @param {string} scheduleId - The schedule ID.
+ * @param {number} when - When the run starts (ms since epoch).
+ */
+export function delayRun(scheduleId, when) {
+  chrome.alarms.create(`${DELAYED_RUN_ALARM_PREFIX}${scheduleId}`, { when });
+}
+
+/**
+ * Checks whether a notification ID belongs to a reminder.
+ * @param {string} notificationId - The notification ID.
+ * @returns {boolean} True if the notification is a reminder.
+ */
+export function isReminderNotification(notificationId) {
+  return notificationId.startsWith(REMINDER_NOTIFICATION_PREFIX);
+}
+
+/**
+ * Returns the notification ID of the reminder for a run.
+ * @param {string} scheduleId - The schedule ID.
+ * @param {number} fireTime - The run's fire time (ms since epoch).
+ * @returns {string} The notification ID.
+ */
+function getReminderNotificationId(scheduleId, fireTime) {
+  return `${REMINDER_NOTIFICATION_PREFIX}${fireTime}-${scheduleId}`;
+}
+
+/**
+ * Works out which run a reminder notification is about.
+ * @param {string} notificationId - The notification ID (see {@link isReminderNotification}).
+ * @returns {{scheduleId: string, fireTime: number}} The schedule ID and the run's fire time.
+ */
+export function parseReminderNotification(notificationId) {
+  const rest = notificationId.slice(REMINDER_NOTIFICATION_PREFIX.length);
+  const separator = rest.indexOf('-');
+  return { scheduleId: rest.slice(separator + 1), fireTime: parseInt(rest.slice(0, separator), 10) };
+}
+
+/**
+ * Tells what a click on a reminder notification asks for.
+ * @param {number} [buttonIndex] - The button clicked, or undefined for the notification itself.
+ * @returns {string | null} "open" to run now, "delay" to put the run off, "skip" to skip it, or null for an unknown button.
+ */
+export function getReminderAction(buttonIndex) {
+  if (buttonIndex === undefined) return "open";
+  if (buttonIndex === DELAY_BUTTON) return "delay";
+  if (buttonIndex === SKIP_BUTTON) return "skip";
+  return null;
+}
+
+/**
+ * Shows the reminder for a schedule's upcoming run.
+ * @param {import('./scheduler.js').Schedule} schedule - The schedule.
+ * @param {number} fireTime - The run's fire time (ms since epoch).
+ */
+export function showReminder(schedule, fireTime) {
+  const minutes = Math.max(1, Math.round((fireTime - Date.now()) / 60000));
+  const opens = !schedule.action || schedule.action === "open";
+  chrome.notifications.create(getReminderNotificationId(schedule.id, fireTime), {
+    type: "basic",
+    iconUrl: chrome.runtime.getURL("icon.png"),
+    title: `${schedule.name} ${opens ? "opens" : "runs"} in ${minutes} min`,
+    message: `Click to ${opens ? "open it" : "run it"} now.`,
+    priority: 1,
+    requireInteraction: true,
+    buttons: [{ title: `Delay ${REMINDER_DELAY_MINUTES} min` }, { title: "Skip this time" }],
+  }, () => {
+    if (chrome.runtime.lastError) {
+      console.error('[Chronotab] Reminder notification error:', chrome.runtime.lastError.message);
+    }
+  });
+}
+
+/**
+ * Clears the reminder for a run, e.g. once the run has started.
+ * @param {string} scheduleId - The schedule ID.
+ * @param {number} fireTime - The run's fire time (ms since epoch).
+ */
+export function clearReminder(scheduleId, fireTime) {
+  chrome.notifications.clear(getReminderNotificationId(scheduleId, fireTime));
+}
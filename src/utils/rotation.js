@@ -0,0 +1,136 @@
+// Rotation: schedules that open just one of their URLs per run, with a cursor that survives restarts
+
+/**
+ * @typedef {object} RotationState
+ * Where a rotating schedule's cursor stands.
+ * @property {number} next - Index of the URL entry the next run opens.
+ * @property {number[]} [remaining] - For "shuffle" schedules, the indices not yet opened in the current round (excluding `next`).
+ */
+
+/**
+ * How many of its URLs a schedule opens per run:
+ * - "all": every URL (the default).
+ * - "roundRobin": one URL per run, in order, starting over after the last.
+ * - "random": one URL per run, picked at random each time.
+ * - "shuffle": one URL per run, picked at random without repeats until every URL has had its turn.
+ * @type {string[]}
+ */
+export const SELECTION_MODES = ["all", "roundRobin", "random", "shuffle"];
+
+/**
+ * Key in `chrome.storage.local` holding the rotation state of each rotating schedule, by schedule ID.
+ * @type {string}
+ */
+export const ROTATION_STATE_KEY = 'chronotab_rotation';
+
+// Updates of the stored rotation state, chained so that concurrent runs don't overwrite each other
+let pendingUpdate = Promise.resolve();
+
+/**
+ * Returns a schedule's selection mode.
+ * @param {import('./scheduler.js').Schedule} schedule - The schedule.
+ * @returns {string} One of {@link SELECTION_MODES}; "all" if the schedule has none or an unknown one.
+ */
+export function getSelectionMode(schedule) {
+  return SELECTION_MODES.includes(schedule.selection) ? schedule.selection : "all";
+}
+
+/**
+ * Returns a random index below a count.
+ * @param {number} count - The number of choices.
+ * @returns {number} The index.
+ */
+function randomIndex(count) {
+  return Math.floor(Math.random() * count);
+}
+
+/**
+ * Returns the URL index a rotating schedule opens on its next run.
+ * @param {string} mode - The selection mode (not "all").
+ * @param {number} count - The number of URL entries.
+ * @param {RotationState} [state] - The stored state, if any.
+ * @returns {number} The index.
+ */
+function currentIndex(mode, count, state) {
+  if (state && Number.isInteger(state.next) && state.next >= 0 && state.next < count) {
+    return state.next;
+  }
+  return mode === "roundRobin" ? 0 : randomIndex(count);
+}
+
+/**
+ * Works out the rotation state after a run has opened one URL.
+ * @param {string} mode - The selection mode (not "all").
+ * @param {number} count - The number of URL entries.
+ * @param {number} opened - Index of the URL entry that was opened.
+ * @param {RotationState} [state] - The state before the run.
+ * @returns {RotationState} The state for the following run.
+ */
+function advance(mode, count, opened, state) {
+  if (mode === "roundRobin") {
+    return { next: (opened + 1) % count };
+  }
+  if (mode === "random" || count === 1) {
+    return { next: randomIndex(count) };
+  }
+  // Shuffle: draw from what's left of this round, starting a new round (without an immediate repeat) once it's empty
+  let remaining = ((state && state.remaining) || []).filter(index => index < count && index !== opened);
+  if (remaining.length === 0) {
+    remaining = [...Array(count).keys()].filter(index => index !== opened);
+  }
+  const next = remaining[randomIndex(remaining.length)];
+  return { next, remaining: remaining.filter(index => index !== next) };
+}
+
+/**
+ * Reads the rotation state of every rotating schedule.
+ * @async
+ * @returns {Promise<Object<string, RotationState>>} The states, by schedule ID.
+ */
+export async function getRotationStates() {
+  const result = await chrome.storage.local.get(ROTATION_STATE_KEY);
+  return result[ROTATION_STATE_KEY] || {};
+}
+
+/**
+ * Returns the URL entry a rotating schedule opens on its next run, as far as it's known yet.
+ * @param {import('./scheduler.js').Schedule} schedule - The schedule.
+ * @param {import('./tabs.js').UrlEntry[]} entries - The schedule's URL entries, normalized the same way as for
+ *                                                  {@link selectRunEntries} so the cursor points at the same entry.
+ * @param {RotationState} [state] - The schedule's stored rotation state (see {@link getRotationStates}).
+ * @returns {import('./tabs.js').UrlEntry | null} The entry, or null if the schedule opens all its URLs or the
+ *          next one is yet to be picked at random.
+ */
+export function getNextRotationEntry(schedule, entries, state) {
+  const mode = getSelectionMode(schedule);
+  if (mode === "all" || entries.length === 0) return null;
+  if (state && Number.isInteger(state.next) && state.next >= 0 && state.next < entries.length) {
+    return entries[state.next];
+  }
+  return mode === "roundRobin" ? entries[0] : null;
+}
+
+/**
+ * Picks the URL entries a run of a schedule opens and moves the schedule's rotation cursor on.
+ * Schedules whose selection mode is "all" get every entry back and keep no state.
+ * @async
+ * @param {import('./scheduler.js').Schedule} schedule - The schedule being run.
+ * @param {import('./tabs.js').UrlEntry[]} entries - The schedule's URL entries.
+ * @returns {Promise<import('./tabs.js').UrlEntry[]>} The entries to open.
+ */
+export async function selectRunEntries(schedule, entries) {
+  const mode = getSelectionMode(schedule);
+  if (mode === "all" || entries.length === 0) return entries;
+  let opened = 0;
+  pendingUpdate = pendingUpdate
+    .then(async () => {
+      const states = await getRotationStates();
+      const state = states[schedule.id];
+      opened = currentIndex(mode, entries.length, state);
+      states[schedule.id] = advance(mode, entries.length, opened, state);
+      await chrome.storage.local.set({ [ROTATION_STATE_KEY]: states });
+    })
+    .catch(error => console.error(`[Chronotab] Error updating the rotation of '${schedule.name}':`, error));
+  await pendingUpdate;
+  return [entries[opened]];
+}
@@ -0,0 +1,342 @@
+// iCalendar RRULE-style monthly and yearly recurrence rules
+import { getZonedParts, zonedTimeToTimestamp } from './timezone.js';
+
+/**
+ * @typedef {object} RRuleWeekday
+ * A BYDAY entry of a recurrence rule.
+ * @property {number} weekday - ISO day of the week (1=Mon, 7=Sun).
+ * @property {number|null} ordinal - Optional position within the month (e.g. 1 for "1MO", -1 for "-1FR"), or null for every matching day.
+ */
+
+/**
+ * @typedef {object} RRule
+ * The parsed form of a recurrence rule. Only the parts of RFC 5545 that Chronotab needs are supported.
+ * @property {string} freq - "MONTHLY" or "YEARLY".
+ * @property {number} interval - Repeat every `interval` months or years (default 1).
+ * @property {number[]} byMonth - Months the rule applies to (1=Jan, 12=Dec). Only meaningful for YEARLY rules.
+ * @property {number[]} byMonthDay - Days of the month (1 to 31, or -1 to -31 counting back from the last day).
+ * @property {RRuleWeekday[]} byDay - Days of the week, optionally with an ordinal.
+ * @property {number[]} bySetPos - Positions (1-based, negative from the end) selecting from the days matched in each period.
+ */
+
+export const RRULE_WEEKDAYS = ["MO", "TU", "WE", "TH", "FR", "SA", "SU"];
+const MONTH_NAMES = ["January", "February", "March", "April", "May", "June", "July", "August", "September", "October", "November", "December"];
+const WEEKDAY_NAMES = ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"];
+const ORDINAL_NAMES = { 1: "first", 2: "second", 3: "third", 4: "fourth", 5: "fifth", "-1": "last", "-2": "second-to-last" };
+
+// How many periods getNextRRuleOccurrence inspects before giving up (100 years of months).
+const MAX_PERIODS = 1200;
+
+/**
+ * Parses a comma-separated list of integers for a BY* rule part.
+ * @param {string} name - The rule part name, used in error messages.
+ * @param {string} value - The raw value, e.g. "1,15,-1".
+ * @param {number} min - Smallest allowed absolute value.
+ * @param {number} max - Largest allowed absolute value.
+ * @param {boolean} allowNegative - Whether negative values are allowed.
+ * @returns {number[]} The parsed values.
+ * @throws {Error} If a value is not an integer in range.
+ */
+function parseIntList(name, value, min, max, allowNegative) {
+  return value.split(",").map(token => {
+    if (!/^[+-]?\d+$/.test(token)) {
+      throw new Error(`Invalid ${name} value '${token}'.`);
+    }
+    const n = parseInt(token, 10);
+    const magnitude = Math.abs(n);
+    if ((n < 0 && !allowNegative) || magnitude < min || magnitude > max) {
+      throw new Error(`${name} value ${n} is out of range.`);
+    }
+    return n;
+  });
+}
+
+/**
+ * Parses a recurrence rule string such as "FREQ=MONTHLY;BYDAY=MO;BYSETPOS=1".
+ *
+ * Supported parts: FREQ (MONTHLY or YEARLY), INTERVAL, BYMONTH, BYMONTHDAY, BYDAY (with optional
+ * ordinals such as "1MO" or "-1FR") and BYSETPOS. An optional leading "RRULE:" is ignored.
+ *
+ * @param {string} rruleStr - The rule string.
+ * @returns {RRule} The parsed rule.
+ * @throws {Error} If the rule is malformed or uses unsupported parts. The message is suitable for showing to the user.
+ */
+export function parseRRule(rruleStr) {
+  if (typeof rruleStr !== "string" || rruleStr.trim() === "") {
+    throw new Error("Recurrence rule is empty.");
+  }
+  const rule = { freq: null, interval: 1, byMonth: [], byMonthDay: [], byDay: [], bySetPos: [] };
+  const body = rruleStr.trim().replace(/^RRULE:/i, "");
+
+  body.split(";").filter(Boolean).forEach(part => {
+    const [rawKey, value] = part.split("=");
+    const key = (rawKey || "").toUpperCase();
+    if (!value) {
+      throw new Error(`Missing value for '${rawKey}'.`);
+    }
+    switch (key) {
+      case "FREQ":
+        if (value.toUpperCase() !== "MONTHLY" && value.toUpperCase() !== "YEARLY") {
+          throw new Error(`Unsupported FREQ '${value}'. Only MONTHLY and YEARLY are supported.`);
+        }
+        rule.freq = value.toUpperCase();
+        break;
+      case "INTERVAL":
+        [rule.interval] = parseIntList("INTERVAL", value, 1, 1000, false);
+        break;
+      case "BYMONTH":
+        rule.byMonth = parseIntList("BYMONTH", value, 1, 12, false);
+        break;
+      case "BYMONTHDAY":
+        rule.byMonthDay = parseIntList("BYMONTHDAY", value, 1, 31, true);
+        break;
+      case "BYSETPOS":
+        rule.bySetPos = parseIntList("BYSETPOS", value, 1, 366, true);
+        break;
+      case "BYDAY":
+        rule.byDay = value.split(",").map(token => {
+          const match = /^([+-]?\d{1,2})?(MO|TU|WE|TH|FR|SA|SU)$/i.exec(token);
+          if (!match) {
+            throw new Error(`Invalid BYDAY value '${token}'.`);
+          }
+          const ordinal = match[1] ? parseInt(match[1], 10) : null;
+          if (ordinal !== null && (ordinal === 0 || Math.abs(ordinal) > 5)) {
+            throw new Error(`BYDAY ordinal ${ordinal} is out of range.`);
+          }
+          return { weekday: RRULE_WEEKDAYS.indexOf(match[2].toUpperCase()) + 1, ordinal };
+        });
+        break;
+      default:
+        throw new Error(`Unsupported rule part '${rawKey}'.`);
+    }
+  });
+
+  if (!rule.freq) {
+    throw new Error("Recurrence rule must include FREQ=MONTHLY or FREQ=YEARLY.");
+  }
+  return rule;
+}
+
+/**
+ * Checks whether a string is a recurrence rule that {@link parseRRule} accepts.
+ * @param {string} rruleStr - The rule string.
+ * @returns {boolean} True if the rule is valid.
+ */
+export function isValidRRule(rruleStr) {
+  try {
+    parseRRule(rruleStr);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Serializes a rule object back to its string form, omitting empty parts and the default interval.
+ * @param {RRule} rule - The rule to serialize.
+ * @returns {string} The rule string, e.g. "FREQ=MONTHLY;BYDAY=MO;BYSETPOS=1".
+ */
+export function formatRRule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval && rule.interval !== 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byMonth && rule.byMonth.length) parts.push(`BYMONTH=${rule.byMonth.join(",")}`);
+  if (rule.byMonthDay && rule.byMonthDay.length) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(",")}`);
+  if (rule.byDay && rule.byDay.length) {
+    parts.push(`BYDAY=${rule.byDay.map(d => `${d.ordinal ?? ""}${RRULE_WEEKDAYS[d.weekday - 1]}`).join(",")}`);
+  }
+  if (rule.bySetPos && rule.bySetPos.length) parts.push(`BYSETPOS=${rule.bySetPos.join(",")}`);
+  return parts.join(";");
+}
+
+/**
+ * Builds the default recurrence rule for a frequency, based on a schedule's start date.
+ * Monthly rules repeat on the start date's day of the month; yearly rules on its month and day.
+ * @param {string} freq - "MONTHLY" or "YEARLY".
+ * @param {string} startDate - The start date as "YYYY-MM-DD".
+ * @returns {string} The rule string.
+ */
+export function getDefaultRRule(freq, startDate) {
+  const [, month, day] = (startDate || "").split("-").map(n => parseInt(n, 10));
+  const rule = { freq, interval: 1, byMonth: [], byMonthDay: [day || 1], byDay: [], bySetPos: [] };
+  if (freq === "YEARLY") {
+    rule.byMonth = [month || 1];
+  }
+  return formatRRule(rule);
+}
+
+/**
+ * Lists the days of one month that satisfy the BYMONTHDAY and BYDAY parts of a rule.
+ * @param {RRule} rule - The parsed rule.
+ * @param {number} year - Full year.
+ * @param {number} month - Month index (0=Jan, 11=Dec).
+ * @param {number} defaultDay - Day of the month used when the rule has neither BYMONTHDAY nor BYDAY.
+ * @returns {number[]} Matching days of the month, in ascending order.
+ */
+function getMatchingDaysInMonth(rule, year, month, defaultDay) {
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+  if (!rule.byMonthDay.length && !rule.byDay.length) {
+    // Like RFC 5545, a month that doesn't have the start date's day (e.g. the 31st) is skipped
+    return defaultDay <= daysInMonth ? [defaultDay] : [];
+  }
+
+  const days = [];
+  for (let day = 1; day <= daysInMonth; day++) {
+    if (rule.byMonthDay.length) {
+      const matchesMonthDay = rule.byMonthDay.some(md => (md > 0 ? md : daysInMonth + md + 1) === day);
+      if (!matchesMonthDay) continue;
+    }
+    if (rule.byDay.length) {
+      const isoWeekday = new Date(Date.UTC(year, month, day)).getUTCDay() || 7;
+      const matchesDay = rule.byDay.some(bd => {
+        if (bd.weekday !== isoWeekday) return false;
+        if (bd.ordinal === null) return true;
+        const positionFromStart = Math.floor((day - 1) / 7) + 1;
+        const positionFromEnd = Math.floor((daysInMonth - day) / 7) + 1;
+        return bd.ordinal > 0 ? positionFromStart === bd.ordinal : positionFromEnd === -bd.ordinal;
+      });
+      if (!matchesDay) continue;
+    }
+    days.push(day);
+  }
+  return days;
+}
+
+/**
+ * Applies BYSETPOS to the ordered candidate dates of one period.
+ * @param {Array<number[]>} candidates - Candidate dates as [year, monthIndex, day], in ascending order.
+ * @param {number[]} bySetPos - The set positions; an empty array keeps every candidate.
+ * @returns {Array<number[]>} The selected dates, in ascending order.
+ */
+function applySetPos(candidates, bySetPos) {
+  if (!bySetPos.length) return candidates;
+  const selected = new Set();
+  bySetPos.forEach(pos => {
+    const index = pos > 0 ? pos - 1 : candidates.length + pos;
+    if (index >= 0 && index < candidates.length) selected.add(index);
+  });
+  return [...selected].sort((a, b) => a - b).map(i => candidates[i]);
+}
+
+/**
+ * Calculates the next occurrence of a monthly or yearly recurrence rule strictly after a given timestamp.
+ *
+ * The start date/time plays the role of DTSTART: it supplies the time of day, anchors INTERVAL counting,
+ * provides the default day (and, for YEARLY rules, month) when the rule has no BY* parts, and no occurrence
+ * is ever returned before it. Dates are evaluated in wall-clock time of `timeZone`.
+ *
+ * @param {string} rruleStr - The rule string, e.g. "FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1".
+ * @param {string} startTimeStr - The start date and time as "YYYY-MM-DDTHH:mm".
+ * @param {number} fromTimestamp - The timestamp (milliseconds since epoch) to search after.
+ * @param {string} [timeZone] - IANA time zone the start time and rule are in. Defaults to the browser's local time zone.
+ * @returns {number | null} The timestamp of the next occurrence, or null if the inputs are invalid or the rule never fires.
+ */
+export function getNextRRuleOccurrence(rruleStr, startTimeStr, fromTimestamp, timeZone) {
+  let rule;
+  try {
+    rule = parseRRule(rruleStr);
+  } catch (error) {
+    console.error(`[Chronotab] Invalid recurrence rule '${rruleStr}': ${error.message}`);
+    return null;
+  }
+
+  const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/.exec(startTimeStr || "");
+  if (!match) {
+    console.error(`[Chronotab] Invalid start time '${startTimeStr}' for recurrence rule. Expected YYYY-MM-DDTHH:mm.`);
+    return null;
+  }
+  const [startYear, startMonth, startDay, hour, minute] = match.slice(1).map(n => parseInt(n, 10));
+  const startTimestamp = zonedTimeToTimestamp(startYear, startMonth, startDay, hour, minute, timeZone);
+  const fromDate = getZonedParts(Math.max(fromTimestamp, startTimestamp), timeZone);
+  const monthsPerPeriod = rule.freq === "YEARLY" ? 12 : 1;
+  const periodStep = rule.interval;
+
+  // Jump straight to the period containing the search start, aligned to the interval
+  const monthsSinceStart = (fromDate.year - startYear) * 12 + fromDate.month - startMonth;
+  let period = Math.max(0, Math.floor(monthsSinceStart / monthsPerPeriod));
+  period -= period % periodStep;
+
+  for (let checked = 0; checked < MAX_PERIODS; checked++, period += periodStep) {
+    const periodFirstMonth = new Date(Date.UTC(startYear, startMonth - 1 + period * monthsPerPeriod, 1));
+    const year = periodFirstMonth.getUTCFullYear();
+    let candidates = [];
+
+    if (rule.freq === "MONTHLY") {
+      const month = periodFirstMonth.getUTCMonth();
+      candidates = getMatchingDaysInMonth(rule, year, month, startDay).map(day => [year, month, day]);
+    } else {
+      const months = rule.byMonth.length ? [...rule.byMonth].sort((a, b) => a - b) : [startMonth];
+      months.forEach(m => {
+        getMatchingDaysInMonth(rule, year, m - 1, startDay).forEach(day => candidates.push([year, m - 1, day]));
+      });
+    }
+
+    for (const [y, m, d] of applySetPos(candidates, rule.bySetPos)) {
+      const candidate = zonedTimeToTimestamp(y, m + 1, d, hour, minute, timeZone);
+      if (candidate > fromTimestamp && candidate >= startTimestamp) {
+        return candidate;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Formats a positive integer as an English ordinal, e.g. 1 → "1st", 3 → "3rd", 12 → "12th".
+ * @param {number} n - The number to format.
+ * @returns {string} The ordinal string.
+ */
+function toOrdinal(n) {
+  const suffixes = { 1: "st", 2: "nd", 3: "rd" };
+  const suffix = (n % 100 >= 11 && n % 100 <= 13) ? "th" : (suffixes[n % 10] || "th");
+  return `${n}${suffix}`;
+}
+
+/**
+ * Produces a short human-readable description of a recurrence rule, e.g. "First Monday of every month".
+ * Rules that don't fit the common shapes fall back to the raw rule string.
+ * @param {string} rruleStr - The rule string.
+ * @returns {string} The description.
+ */
+export function describeRRule(rruleStr) {
+  let rule;
+  try {
+    rule = parseRRule(rruleStr);
+  } catch {
+    return rruleStr || "";
+  }
+
+  const unit = rule.freq === "YEARLY" ? "year" : "month";
+  const every = rule.interval > 1 ? `every ${rule.interval} ${unit}s` : `every ${unit}`;
+  const capitalize = text => `${text.charAt(0).toUpperCase()}${text.slice(1)}`;
+  const monthList = rule.byMonth.map(m => MONTH_NAMES[m - 1]).join(", ");
+
+  if (!rule.byDay.length && !rule.byMonthDay.length) {
+    return capitalize(monthList ? `${every} in ${monthList}` : every);
+  }
+  if (rule.freq === "YEARLY" && rule.byMonth.length === 1 && rule.byMonthDay.length === 1 && rule.byMonthDay[0] > 0 && !rule.byDay.length) {
+    return capitalize(`${every} on ${monthList} ${rule.byMonthDay[0]}`);
+  }
+
+  let dayText = null;
+  if (rule.byMonthDay.length === 1 && !rule.byDay.length && !rule.bySetPos.length) {
+    const md = rule.byMonthDay[0];
+    dayText = md === -1 ? "last day" : md < 0 ? `${toOrdinal(-md)}-to-last day` : `day ${md}`;
+  } else if (rule.byDay.length && !rule.byMonthDay.length && rule.bySetPos.length <= 1) {
+    const weekdays = rule.byDay.map(d => d.weekday).sort((a, b) => a - b).join(",");
+    const ordinal = rule.bySetPos.length ? rule.bySetPos[0] : rule.byDay.length === 1 ? rule.byDay[0].ordinal : null;
+    let dayName = null;
+    if (rule.byDay.length === 1) dayName = WEEKDAY_NAMES[rule.byDay[0].weekday - 1];
+    else if (weekdays === "1,2,3,4,5") dayName = "business day";
+    else if (weekdays === "1,2,3,4,5,6,7") dayName = "day";
+    if (dayName && ordinal !== null && ORDINAL_NAMES[ordinal]) {
+      dayText = `${ORDINAL_NAMES[ordinal]} ${dayName}`;
+    }
+  }
+
+  if (!dayText) return rruleStr;
+  if (rule.freq === "YEARLY") {
+    return capitalize(`${dayText} of ${monthList || "the start month"}, ${every}`);
+  }
+  return capitalize(`${dayText} of ${every}`);
+}
@@ -0,0 +1,323 @@
+// Run sessions: the tabs each schedule run opened, kept so they can be listed, focused and closed again later
+import { getZonedParts, zonedTimeToTimestamp, addCalendarDays } from './timezone.js';
+
+/**
+ * @typedef {object} AutoCloseOptions
+ * When to close the tabs a schedule run opened. Exactly one of the properties is set.
+ * @property {number} [afterMinutes] - Close the tabs this many minutes after the run (1 to {@link MAX_AUTO_CLOSE_MINUTES}).
+ * @property {string} [at] - Close the tabs at this "HH:mm" time of day, in the schedule's time zone. If that time
+ *                           has already passed when the run starts, the tabs close at that time the next day.
+ */
+
+/**
+ * @typedef {object} RunTab
+ * A tab opened by a run.
+ * @property {number} tabId - The tab's ID. Tab IDs are only valid until the browser restarts.
+ * @property {number} windowId - ID of the window the tab was opened in. The user may have moved the tab since.
+ * @property {string} url - The URL the tab was opened with.
+ * @property {boolean} pinned - Whether the tab was pinned when it was opened.
+ */
+
+/**
+ * @typedef {object} Run
+ * One run of a schedule (a run session) and the tabs it opened that are still open.
+ * @property {string} id - Unique identifier for the run.
+ * @property {string} scheduleId - ID of the schedule that ran.
+ * @property {string} scheduleName - Name of the schedule at the time it ran.
+ * @property {string} source - What triggered the run: "alarm", "missed" (a missed run caught up on),
+ *                             "manual" (Run Now on the dashboard) or "contextMenu".
+ * @property {number} startedAt - Timestamp (ms since epoch) of when the run opened its tabs.
+ * @property {RunTab[]} tabs - The tabs the run opened.
+ * @property {number} [closeAt] - Timestamp (ms since epoch) the tabs are closed at, if the schedule auto-closes them.
+ */
+
+/**
+ * Key in `chrome.storage.local` holding the list of runs whose tabs are still open.
+ * Persisted so a restarted service worker can still close the tabs, and so the dashboard can list them.
+ * @type {string}
+ */
+export const RUNS_KEY = 'chronotab_runs';
+
+/**
+ * Longest auto-close delay, in minutes (one day).
+ * @type {number}
+ */
+export const MAX_AUTO_CLOSE_MINUTES = 1440;
+
+// Internal alarm (see INTERNAL_ALARM_PREFIX in scheduler.js) that closes a run's tabs, followed by the run ID
+const AUTO_CLOSE_ALARM_PREFIX = 'chronotab-autoclose-';
+
+// Updates of the stored runs, chained so that concurrent runs don't overwrite each other
+let pendingUpdate = Promise.resolve();
+
+/**
+ * Checks whether a schedule's auto-close options are well-formed.
+ * @param {AutoCloseOptions} autoClose - The options.
+ * @returns {boolean} True if exactly one of `afterMinutes` and `at` is set to a valid value.
+ */
+export function isValidAutoClose(autoClose) {
+  if (!autoClose || typeof autoClose !== 'object') return false;
+  const hasAfter = autoClose.afterMinutes !== undefined;
+  const hasAt = autoClose.at !== undefined;
+  if (hasAfter === hasAt) return false;
+  if (hasAfter) {
+    return Number.isInteger(autoClose.afterMinutes) && autoClose.afterMinutes >= 1 && autoClose.afterMinutes <= MAX_AUTO_CLOSE_MINUTES;
+  }
+  return typeof autoClose.at === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(autoClose.at);
+}
+
+/**
+ * Works out when the tabs of a run should be closed.
+ * @param {import('./scheduler.js').Schedule} schedule - The schedule that ran.
+ * @param {number} startedAt - Timestamp (ms since epoch) of the run.
+ * @returns {number | null} The closing time (ms since epoch), or null if the schedule doesn't auto-close its tabs.
+ */
+export function getAutoCloseTime(schedule, startedAt) {
+  const { autoClose } = schedule;
+  if (!isValidAutoClose(autoClose)) return null;
+  if (autoClose.afterMinutes !== undefined) {
+    return startedAt + autoClose.afterMinutes * 60 * 1000;
+  }
+  const [hour, minute] = autoClose.at.split(':').map(part => parseInt(part, 10));
+  const today = getZonedParts(startedAt, schedule.timeZone);
+  const closeToday = zonedTimeToTimestamp(today.year, today.month, today.day, hour, minute, schedule.timeZone);
+  if (closeToday > startedAt) return closeToday;
+  const tomorrow = addCalendarDays(today, 1);
+  return zonedTimeToTimestamp(tomorrow.year, tomorrow.month, tomorrow.day, hour, minute, schedule.timeZone);
+}
+
+/**
+ * Checks whether an alarm name belongs to an auto-close alarm.
+ * @param {string} alarmName - The alarm name.
+ * @returns {boolean} True if the alarm closes a run's tabs.
+ */
+export function isAutoCloseAlarm(alarmName) {
+  return alarmName.startsWith(AUTO_CLOSE_ALARM_PREFIX);
+}
+
+/**
+ * Reads the tracked runs from `chrome.storage.local`.
+ * @async
+ * @returns {Promise<Run[]>} The runs.
+ */
+export async function getRuns() {
+  const result = await chrome.storage.local.get(RUNS_KEY);
+  return result[RUNS_KEY] || [];
+}
+
+/**
+ * Applies a change to the stored runs. Changes are applied one after another.
+ * @param {function(Run[]): (Run[] | null)} change - Receives the current runs and returns the new list,
+ *                                                   or null to leave them unchanged.
+ * @returns {Promise<void>} Resolves once the change is saved. Errors are logged, not thrown.
+ */
+function updateRuns(change) {
+  pendingUpdate = pendingUpdate
+    .then(async () => {
+      const runs = change(await getRuns());
+      if (runs === null) return;
+      if (runs.length === 0) {
+        await chrome.storage.local.remove(RUNS_KEY);
+      } else {
+        await chrome.storage.local.set({ [RUNS_KEY]: runs });
+      }
+    })
+    .catch(error => console.error("[Chronotab] Error updating runs:", error));
+  return pendingUpdate;
+}
+
+/**
+ * Clears the auto-close alarm of a run, if it has one.
+ * @param {string} runId - The run ID.
+ * @returns {Promise<boolean>} Resolves to true if an alarm was cleared.
+ */
+function clearAutoCloseAlarm(runId) {
+  return chrome.alarms.clear(`${AUTO_CLOSE_ALARM_PREFIX}${runId}`);
+}
+
+/**
+ * Records a schedule run as a session with the tabs it opened and, if the schedule auto-closes its tabs,
+ * sets an alarm to close them.
+ * @async
+ * @param {import('./scheduler.js').Schedule} schedule - The schedule that ran.
+ * @param {number[]} tabIds - The IDs of the tabs the run opened (see `openScheduleTabs`).
+ * @param {string} source - What triggered the run (see {@link Run}).
+ * @returns {Promise<Run | null>} The recorded run, or null if the run opened no tabs.
+ */
+export async function recordRun(schedule, tabIds, source) {
+  if (tabIds.length === 0) return null;
+  const startedAt = Date.now();
+  const closeAt = getAutoCloseTime(schedule, startedAt);
+
+  const tabs = [];
+  for (const tabId of tabIds) {
+    try {
+      const tab = await chrome.tabs.get(tabId);
+      tabs.push({ tabId, windowId: tab.windowId, url: tab.pendingUrl || tab.url || '', pinned: !!tab.pinned });
+    } catch {
+      // Closed again before it could be recorded
+    }
+  }
+  if (tabs.length === 0) return null;
+
+  const run = {
+    id: `${schedule.id}-${startedAt}`,
+    scheduleId: schedule.id,
+    scheduleName: schedule.name,
+    source,
+    startedAt,
+    tabs,
+  };
+  if (closeAt !== null) run.closeAt = closeAt;
+  await updateRuns(runs => [...runs.filter(existing => existing.id !== run.id), run]);
+  if (closeAt !== null) {
+    chrome.alarms.create(`${AUTO_CLOSE_ALARM_PREFIX}${run.id}`, { when: closeAt });
+  }
+  return run;
+}
+
+/**
+ * Returns a URL without its fragment, for telling whether a tab is still on the page it was opened with.
+ * @param {string} url - The URL.
+ * @returns {string | null} The normalized URL without its hash, or null if the URL can't be parsed.
+ */
+function getPageUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    return parsed.href;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Closes the tabs of a tracked run and stops tracking it.
+ * @async
+ * @param {string} runId - The run ID.
+ * @param {object} [options]
+ * @param {boolean} [options.keepChanged=false] - Leave tabs open that the user has since pinned, or navigated to another page.
+ *                                               Changes to the URL's hash alone don't count as navigating away.
+ * @returns {Promise<number>} The number of tabs that were closed.
+ */
+export async function closeRunTabs(runId, { keepChanged = false } = {}) {
+  let run = null;
+  await updateRuns(runs => {
+    run = runs.find(existing => existing.id === runId) || null;
+    return run ? runs.filter(existing => existing.id !== runId) : null;
+  });
+  if (!run) return 0;
+  await clearAutoCloseAlarm(runId);
+
+  const toClose = [];
+  for (const runTab of run.tabs) {
+    let tab;
+    try {
+      tab = await chrome.tabs.get(runTab.tabId);
+    } catch {
+      continue; // Already closed
+    }
+    if (!keepChanged) {
+      toClose.push(tab.id);
+      continue;
+    }
+    const openedPage = getPageUrl(runTab.url);
+    const navigatedAway = openedPage !== null && getPageUrl(tab.pendingUrl || tab.url || '') !== openedPage;
+    if ((tab.pinned && !runTab.pinned) || navigatedAway) continue;
+    toClose.push(tab.id);
+  }
+  if (toClose.length > 0) {
+    await chrome.tabs.remove(toClose);
+  }
+  return toClose.length;
+}
+
+/**
+ * Switches to a tab and brings its window to the front. If the tab is in a collapsed group, the group is expanded.
+ * @async
+ * @param {number} tabId - The tab ID.
+ * @returns {Promise<void>}
+ */
+export async function focusTab(tabId) {
+  const tab = await chrome.tabs.update(tabId, { active: true });
+  if (tab.groupId !== undefined && tab.groupId !== -1) {
+    await chrome.tabGroups.update(tab.groupId, { collapsed: false });
+  }
+  await chrome.windows.update(tab.windowId, { focused: true });
+}
+
+/**
+ * Brings every window holding tabs of a run to the front, showing one of the run's tabs in each.
+ * The window of the run's first tab ends up frontmost.
+ * @async
+ * @param {string} runId - The run ID.
+ * @returns {Promise<void>}
+ */
+export async function focusRunTabs(runId) {
+  const run = (await getRuns()).find(existing => existing.id === runId);
+  if (!run) return;
+  const firstTabByWindow = new Map();
+  for (const runTab of run.tabs) {
+    try {
+      const tab = await chrome.tabs.get(runTab.tabId);
+      if (!firstTabByWindow.has(tab.windowId)) firstTabByWindow.set(tab.windowId, tab.id);
+    } catch {
+      // Already closed
+    }
+  }
+  for (const tabId of [...firstTabByWindow.values()].reverse()) {
+    await focusTab(tabId);
+  }
+}
+
+/**
+ * Stops tracking a tab that was closed. Runs left without tabs are dropped along with their auto-close alarms.
+ * @async
+ * @param {number} tabId - The ID of the closed tab.
+ * @returns {Promise<void>}
+ */
+export async function forgetTab(tabId) {
+  const finished = [];
+  await updateRuns(runs => {
+    if (!runs.some(run => run.tabs.some(runTab => runTab.tabId === tabId))) return null;
+    return runs
+      .map(run => ({ ...run, tabs: run.tabs.filter(runTab => runTab.tabId !== tabId) }))
+      .filter(run => {
+        if (run.tabs.length > 0) return true;
+        finished.push(run.id);
+        return false;
+      });
+  });
+  await Promise.all(finished.map(clearAutoCloseAlarm));
+}
+
+/**
+ * Handles an auto-close alarm by closing the tabs of its run.
+ * Tabs the user has since pinned, or navigated to another page, are left open.
+ * @async
+ * @param {{name: string}} alarm - The alarm that fired (see {@link isAutoCloseAlarm}).
+ * @returns {Promise<void>} Resolves once the tabs are closed. Errors are logged, not thrown.
+ */
+export async function handleAutoCloseAlarm(alarm) {
+  const runId = alarm.name.slice(AUTO_CLOSE_ALARM_PREFIX.length);
+  try {
+    await closeRunTabs(runId, { keepChanged: true });
+  } catch (error) {
+    console.error(`[Chronotab] Error auto-closing the tabs of run ${runId}:`, error);
+  }
+}
+
+/**
+ * Forgets every tracked run and clears their auto-close alarms.
+ * Called when the browser starts: tab IDs don't survive a restart, so the recorded IDs could
+ * otherwise point at unrelated tabs.
+ * @async
+ * @returns {Promise<void>}
+ */
+export async function clearRuns() {
+  const alarms = await chrome.alarms.getAll();
+  await Promise.all((alarms || [])
+    .filter(alarm => isAutoCloseAlarm(alarm.name))
+    .map(alarm => chrome.alarms.clear(alarm.name)));
+  await updateRuns(() => []);
+}
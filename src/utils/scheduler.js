@@ -1,217 +1,438 @@
 // Utility for scheduling and managing tab opening
+import { isValidCron } from './cron.js';
+import { isValidRRule } from './rrule.js';
+import { isValidTimeZone } from './timezone.js';
+import { loadExclusionCalendars } from './calendars.js';
+import { openScheduleTabs, runTabAction, normalizeUrlEntries, isValidOpeningStrategy, isValidMatchPattern, SCHEDULE_ACTIONS } from './tabs.js';
+import { recordRun, isValidAutoClose } from './runs.js';
+import { isValidConfirmOptions } from './prompts.js';
+import { isValidReminder, getReminderTime, REMINDER_ALARM_PREFIX } from './reminders.js';
+import { isValidNotificationOptions } from './notifications.js';
+import { isValidAlertOptions } from './alerts.js';
+import { SELECTION_MODES } from './rotation.js';
+import { nextFireTime, nextSlotFireTime, getTimeSlots, getScheduleStart, normalizeDaysOfWeek, isScheduleExpired, getClock, MAX_JITTER_MINUTES } from './recurrence.js';
 
 /**
  * @typedef {object} Schedule
  * Represents a scheduling configuration for opening URLs.
  * @property {string} id - Unique identifier for the schedule.
  * @property {string} name - User-defined name for the schedule.
- * @property {string[]} urls - List of URLs to open when the schedule runs.
+ * @property {import('./tabs.js').UrlEntry[]} urls - The URLs to open when the schedule runs, each with its tab options.
+ *                                                  Versions before schema 2 stored bare strings (see migrations.js).
+ *                                                  URLs may contain date and time placeholders (see templates.js),
+ *                                                  which are stored as written and expanded when the schedule runs.
+ *                                                  Empty for schedules whose `action` isn't "open".
+ * @property {string} [selection] - How many URLs each run opens: "all", or one of them by "roundRobin", "random"
+ *                                  or "shuffle" (see `SELECTION_MODES` in rotation.js). Defaults to "all".
+ * @property {string} [action] - What the schedule does: "open", "close" or "reload" (see `SCHEDULE_ACTIONS` in tabs.js).
+ *                               Defaults to "open".
+ * @property {string[]} [matchPatterns] - URL patterns of the tabs a "close" or "reload" schedule acts on, e.g.
+ *                                        "*.jira.example.com" or "https://metrics.example.com/*" (see `toMatchPattern`).
  * @property {string} time - Time for the schedule to run. Can be HH:mm or ISO string YYYY-MM-DDTHH:mm.
- * @property {string} repeat - How often the schedule repeats ("once", "daily", "weekly").
- * @property {number[]} [dayOfWeek] - Days of the week for weekly schedules (0=Sun, 6=Sat). Required if repeat is 'weekly'.
+ * @property {string[]} [times] - Several "HH:mm" times of day to run at, for daily, weekly, monthly and yearly schedules.
+ *                                When set, these replace the time of day in `time`, whose date part is still the start date.
+ * @property {string} repeat - How often the schedule repeats ("once", "daily", "weekly", "monthly", "yearly", "cron", "interval").
+ * @property {number[]} [dayOfWeek] - Days of the week (1=Mon, 7=Sun). Required if repeat is 'weekly'. For 'interval'
+ *                                    schedules, optionally limits runs to these days; empty means every day.
+ * @property {string} [cron] - Five-field cron expression (e.g. "*\/30 9-17 * * 1-5"). Required if repeat is 'cron'.
+ *                            The date part of `time` is the earliest day the expression may fire.
+ * @property {string} [rrule] - iCalendar-style recurrence rule (e.g. "FREQ=MONTHLY;BYDAY=MO;BYSETPOS=1"). Required if repeat
+ *                             is 'monthly' or 'yearly'. `time` acts as the rule's DTSTART.
+ * @property {number} [intervalMinutes] - Minutes between runs. Required if repeat is 'interval'. `time` is the first run.
+ * @property {string} [windowStart] - For 'interval' schedules, the "HH:mm" time runs start each day. Set together with `windowEnd`.
+ * @property {string} [windowEnd] - For 'interval' schedules, the "HH:mm" time runs stop each day (inclusive).
+ *                                  A window ending before it starts runs past midnight.
+ * @property {string} [timeZone] - IANA time zone (e.g. "America/New_York") that `time` and the recurrence are evaluated in.
+ *                                 If omitted, the browser's current local time zone is used.
+ * @property {string} [endDate] - Last day ("YYYY-MM-DD", inclusive, in the schedule's time zone) a recurring schedule may run on.
+ * @property {number} [maxRuns] - Maximum number of times a recurring schedule runs before it is archived.
+ * @property {number} [jitterMinutes] - Fire each run up to this many minutes early or late (1 to 720). The offset is picked
+ *                                      per occurrence and is the same every time it is computed (see `getJitterOffset`).
+ * @property {import('./tabs.js').WindowTarget} [windowTarget] - Where the tabs open. If omitted, they open in the current window.
+ * @property {string} [existingTabPolicy] - What to do with URLs that are already open: "new", "focus", "reload" or "skip"
+ *                                         (see `EXISTING_TAB_POLICIES` in tabs.js). Defaults to "new".
+ * @property {string} [existingTabMatch] - How open tabs are matched: "exact", "ignoreQuery" or "origin". Defaults to "exact".
+ * @property {import('./tabs.js').OpeningStrategy} [openingStrategy] - If set, the tabs open one at a time, spaced out,
+ *                                                                    limited in number while loading, or lazily.
+ * @property {import('./runs.js').AutoCloseOptions} [autoClose] - If set, the tabs each run opens are closed again after a
+ *                                                               duration or at a time of day (see runs.js).
+ * @property {import('./prompts.js').ConfirmOptions} [confirmBeforeRun] - If set, the schedule's alarm asks before opening
+ *                                                                        the tabs, with snooze and skip (see prompts.js).
+ * @property {import('./notifications.js').NotificationOptions} [notification] - How the schedule's runs are announced,
+ *                                                                            overriding the global settings (see notifications.js).
+ * @property {import('./alerts.js').AlertOptions} [alert] - If set, the schedule plays a sound and/or speaks when it fires (see alerts.js).
+ * @property {import('./reminders.js').ReminderOptions} [reminder] - If set, a notification comes this long before each run,
+ *                                                                  from which the run can be opened early, delayed or skipped.
+ * @property {import('./tabs.js').TabGroupOptions} [tabGroup] - If set, the schedule's tabs open in a tab group with these options.
+ * @property {string} [exclusionCalendarId] - ID of an exclusion calendar (see calendars.js). Runs that fall on
+ *                                            a date it excludes are skipped, not missed.
+ * @property {boolean} [enabled] - False while the schedule is paused: it gets no alarms and misses no runs. Omitted when enabled.
+ * @property {number} [pausedAt] - Timestamp (ms since epoch) of when the schedule was paused.
+ * @property {number} [resumedAt] - Timestamp (ms since epoch) of when the schedule was last resumed. Runs before it aren't missed.
+ * @property {number} [skipUntil] - Fire time (ms since epoch) of an occurrence the user chose to skip. Nothing up to
+ *                                  and including it runs or counts as missed (see {@link setSkipNextRun}).
+ * @property {number} [delayedRunAt] - Timestamp (ms since epoch) the skipped run was delayed to from its reminder (see reminders.js).
+ * @property {number} [openedEarlyFor] - Fire time (ms since epoch) of an occurrence opened early from its reminder.
+ *                                      Nothing up to and including it runs again or counts as missed.
+ * @property {number} [promptedFor] - Fire time (ms since epoch) of the latest occurrence that asked before opening (see
+ *                                   prompts.js). Its prompt opens or skips it, so it doesn't run again or count as missed.
  * @property {number} [lastRun] - Timestamp (ms since epoch) of when the schedule last ran.
- * @property {number} [calculatedWhen] - Timestamp (ms since epoch) calculated for the next run of a "once" schedule.
+ * @property {number} [runCount] - Number of times the schedule has run. Counted against `maxRuns`.
+ * @property {boolean} [archived] - True once the schedule has passed its `endDate` or used up its `maxRuns`.
+ *                                  Archived schedules are kept for reference but never armed.
+ * @property {number} [archivedAt] - Timestamp (ms since epoch) of when the schedule was archived.
+ * @property {number} [calculatedWhen] - Timestamp (ms since epoch) a "once" schedule runs at, i.e. `time` resolved in its time zone.
  */
 
 /**
  * Registers all alarms for current schedules stored in `chrome.storage.sync`.
  *
  * This function performs the following steps:
- * 1. Retrieves all schedules from `chrome.storage.sync`.
- * 2. Updates the `calculatedWhen` property for any "once" schedules based on their specified time.
- *    If a "once" schedule's time is in the past, `calculatedWhen` is removed.
+ * 1. Loads the exclusion calendars and retrieves all schedules from `chrome.storage.sync`.
+ * 2. Updates the `calculatedWhen` property for any "once" schedules to the exact instant of their date and time.
+ *    If a "once" schedule's time can't be resolved, `calculatedWhen` is removed.
  *    For non-"once" schedules, `calculatedWhen` is always removed.
- * 3. Clears all existing Chrome alarms.
- * 4. Creates new alarms based on the processed schedules:
- *    - For "once" schedules, a single alarm is set at `calculatedWhen` if it's valid and in the future,
- *      and if the schedule hasn't already run (checked against `lastRun`).
- *    - For "daily" schedules, a repeating alarm is set for the next occurrence of `schedule.time` with a 24-hour period.
- *    - For "weekly" schedules, a repeating alarm is set for each specified `dayOfWeek` at `schedule.time` with a 7-day period.
- *      Unique alarm names are generated for each day of a weekly schedule (e.g., `schedule.id + "-" + dow`).
+ *    Recurring schedules that have run past their `endDate` or `maxRuns` are archived (see {@link isScheduleExpired}).
+ * 3. Clears all existing schedule alarms. Internal alarms (see {@link isInternalAlarm}) are left alone.
+ * 4. Creates one-shot alarms for the next run of each schedule that isn't archived or paused, and for its reminder
+ *    if it has one (see {@link armScheduleAlarms}).
  *
- * If `calculatedWhen` was added, modified, or removed for any schedule, the updated schedules are saved back to `chrome.storage.sync`.
+ * If `calculatedWhen` was added, modified, or removed for any schedule, or a schedule was archived, the updated schedules are saved back to `chrome.storage.sync`.
  * Errors during saving are logged to the console.
  *
  * @returns {void} This function does not return a value directly but operates via side effects on Chrome alarms and storage.
  */
 export function registerAlarms() {
-  chrome.storage.sync.get(["schedules"], (result) => {
-    const originalSchedules = result.schedules || [];
-    // Deep copy schedules to modify them before saving, and for creating alarms
-    let schedulesToProcess = JSON.parse(JSON.stringify(originalSchedules));
-    let hasChangesToPersist = false;
-
-    // First, update schedule objects with calculatedWhen or remove it
-    schedulesToProcess = schedulesToProcess.map(schedule => {
-      const originalCalculatedWhen = schedule.calculatedWhen; // Store original value for comparison
-
-      if (schedule.repeat === "once") {
-        const when = getNextOccurrence(schedule.time); // Assumes getNextOccurrence is defined in this file
-        if (when) {
-          schedule.calculatedWhen = when;
-        } else {
-          // If 'when' cannot be calculated (e.g., time in past for a new 'once' schedule),
-          // ensure calculatedWhen is undefined.
-          delete schedule.calculatedWhen;
-        }
-      } else {
-        // For daily/weekly, or if repeat type is not 'once', ensure calculatedWhen is removed
-        delete schedule.calculatedWhen;
-      }
+  // The exclusion calendars must be registered before any occurrence is computed
+  loadExclusionCalendars().then(() => {
+    chrome.storage.sync.get(["schedules"], (result) => {
+      const originalSchedules = result.schedules || [];
+      // Deep copy schedules to modify them before saving, and for creating alarms
+      let schedulesToProcess = JSON.parse(JSON.stringify(originalSchedules));
+      let hasChangesToPersist = false;
+      const now = getClock().now();
 
-      // Check if calculatedWhen has actually changed
-      if (schedule.calculatedWhen !== originalCalculatedWhen ||
-          (originalCalculatedWhen !== undefined && schedule.calculatedWhen === undefined)) {
-        hasChangesToPersist = true;
-      }
-      return schedule;
-    });
+      // First, update schedule objects with calculatedWhen or remove it
+      schedulesToProcess = schedulesToProcess.map(schedule => {
+        const originalCalculatedWhen = schedule.calculatedWhen; // Store original value for comparison
 
-    // Now, clear all existing Chrome alarms and set new ones
-    chrome.alarms.clearAll(() => {
-      const now = Date.now(); // Get current time for comparison
-      schedulesToProcess.forEach((schedule) => {
         if (schedule.repeat === "once") {
-          // Use the potentially updated schedule.calculatedWhen from schedulesToProcess
-          // Only create an alarm if calculatedWhen is valid and in the future.
-          if (schedule.calculatedWhen && schedule.calculatedWhen > now) {
-            // Also, ensure it hasn't effectively run already if lastRun was somehow set
-            // This check might be redundant if checkMissedAlarmsOnStartup correctly handles lastRun,
-            // but it's a good safeguard.
-            if (!schedule.lastRun || schedule.lastRun < schedule.calculatedWhen) {
-              chrome.alarms.create(schedule.id, { when: schedule.calculatedWhen });
-            }
-          }
-        } else if (schedule.repeat === "daily") {
-          const when = getNextOccurrence(schedule.time); // Assumes getNextOccurrence is defined
+          const when = getScheduleStart(schedule);
           if (when) {
-            chrome.alarms.create(schedule.id, { when, periodInMinutes: 1440 }); // 24 * 60
+            schedule.calculatedWhen = when;
+          } else {
+            // If 'when' cannot be calculated (e.g., a malformed time), ensure calculatedWhen is undefined.
+            delete schedule.calculatedWhen;
           }
-        } else if (schedule.repeat === "weekly" && schedule.dayOfWeek && schedule.dayOfWeek.length > 0) {
-          schedule.dayOfWeek.forEach((dow) => {
-            const when = getNextWeeklyOccurrence(schedule.time, dow); // Assumes getNextWeeklyOccurrence is defined
-            if (when) {
-              // Ensure unique alarm names for each day of the week instance for a weekly schedule
-              chrome.alarms.create(`${schedule.id}-${dow}`, { when, periodInMinutes: 10080 }); // 7 * 24 * 60
+        } else {
+          // For daily/weekly, or if repeat type is not 'once', ensure calculatedWhen is removed
+          delete schedule.calculatedWhen;
+        }
+
+        // Check if calculatedWhen has actually changed
+        if (schedule.calculatedWhen !== originalCalculatedWhen ||
+            (originalCalculatedWhen !== undefined && schedule.calculatedWhen === undefined)) {
+          hasChangesToPersist = true;
+        }
+
+        // Archive recurring schedules whose end date or run limit has been reached
+        if (!schedule.archived && isScheduleExpired(schedule, now)) {
+          schedule.archived = true;
+          schedule.archivedAt = now;
+          hasChangesToPersist = true;
+          // console.log(`[Chronotab] Schedule '${schedule.name}' has ended and was archived.`);
+        }
+        return schedule;
+      });
+
+      // Now, clear the existing schedule alarms (internal alarms are kept) and set new ones
+      clearScheduleAlarms(() => {
+        schedulesToProcess
+          .filter(schedule => !schedule.archived && !isSchedulePaused(schedule))
+          .forEach((schedule) => armScheduleAlarms(schedule, now));
+
+        // If calculatedWhen was added, modified, or removed for any schedule, persist the changes
+        if (hasChangesToPersist) {
+          chrome.storage.sync.set({ schedules: schedulesToProcess }, () => {
+            if (chrome.runtime.lastError) {
+              console.error("Error saving schedules with calculatedWhen or archive state:", chrome.runtime.lastError.message);
+            } else {
+              // chrome.storage.sync.set({ schedules: updatedSchedules }, () => {
+              // console.log("Schedules updated with calculatedWhen and saved to sync storage.");
+              // });
             }
           });
         }
       });
-
-      // If calculatedWhen was added, modified, or removed for any schedule, persist the changes
-      if (hasChangesToPersist) {
-        chrome.storage.sync.set({ schedules: schedulesToProcess }, () => {
-          if (chrome.runtime.lastError) {
-            console.error("Error saving schedules with calculatedWhen:", chrome.runtime.lastError.message);
-          } else {
-            // chrome.storage.sync.set({ schedules: updatedSchedules }, () => {
-            // console.log("Schedules updated with calculatedWhen and saved to sync storage.");
-            // });
-          }
-        });
-      }
     });
   });
 }
 
 /**
- * Calculates the next occurrence timestamp (in milliseconds since epoch) for a given time string.
- * The time string can be in "HH:mm" format or an ISO string (e.g., "YYYY-MM-DDTHH:mm"), from which "HH:mm" is extracted.
- * If the calculated time for today has already passed, it returns the timestamp for that time tomorrow.
- * @param {string} timeStr - The time string (e.g., "14:30" or "2023-10-26T14:30").
- * @returns {number | null} The timestamp in milliseconds for the next occurrence, or null if the time string is invalid.
+ * Checks whether a schedule is paused.
+ * @param {Schedule} schedule - The schedule.
+ * @returns {boolean} True if the schedule's `enabled` flag is false.
  */
-export function getNextOccurrence(timeStr) {
-  let timeToParse = timeStr;
-  if (timeStr && timeStr.includes('T')) {
-    const parts = timeStr.split('T');
-    if (parts.length > 1 && parts[1].includes(':')) {
-      timeToParse = parts[1].substring(0, 5); // Extract HH:MM
-    } else {
-      console.error(`[Chronotab] Invalid ISO time string format in getNextOccurrence: '${timeStr}'. Cannot extract time.`);
-      return null;
-    }
-  }
-
-  const [hStr, mStr] = timeToParse.split(':');
-  const h = parseInt(hStr, 10);
-  const m = parseInt(mStr, 10);
+export function isSchedulePaused(schedule) {
+  return schedule.enabled === false;
+}
 
-  if (isNaN(h) || isNaN(m) || h < 0 || h > 23 || m < 0 || m > 59) {
-    console.error(`[Chronotab] Invalid time string in getNextOccurrence: '${timeStr}' (parsed as '${timeToParse}'). Cannot calculate next occurrence.`);
-    return null;
-  }
+/**
+ * Returns the fire time up to which a schedule's alarms don't run: the latest of the occurrence skipped
+ * with skip-next or delayed from its reminder (`skipUntil`), the one opened early from its reminder (`openedEarlyFor`),
+ * and the one handed to a prompt (`promptedFor`).
+ * @param {Schedule} schedule - The schedule.
+ * @returns {number} The timestamp (milliseconds since epoch), or 0 if no run is skipped, opened early or prompted.
+ */
+export function getSkippedThrough(schedule) {
+  return Math.max(schedule.skipUntil || 0, schedule.openedEarlyFor || 0, schedule.promptedFor || 0);
+}
 
-  const now = new Date();
-  const next = new Date(now);
-  next.setHours(h, m, 0, 0);
+/**
+ * Returns the time after which a schedule's runs count, for arming and for missed-run detection:
+ * the latest of its last run, when it was last resumed, and the occurrence skipped or opened early
+ * (see {@link getSkippedThrough}).
+ * @param {Schedule} schedule - The schedule.
+ * @returns {number} The timestamp (milliseconds since epoch), or 0 if the schedule has none of these.
+ */
+export function getRunFloor(schedule) {
+  return Math.max(schedule.lastRun || 0, schedule.resumedAt || 0, getSkippedThrough(schedule));
+}
 
-  if (next.getTime() <= now.getTime()) {
-    next.setDate(next.getDate() + 1);
-    // Re-set time for the new day is implicitly handled as setHours was already called on 'next'
-    // and only the date part was advanced.
+/**
+ * Pauses or resumes a schedule. A paused schedule keeps its settings but gets no alarms.
+ * Resuming records `resumedAt`, so the runs that fell in the paused period aren't reported as missed.
+ * @param {Schedule} schedule - The schedule.
+ * @param {boolean} paused - True to pause, false to resume.
+ * @param {number} [now] - The current timestamp. Defaults to the recurrence engine's clock.
+ * @returns {Schedule} An updated copy of the schedule, to be saved by the caller.
+ */
+export function setSchedulePaused(schedule, paused, now = getClock().now()) {
+  const updated = { ...schedule };
+  if (paused) {
+    updated.enabled = false;
+    updated.pausedAt = now;
+  } else {
+    delete updated.enabled;
+    delete updated.pausedAt;
+    updated.resumedAt = now;
   }
-  return next.getTime();
+  return updated;
 }
 
 /**
- * Calculates the next occurrence timestamp (in milliseconds since epoch) for a weekly schedule.
- * It considers the provided time string and the target day of the week.
- * The time string can be in "HH:mm" format or an ISO string (e.g., "YYYY-MM-DDTHH:mm"), from which "HH:mm" is extracted.
- * If the target day is today but the time has passed, it schedules for the same day next week.
- * @param {string} timeStr - The time string (e.g., "09:00" or "2023-10-26T09:00").
- * @param {number} dayOfWeek - The target day of the week (0 for Sunday, 1 for Monday, ..., 6 for Saturday).
- * @returns {number | null} The timestamp in milliseconds for the next weekly occurrence, or null if inputs are invalid.
+ * Skips a schedule's next run, or cancels a skip. The skipped run is the next fire time (jitter included)
+ * after the schedule's current floor (see {@link getRunFloor}); the run after it goes ahead as usual.
+ * @param {Schedule} schedule - The schedule.
+ * @param {boolean} skip - True to skip the next run, false to cancel a pending skip.
+ * @param {number} [now] - The current timestamp. Defaults to the recurrence engine's clock.
+ * @returns {Schedule} An updated copy of the schedule, to be saved by the caller. Unchanged if there's no next run to skip.
  */
-export function getNextWeeklyOccurrence(timeStr, dayOfWeek) {
-  let timeToParse = timeStr;
-  if (timeStr && timeStr.includes('T')) {
-    const parts = timeStr.split('T');
-    if (parts.length > 1 && parts[1].includes(':')) {
-      timeToParse = parts[1].substring(0, 5); // Extract HH:MM
-    } else {
-      console.error(`[Chronotab] Invalid ISO time string format in getNextWeeklyOccurrence: '${timeStr}'. Cannot extract time.`);
-      return null;
-    }
+export function setSkipNextRun(schedule, skip, now = getClock().now()) {
+  const updated = { ...schedule };
+  if (!skip) {
+    delete updated.skipUntil;
+    delete updated.delayedRunAt;
+    return updated;
+  }
+  const next = nextFireTime(schedule, Math.max(now, schedule.lastRun || 0, schedule.resumedAt || 0,
+    schedule.openedEarlyFor || 0, schedule.promptedFor || 0));
+  if (next) {
+    updated.skipUntil = next;
   }
+  return updated;
+}
 
-  const [hStr, mStr] = timeToParse.split(':');
-  const h = parseInt(hStr, 10);
-  const m = parseInt(mStr, 10);
+/**
+ * Checks whether a schedule's upcoming run is being skipped.
+ * @param {Schedule} schedule - The schedule.
+ * @param {number} [now] - The current timestamp. Defaults to the recurrence engine's clock.
+ * @returns {boolean} True if a skipped run is still ahead.
+ */
+export function isSkippingNextRun(schedule, now = getClock().now()) {
+  return !!schedule.skipUntil && schedule.skipUntil > now;
+}
 
-  if (isNaN(h) || isNaN(m) || h < 0 || h > 23 || m < 0 || m > 59) {
-    console.error(`[Chronotab] Invalid time string in getNextWeeklyOccurrence: '${timeStr}' (parsed as '${timeToParse}'). Cannot calculate next occurrence.`);
-    return null;
-  }
+/**
+ * Prefix for alarms the extension uses for its own housekeeping (e.g. the clock check in `background.js`).
+ * Schedule IDs never start with this prefix, so these alarms are never mistaken for a schedule firing
+ * and survive {@link registerAlarms} clearing the schedule alarms.
+ * @type {string}
+ */
+export const INTERNAL_ALARM_PREFIX = "chronotab-";
 
-  const now = new Date();
-  let next = new Date(now);
-  next.setHours(h, m, 0, 0); // Set the desired time first
+/**
+ * Checks whether an alarm name belongs to an internal housekeeping alarm rather than a schedule.
+ * @param {string} alarmName - The alarm name.
+ * @returns {boolean} True if the alarm is internal.
+ */
+export function isInternalAlarm(alarmName) {
+  return alarmName.startsWith(INTERNAL_ALARM_PREFIX);
+}
 
-  const currentDay = now.getDay(); // 0 (Sun) - 6 (Sat)
-  let daysToAdd = (dayOfWeek - currentDay + 7) % 7;
+/**
+ * Checks whether an alarm is one of a schedule's run alarms (see {@link armScheduleAlarms}).
+ * Reminder alarms are named after the run alarm they're for, so they never match.
+ * @param {Schedule} schedule - The schedule.
+ * @param {string} alarmName - The alarm name.
+ * @returns {boolean} True if the alarm runs the schedule.
+ */
+export function isScheduleAlarm(schedule, alarmName) {
+  return alarmName === schedule.id || alarmName.startsWith(`${schedule.id}-`);
+}
 
-  // If the target day is today, but the time has already passed, schedule for next week
-  if (daysToAdd === 0 && next.getTime() <= now.getTime()) {
-    daysToAdd = 7;
+/**
+ * Creates one of a schedule's run alarms and, if the schedule has a reminder that isn't already due, the reminder's alarm.
+ * @param {Schedule} schedule - The schedule.
+ * @param {string} name - The run alarm's name.
+ * @param {number} when - The fire time (milliseconds since epoch).
+ * @param {number} now - The current timestamp (milliseconds since epoch).
+ */
+function createRunAlarm(schedule, name, when, now) {
+  chrome.alarms.create(name, { when });
+  const remindAt = getReminderTime(schedule, when);
+  if (remindAt !== null && remindAt > now) {
+    chrome.alarms.create(`${REMINDER_ALARM_PREFIX}${name}`, { when: remindAt });
   }
+}
 
-  next.setDate(now.getDate() + daysToAdd);
-  // Re-apply time after changing the date, as setDate might affect time across DST or month changes.
-  // However, since we set 'next' based on 'now' and then only modify its date part relative to 'now.getDate()',
-  // and setHours was called on 'next' initially, this should be fine.
-  // For absolute safety, one might re-call next.setHours(h,m,0,0) here, but it's often redundant if date changes are simple day additions.
-  // Let's ensure the time is correctly set for the new date.
-  next.setHours(h, m, 0, 0);
-
-  // Final safety check: if for some reason 'next' is still in the past (e.g. complex DST or edge cases),
-  // advance by a week. This is more of a fallback.
-  if (next.getTime() <= now.getTime()) {
-    next.setDate(next.getDate() + 7);
-    next.setHours(h,m,0,0); // Ensure time is correct for the new week's date
+/**
+ * Clears every alarm that belongs to a schedule, including reminders, leaving internal alarms in place.
+ * @param {function(): void} callback - Called once all schedule alarms have been cleared.
+ */
+function clearScheduleAlarms(callback) {
+  chrome.alarms.getAll((alarms) => {
+    const scheduleAlarms = (alarms || []).filter(alarm => !isInternalAlarm(alarm.name));
+    Promise.all(scheduleAlarms.map(alarm => chrome.alarms.clear(alarm.name)))
+      .catch(error => console.error("[Chronotab] Error clearing schedule alarms:", error))
+      .then(() => callback());
+  });
+}
+
+/**
+ * Creates the alarms for a single schedule's next run, as computed by the recurrence engine.
+ * Alarms are set for the fire time, i.e. with the schedule's jitter applied (see `nextFireTime`).
+ *
+ * Every alarm is a one-shot alarm at the next wall-clock occurrence. Fixed periods such as
+ * `periodInMinutes: 1440` drift by an hour across daylight-saving changes, so recurring alarms
+ * are instead re-armed after each fire (see {@link rearmScheduleAlarm}).
+ * - A schedule with several time slots (see {@link getTimeSlots}) gets one alarm per slot, named `${schedule.id}-${slot}`.
+ * - Every other schedule gets a single alarm named after the schedule ID.
+ * - A schedule with a reminder also gets a reminder alarm per run alarm, named `reminder-` followed by the run alarm's name.
+ *
+ * The search starts after the schedule's `lastRun`, so a "once" schedule that already ran isn't armed again,
+ * and after a run skipped with skip-next (see {@link getRunFloor}).
+ *
+ * @param {Schedule} schedule - The schedule to arm.
+ * @param {number} now - The current timestamp (milliseconds since epoch).
+ */
+export function armScheduleAlarms(schedule, now) {
+  const from = Math.max(now, getRunFloor(schedule));
+  const slots = getTimeSlots(schedule);
+  if (slots.length > 1) {
+    slots.forEach((slot) => {
+      const when = nextSlotFireTime(schedule, slot, from);
+      if (when) {
+        createRunAlarm(schedule, `${schedule.id}-${slot}`, when, now);
+      }
+    });
+    return;
+  }
+  const when = nextFireTime(schedule, from);
+  if (when) {
+    createRunAlarm(schedule, schedule.id, when, now);
+  }
+}
+
+/**
+ * Re-arms a recurring schedule's alarm after it fired, for the next wall-clock occurrence.
+ * The next time is computed from whichever is later of now and the alarm's scheduled time,
+ * so an alarm that fires slightly early or late is never re-armed for the same occurrence.
+ * A run skipped with skip-next is passed over.
+ * A per-slot alarm is re-armed for the same slot. "once" schedules are not re-armed.
+ *
+ * @param {Schedule} schedule - The schedule the alarm belongs to.
+ * @param {{name: string, scheduledTime: number}} alarm - The alarm that fired.
+ */
+export function rearmScheduleAlarm(schedule, alarm) {
+  if (schedule.repeat === "once") {
+    return;
+  }
+  const now = getClock().now();
+  const from = Math.max(now, alarm.scheduledTime || 0, getSkippedThrough(schedule));
+  const slot = alarm.name.slice(schedule.id.length + 1);
+  if (slot) {
+    // Alarms left over from a slot that has since been removed aren't re-armed
+    const when = getTimeSlots(schedule).includes(slot) ? nextSlotFireTime(schedule, slot, from) : null;
+    if (when) {
+      createRunAlarm(schedule, alarm.name, when, now);
+    }
+    return;
   }
+  const when = nextFireTime(schedule, from);
+  if (when) {
+    createRunAlarm(schedule, schedule.id, when, now);
+  }
+}
 
-  return next.getTime();
+/**
+ * Checks that the repeat-specific fields of a schedule are usable, e.g. that a "cron" schedule
+ * has a parseable expression and that any time zone is known. Used to reject bad data during import.
+ * @param {Schedule} schedule - The schedule to check.
+ * @returns {boolean} True if the schedule's recurrence settings are valid.
+ */
+function hasValidRecurrence(schedule) {
+  if (schedule.timeZone && !isValidTimeZone(schedule.timeZone)) {
+    return false;
+  }
+  if (schedule.times !== undefined && (!Array.isArray(schedule.times) || !schedule.times.every(slot => /^\d{2}:\d{2}$/.test(slot)))) {
+    return false;
+  }
+  if (schedule.jitterMinutes !== undefined &&
+      !(Number.isInteger(schedule.jitterMinutes) && schedule.jitterMinutes >= 1 && schedule.jitterMinutes <= MAX_JITTER_MINUTES)) {
+    return false;
+  }
+  if (schedule.autoClose !== undefined && !isValidAutoClose(schedule.autoClose)) {
+    return false;
+  }
+  if (schedule.confirmBeforeRun !== undefined && !isValidConfirmOptions(schedule.confirmBeforeRun)) {
+    return false;
+  }
+  if (schedule.reminder !== undefined && !isValidReminder(schedule.reminder)) {
+    return false;
+  }
+  if (schedule.notification !== undefined && !isValidNotificationOptions(schedule.notification)) {
+    return false;
+  }
+  if (schedule.alert !== undefined && !isValidAlertOptions(schedule.alert)) {
+    return false;
+  }
+  if (schedule.openingStrategy !== undefined && !isValidOpeningStrategy(schedule.openingStrategy)) {
+    return false;
+  }
+  if (schedule.selection !== undefined && !SELECTION_MODES.includes(schedule.selection)) {
+    return false;
+  }
+  if (schedule.action !== undefined && !SCHEDULE_ACTIONS.includes(schedule.action)) {
+    return false;
+  }
+  if (schedule.action && schedule.action !== "open" &&
+      !(Array.isArray(schedule.matchPatterns) && schedule.matchPatterns.length > 0 && schedule.matchPatterns.every(isValidMatchPattern))) {
+    return false;
+  }
+  if (schedule.repeat === "cron") {
+    return isValidCron(schedule.cron);
+  }
+  if (schedule.repeat === "monthly" || schedule.repeat === "yearly") {
+    return isValidRRule(schedule.rrule);
+  }
+  if (schedule.repeat === "interval") {
+    const timePattern = /^\d{2}:\d{2}$/;
+    const hasWindow = schedule.windowStart !== undefined || schedule.windowEnd !== undefined;
+    return Number.isInteger(schedule.intervalMinutes) && schedule.intervalMinutes >= 1 &&
+      (!hasWindow || (timePattern.test(schedule.windowStart) && timePattern.test(schedule.windowEnd)));
+  }
+  return true;
 }
 
 /**
@@ -228,7 +449,8 @@ export function exportScheduleById(scheduleId) {
         // Optional: Remove runtime-specific data like lastRun or calculatedWhen if you don't want it in the export
         // const { lastRun, calculatedWhen, ...exportableSchedule } = scheduleToExport;
         // resolve(JSON.stringify(exportableSchedule));
-        resolve(JSON.stringify(scheduleToExport));
+        // URLs are always exported as entries with their tab options
+        resolve(JSON.stringify({ ...scheduleToExport, urls: normalizeUrlEntries(scheduleToExport.urls) }));
       } else {
         resolve(null);
       }
@@ -236,9 +458,31 @@ export function exportScheduleById(scheduleId) {
   });
 }
 
+/**
+ * Removes the runtime state an exported schedule carries over from the browser it was exported from:
+ * `lastRun`, `calculatedWhen`, `runCount`, `archived`, `archivedAt`, `pausedAt`, `resumedAt`, `skipUntil`, `delayedRunAt`
+ * `openedEarlyFor` and `promptedFor`.
+ * @param {Schedule} schedule - The imported schedule, changed in place.
+ */
+function removeRuntimeState(schedule) {
+  delete schedule.lastRun;
+  delete schedule.calculatedWhen;
+  delete schedule.runCount;
+  delete schedule.archived;
+  delete schedule.archivedAt;
+  delete schedule.pausedAt;
+  delete schedule.resumedAt;
+  delete schedule.skipUntil;
+  delete schedule.delayedRunAt;
+  delete schedule.openedEarlyFor;
+  delete schedule.promptedFor;
+}
+
 /**
  * Imports a single schedule from a JSON string.
- * Assigns a new unique ID to the imported schedule and removes any existing `lastRun` or `calculatedWhen` properties.
+ * Assigns a new unique ID to the imported schedule and removes runtime state (`lastRun`, `calculatedWhen`, `runCount`,
+ * the archive flags, and the pause and skip timestamps). An imported paused schedule stays paused.
+ * Bare-string URLs from older exports are converted to URL entries.
  * The imported schedule is added to the existing list of schedules in `chrome.storage.sync`.
  * After successfully saving, it re-registers all alarms.
  *
@@ -255,14 +499,21 @@ export function importSchedule(scheduleJson) {
         console.error("[Chronotab] Invalid schedule format for import.");
         return resolve(null);
       }
+      if (!hasValidRecurrence(importedSchedule)) {
+        console.error("[Chronotab] Invalid recurrence settings in imported schedule:", importedSchedule.cron || importedSchedule.rrule || importedSchedule.timeZone);
+        return resolve(null);
+      }
 
       chrome.storage.sync.get(["schedules"], (result) => {
         let schedules = result.schedules || [];
         // Assign a new unique ID
         importedSchedule.id = `schedule_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
-        // Remove potentially stale runtime data from the imported schedule
-        delete importedSchedule.lastRun;
-        delete importedSchedule.calculatedWhen;
+        removeRuntimeState(importedSchedule);
+        if (importedSchedule.dayOfWeek) {
+          importedSchedule.dayOfWeek = normalizeDaysOfWeek(importedSchedule.dayOfWeek);
+        }
+        // Exports from older versions list URLs as bare strings
+        importedSchedule.urls = normalizeUrlEntries(importedSchedule.urls);
 
         schedules.push(importedSchedule);
         chrome.storage.sync.set({ schedules }, () => {
@@ -297,14 +548,16 @@ export function exportAllSchedules() {
       //   return exportableSchedule;
       // });
       // resolve(JSON.stringify(exportableSchedules));
-      resolve(JSON.stringify(schedules));
+      resolve(JSON.stringify(schedules.map(schedule => ({ ...schedule, urls: normalizeUrlEntries(schedule.urls) }))));
     });
   });
 }
 
 /**
  * Imports multiple schedules from a JSON string, replacing all existing schedules in `chrome.storage.sync`.
- * Assigns new unique IDs to all imported schedules and removes any existing `lastRun` or `calculatedWhen` properties.
+ * Assigns new unique IDs to all imported schedules and removes runtime state (`lastRun`, `calculatedWhen`, `runCount`,
+ * the archive flags, and the pause and skip timestamps). Imported paused schedules stay paused.
+ * Bare-string URLs from older exports are converted to URL entries.
  * Basic validation is performed on each schedule; invalid schedules are skipped with a warning.
  * After successfully saving, it re-registers all alarms.
  *
@@ -328,11 +581,18 @@ export function importAllSchedules(schedulesJson) {
           console.warn("[Chronotab] Skipping invalid schedule during bulk import:", schedule);
           continue;
         }
+        if (!hasValidRecurrence(schedule)) {
+          console.warn("[Chronotab] Skipping schedule with invalid recurrence settings during bulk import:", schedule);
+          continue;
+        }
         // Assign a new unique ID
         schedule.id = `schedule_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
-        // Remove potentially stale runtime data
-        delete schedule.lastRun;
-        delete schedule.calculatedWhen;
+        removeRuntimeState(schedule);
+        if (schedule.dayOfWeek) {
+          schedule.dayOfWeek = normalizeDaysOfWeek(schedule.dayOfWeek);
+        }
+        // Exports from older versions list URLs as bare strings
+        schedule.urls = normalizeUrlEntries(schedule.urls);
         validatedSchedules.push(schedule);
       }
 
@@ -364,25 +624,46 @@ export function onSchedulesChanged() {
 }
 
 /**
- * Opens all URLs specified in a given schedule object in new Chrome tabs.
+ * @typedef {object} RunOutcome
+ * What a run of a schedule did.
+ * @property {import('./runs.js').Run | null} run - The recorded run session, for runs that opened tabs.
+ * @property {number} tabCount - How many tabs the run opened, closed or reloaded.
+ */
+
+/**
+ * Opens all URLs specified in a given schedule object in new Chrome tabs, in the window chosen by the
+ * schedule's `windowTarget` and grouped according to its `tabGroup` options (see {@link openScheduleTabs}).
+ * Schedules whose `action` is "close" or "reload" instead close or reload the open tabs matching their
+ * `matchPatterns` (see `runTabAction`); they open nothing and aren't recorded as sessions.
+ * Every run goes through here: manual runs, alarms, missed runs and the context menu alike.
+ * The run is recorded as a session with the tabs it opened, which are closed again later if the schedule
+ * has `autoClose` options (see `recordRun`).
  * If the schedule object is invalid, or if it contains no URLs, a warning is logged to the console.
  * @param {Schedule} schedule - The schedule object containing an array of URLs to open.
- * @returns {void}
+ * @param {string} [source="manual"] - What triggered the run: "alarm", "missed", "manual" or "contextMenu".
+ * @param {number} [occurrence] - The scheduled time of the run (milliseconds since epoch), without jitter.
+ *                                URL templates are expanded for it (see `expandUrlTemplate`). Defaults to now.
+ * @returns {Promise<RunOutcome>} Resolves once the tabs are open, with what the run did (see `notifyRun`).
+ *                                 Errors are logged, not thrown.
  */
-export function runSchedule(schedule) {
-  if (schedule && schedule.urls && schedule.urls.length > 0) {
-    schedule.urls.forEach(url => {
-      chrome.tabs.create({ url });
-      // Optional: Show notification for each opened tab
-      // chrome.notifications.create({
-      //   type: "basic",
-      //   iconUrl: chrome.runtime.getURL("icon.png"),
-      //   title: "Chronotab - Manual Run",
-      //   message: `Tab opened for: ${schedule.name}`,
-      //   priority: 2
-      // });
-    });
+export async function runSchedule(schedule, source = "manual", occurrence = Date.now()) {
+  const outcome = { run: null, tabCount: 0 };
+  if (schedule && schedule.action && schedule.action !== "open") {
+    try {
+      outcome.tabCount = await runTabAction(schedule);
+    } catch (error) {
+      console.error(`[Chronotab] Error running the ${schedule.action} action of '${schedule.name}':`, error);
+    }
+  } else if (schedule && schedule.urls && schedule.urls.length > 0) {
+    try {
+      const tabIds = await openScheduleTabs(schedule, occurrence);
+      outcome.tabCount = tabIds.length;
+      outcome.run = await recordRun(schedule, tabIds, source);
+    } catch (error) {
+      console.error(`[Chronotab] Error opening the tabs of '${schedule.name}':`, error);
+    }
   } else {
     console.warn("Attempted to run schedule with no URLs or invalid schedule:", schedule);
   }
+  return outcome;
 }
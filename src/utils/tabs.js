@@ -0,0 +1,473 @@
+// Opening a schedule's tabs: which window they go to, how each tab opens, and optionally bundling them into a tab group.
+// Also the close and reload actions, which act on open tabs matching URL patterns instead.
+import { expandUrlTemplate } from './templates.js';
+import { selectRunEntries } from './rotation.js';
+
+/**
+ * @typedef {object} UrlEntry
+ * One URL of a schedule, with how its tab should open. Options that are left out use Chrome's defaults.
+ * @property {string} url - The URL to open.
+ * @property {boolean} [pinned] - True to pin the tab. Pinned tabs are never put in the schedule's tab group.
+ * @property {boolean} [muted] - True to mute the tab.
+ * @property {boolean} [active] - False to open the tab in the background. By default each tab is activated as it opens.
+ * @property {number} [index] - Position in the window's tab strip (0 is leftmost). By default the tab goes at the end.
+ */
+
+/**
+ * @typedef {object} TabGroupOptions
+ * How a schedule's tabs are grouped when it runs. A schedule without these options opens loose tabs.
+ * @property {string} [title] - Group name. Defaults to the schedule's name.
+ * @property {string} [color] - Group color, one of {@link TAB_GROUP_COLORS}. Chrome picks one if omitted.
+ * @property {boolean} [collapsed] - True to collapse the group after the tabs are added.
+ */
+
+/**
+ * @typedef {object} WindowTarget
+ * Where a schedule's tabs open. A schedule without a window target opens its tabs in the current window.
+ * @property {string} type - "new" for a fresh window, or "incognito" for a fresh incognito window.
+ * @property {string} [state] - Window state: "normal", "maximized", "fullscreen" or "minimized". Defaults to "normal".
+ * @property {number} [left] - Distance of the window from the left edge of the screen, in pixels. Only used for normal windows.
+ * @property {number} [top] - Distance of the window from the top edge of the screen, in pixels. Only used for normal windows.
+ * @property {number} [width] - Window width in pixels. Only used for normal windows.
+ * @property {number} [height] - Window height in pixels. Only used for normal windows.
+ */
+
+/**
+ * @typedef {object} OpeningStrategy
+ * How a schedule with many URLs opens its tabs, to avoid freezing the browser or flooding servers.
+ * A schedule without a strategy opens all its tabs straight away. The options can be combined.
+ * @property {number} [delaySeconds] - Seconds to wait between tabs (1 to {@link MAX_TAB_DELAY_SECONDS}).
+ * @property {number} [maxConcurrent] - Most tabs that may be loading at once. Further tabs wait until one finishes.
+ * @property {boolean} [lazy] - True to load only the first tab. The others are discarded right away and load when first focused.
+ */
+
+/**
+ * Longest delay between tabs of an {@link OpeningStrategy}, in seconds.
+ * Chrome stops an idle service worker after 30 seconds, which would cut a run short in the middle of a longer wait.
+ * @type {number}
+ */
+export const MAX_TAB_DELAY_SECONDS = 20;
+
+// How often tabs are polled while waiting for them to load or commit their navigation
+const TAB_POLL_INTERVAL_MS = 500;
+// Longest wait for a loading slot before the next tab is opened anyway, so one hanging page can't stall the run
+const LOADING_SLOT_TIMEOUT_MS = 30 * 1000;
+// Longest wait for a lazy tab's navigation to commit before it is discarded
+const COMMIT_TIMEOUT_MS = 5 * 1000;
+
+/**
+ * What a schedule does when it runs:
+ * - "open": open the schedule's URLs (the default).
+ * - "close": close every open tab matching the schedule's `matchPatterns`.
+ * - "reload": reload every open tab matching the schedule's `matchPatterns`.
+ * @type {string[]}
+ */
+export const SCHEDULE_ACTIONS = ["open", "close", "reload"];
+
+/**
+ * The window states a {@link WindowTarget} may ask for.
+ * @type {string[]}
+ */
+export const WINDOW_STATES = ["normal", "maximized", "fullscreen", "minimized"];
+
+/**
+ * What to do with a URL that is already open in a tab when its schedule runs:
+ * - "new": open another tab anyway (the default).
+ * - "focus": switch to the open tab and bring its window to the front.
+ * - "reload": reload the open tab, or navigate it to the scheduled URL if it only matched loosely.
+ * - "skip": leave the open tab alone.
+ * @type {string[]}
+ */
+export const EXISTING_TAB_POLICIES = ["new", "focus", "reload", "skip"];
+
+/**
+ * How an open tab is matched against a scheduled URL:
+ * - "exact": the whole URL must be the same (the default).
+ * - "ignoreQuery": the query string and fragment are ignored.
+ * - "origin": any page on the same scheme, host and port matches.
+ * @type {string[]}
+ */
+export const TAB_MATCH_MODES = ["exact", "ignoreQuery", "origin"];
+
+/**
+ * The colors Chrome supports for tab groups.
+ * @type {string[]}
+ */
+export const TAB_GROUP_COLORS = ["grey", "blue", "red", "yellow", "green", "pink", "purple", "cyan", "orange"];
+
+/**
+ * Key in `chrome.storage.local` mapping schedule IDs to the ID of the tab group their tabs were last put in.
+ * Group IDs only live for a browser session, so this is per-device state and never synced.
+ * @type {string}
+ */
+const TAB_GROUPS_KEY = 'chronotab_tab_groups';
+
+/**
+ * Returns the group a schedule's tabs went into last time, if that group is still open.
+ * @async
+ * @param {string} scheduleId - The schedule ID.
+ * @returns {Promise<object | null>} The `chrome.tabGroups.TabGroup`, or null if there is none to reuse.
+ */
+async function findOpenGroup(scheduleId) {
+  const result = await chrome.storage.local.get(TAB_GROUPS_KEY);
+  const groupId = (result[TAB_GROUPS_KEY] || {})[scheduleId];
+  if (groupId === undefined) return null;
+  try {
+    return await chrome.tabGroups.get(groupId);
+  } catch {
+    // The group was closed (or the browser restarted since)
+    return null;
+  }
+}
+
+/**
+ * Records the group a schedule's tabs were put in, so the next run can add to it.
+ * @async
+ * @param {string} scheduleId - The schedule ID.
+ * @param {number} groupId - The tab group ID.
+ */
+async function rememberGroup(scheduleId, groupId) {
+  const result = await chrome.storage.local.get(TAB_GROUPS_KEY);
+  await chrome.storage.local.set({ [TAB_GROUPS_KEY]: { ...(result[TAB_GROUPS_KEY] || {}), [scheduleId]: groupId } });
+}
+
+/**
+ * Converts a schedule's stored `urls` to URL entries. Older versions stored bare strings;
+ * entries with an empty URL are dropped, and options holding their default value are removed.
+ * @param {Array<string | UrlEntry>} urls - The stored URLs.
+ * @returns {UrlEntry[]} The URL entries.
+ */
+export function normalizeUrlEntries(urls) {
+  if (!Array.isArray(urls)) return [];
+  return urls
+    .map(entry => (typeof entry === "string" ? { url: entry } : entry))
+    .filter(entry => entry && typeof entry.url === "string" && entry.url.trim() !== "")
+    .map(({ url, pinned, muted, active, index }) => {
+      const normalized = { url: url.trim() };
+      if (pinned === true) normalized.pinned = true;
+      if (muted === true) normalized.muted = true;
+      if (active === false) normalized.active = false;
+      if (Number.isInteger(index) && index >= 0) normalized.index = index;
+      return normalized;
+    });
+}
+
+/**
+ * Reduces a URL to the part compared under a match mode.
+ * @param {string} url - The URL.
+ * @param {string} matchMode - One of {@link TAB_MATCH_MODES}.
+ * @returns {string | null} The comparison key, or null if the URL can't be parsed.
+ */
+function getMatchKey(url, matchMode) {
+  try {
+    const parsed = new URL(url);
+    if (matchMode === "origin") return parsed.origin;
+    if (matchMode === "ignoreQuery") return `${parsed.origin}${parsed.pathname}`;
+    return parsed.href;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Applies a schedule's existing-tab policy (`existingTabPolicy`, matched by `existingTabMatch`) to its URLs.
+ * URLs that already have a matching open tab are focused, reloaded or skipped as the policy says;
+ * the rest still need a new tab. Only tabs in normal windows are considered, or only tabs in incognito
+ * windows for a schedule that opens in incognito.
+ * @async
+ * @param {import('./scheduler.js').Schedule} schedule - The schedule being run.
+ * @param {UrlEntry[]} entries - The schedule's URL entries.
+ * @returns {Promise<UrlEntry[]>} The entries that should be opened in new tabs.
+ */
+async function handleExistingTabs(schedule, entries) {
+  const policy = EXISTING_TAB_POLICIES.includes(schedule.existingTabPolicy) ? schedule.existingTabPolicy : "new";
+  if (policy === "new") return entries;
+  const matchMode = TAB_MATCH_MODES.includes(schedule.existingTabMatch) ? schedule.existingTabMatch : "exact";
+  const incognito = !!(schedule.windowTarget && schedule.windowTarget.type === "incognito");
+  const openTabs = (await chrome.tabs.query({})).filter(tab => tab.incognito === incognito);
+
+  const toOpen = [];
+  for (const entry of entries) {
+    const key = getMatchKey(entry.url, matchMode);
+    const existing = key !== null && openTabs.find(tab => getMatchKey(tab.url || tab.pendingUrl || "", matchMode) === key);
+    if (!existing) {
+      toOpen.push(entry);
+    } else if (policy === "focus") {
+      await chrome.tabs.update(existing.id, { active: true });
+      await chrome.windows.update(existing.windowId, { focused: true });
+    } else if (policy === "reload") {
+      if (getMatchKey(existing.url || "", "exact") === getMatchKey(entry.url, "exact")) {
+        await chrome.tabs.reload(existing.id);
+      } else {
+        await chrome.tabs.update(existing.id, { url: entry.url });
+      }
+    }
+    // "skip": nothing to do
+  }
+  return toOpen;
+}
+
+/**
+ * Checks whether a schedule's opening strategy is well-formed.
+ * @param {OpeningStrategy} strategy - The strategy.
+ * @returns {boolean} True if every option that is set has a valid value.
+ */
+export function isValidOpeningStrategy(strategy) {
+  if (!strategy || typeof strategy !== "object") return false;
+  const { delaySeconds, maxConcurrent, lazy } = strategy;
+  if (delaySeconds !== undefined && !(Number.isInteger(delaySeconds) && delaySeconds >= 1 && delaySeconds <= MAX_TAB_DELAY_SECONDS)) {
+    return false;
+  }
+  if (maxConcurrent !== undefined && !(Number.isInteger(maxConcurrent) && maxConcurrent >= 1)) {
+    return false;
+  }
+  return lazy === undefined || typeof lazy === "boolean";
+}
+
+/**
+ * Waits for a number of milliseconds.
+ * @param {number} ms - The delay.
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Waits until fewer than `maxConcurrent` of the given tabs are still loading, or until {@link LOADING_SLOT_TIMEOUT_MS} has passed.
+ * @async
+ * @param {object[]} tabs - The `chrome.tabs.Tab`s opened so far.
+ * @param {number} maxConcurrent - Most tabs that may be loading at once.
+ * @returns {Promise<void>}
+ */
+async function waitForLoadingSlot(tabs, maxConcurrent) {
+  const deadline = Date.now() + LOADING_SLOT_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    const current = await Promise.all(tabs.map(tab => chrome.tabs.get(tab.id).catch(() => null)));
+    if (current.filter(tab => tab && tab.status === "loading").length < maxConcurrent) return;
+    await sleep(TAB_POLL_INTERVAL_MS);
+  }
+}
+
+/**
+ * Discards a newly created tab so it doesn't load until it is focused.
+ * A tab discarded before its navigation commits would lose its URL, so this first waits for the commit.
+ * @async
+ * @param {object} tab - The new `chrome.tabs.Tab`.
+ * @returns {Promise<object>} The discarded tab, which may have a new ID; or the original tab if it couldn't be discarded.
+ */
+async function discardWhenCommitted(tab) {
+  let current = tab;
+  const deadline = Date.now() + COMMIT_TIMEOUT_MS;
+  while (current.pendingUrl && Date.now() < deadline) {
+    await sleep(TAB_POLL_INTERVAL_MS);
+    current = await chrome.tabs.get(tab.id);
+  }
+  try {
+    return (await chrome.tabs.discard(tab.id)) || current;
+  } catch (error) {
+    console.warn(`[Chronotab] Could not discard tab ${tab.id}; it will load normally.`, error);
+    return current;
+  }
+}
+
+/**
+ * Turns a user-entered pattern into a Chrome match pattern.
+ * Full match patterns such as `https://*.example.com/reports/*` are kept as they are. A bare host such as
+ * `*.jira.example.com` matches every page on it over any scheme, and a host with a path such as
+ * `example.com/reports/*` matches that path over any scheme.
+ * @param {string} pattern - The pattern as entered.
+ * @returns {string} The Chrome match pattern.
+ */
+export function toMatchPattern(pattern) {
+  const trimmed = pattern.trim();
+  if (trimmed === "<all_urls>" || trimmed.includes("://")) return trimmed;
+  return trimmed.includes("/") ? `*://${trimmed}` : `*://${trimmed}/*`;
+}
+
+/**
+ * Checks whether a user-entered pattern makes a valid Chrome match pattern (see {@link toMatchPattern}).
+ * The host may be `*`, start with `*.`, or contain no wildcards at all.
+ * @param {string} pattern - The pattern as entered.
+ * @returns {boolean} True if the pattern is valid.
+ */
+export function isValidMatchPattern(pattern) {
+  if (typeof pattern !== "string" || pattern.trim() === "") return false;
+  const matchPattern = toMatchPattern(pattern);
+  return matchPattern === "<all_urls>" ||
+    /^(\*|https?|wss?|ftp|file):\/\/(\*|(\*\.)?[^/*:]+(:(\d+|\*))?)?\/.*$/.test(matchPattern);
+}
+
+/**
+ * Finds the open tabs matching any of a schedule's `matchPatterns`.
+ * @async
+ * @param {string[]} patterns - The patterns as entered (see {@link toMatchPattern}).
+ * @returns {Promise<object[]>} The matching `chrome.tabs.Tab`s.
+ */
+async function queryMatchingTabs(patterns) {
+  const matchPatterns = (patterns || []).filter(isValidMatchPattern).map(toMatchPattern);
+  if (matchPatterns.length === 0) return [];
+  return chrome.tabs.query({ url: matchPatterns });
+}
+
+/**
+ * Carries out a schedule's close or reload action on every open tab matching its `matchPatterns`.
+ * Pinned tabs are reloaded but never closed.
+ * @async
+ * @param {import('./scheduler.js').Schedule} schedule - A schedule whose `action` is "close" or "reload".
+ * @returns {Promise<number>} The number of tabs closed or reloaded.
+ */
+export async function runTabAction(schedule) {
+  const tabs = await queryMatchingTabs(schedule.matchPatterns);
+  if (schedule.action === "close") {
+    const tabIds = tabs.filter(tab => !tab.pinned).map(tab => tab.id);
+    if (tabIds.length > 0) await chrome.tabs.remove(tabIds);
+    return tabIds.length;
+  }
+  if (schedule.action === "reload") {
+    await Promise.all(tabs.map(tab => chrome.tabs.reload(tab.id)));
+    return tabs.length;
+  }
+  return 0;
+}
+
+/**
+ * Opens URLs in a fresh window, normal or incognito, as described by a window target.
+ * If incognito is asked for but the user hasn't allowed the extension in incognito, a normal window is used.
+ * @async
+ * @param {string[]} urls - The URLs to open, in order.
+ * @param {WindowTarget} target - The window target.
+ * @returns {Promise<object[]>} The `chrome.tabs.Tab`s of the new window.
+ */
+async function openInNewWindow(urls, target) {
+  let incognito = false;
+  if (target.type === "incognito") {
+    incognito = await chrome.extension.isAllowedIncognitoAccess();
+    if (!incognito) {
+      console.warn("[Chronotab] Incognito access is not allowed for the extension; opening a normal window instead.");
+    }
+  }
+
+  const state = WINDOW_STATES.includes(target.state) ? target.state : "normal";
+  // A minimized window can't take focus, and Chrome rejects bounds for any state but "normal"
+  const createData = { url: urls, incognito, state, focused: state !== "minimized" };
+  if (state === "normal") {
+    ["left", "top", "width", "height"].forEach(key => {
+      if (Number.isInteger(target[key])) createData[key] = target[key];
+    });
+  }
+  const newWindow = await chrome.windows.create(createData);
+  return newWindow.tabs && newWindow.tabs.length > 0 ? newWindow.tabs : chrome.tabs.query({ windowId: newWindow.id });
+}
+
+/**
+ * Opens every URL of a schedule in a new tab.
+ *
+ * The tabs go to the window the schedule's `windowTarget` asks for: by default the current window,
+ * otherwise a fresh (optionally incognito) window with the requested state, size and position.
+ * Each tab is pinned, muted, left in the background or placed at a position as its URL entry says.
+ * A schedule with a rotating `selection` opens only the URL whose turn it is (see `selectRunEntries`).
+ * Date and time placeholders in the URLs are expanded for the occurrence being run (see `expandUrlTemplate`).
+ * If the schedule has an `openingStrategy`, the tabs open one at a time: spaced out by its delay, held back
+ * while too many are loading, or (in lazy mode) discarded after the first so they load when focused.
+ * URLs that are already open are first handled by the schedule's existing-tab policy, and only the
+ * rest get new tabs (see {@link handleExistingTabs}).
+ *
+ * If the schedule has `tabGroup` options, the unpinned tabs are bundled into a tab group titled after the schedule.
+ * When opening into the current window and the group from the schedule's previous run is still open,
+ * the new tabs join it (in its window) instead of starting another one. The group's title, color and
+ * collapsed state are applied on every run.
+ *
+ * @async
+ * @param {import('./scheduler.js').Schedule} schedule - The schedule to open.
+ * @param {number} [occurrence] - The scheduled time of the run (milliseconds since epoch), which URL templates
+ *                                are expanded for. Defaults to now.
+ * @returns {Promise<number[]>} The IDs of the tabs that were opened. Existing tabs that were reused are not included.
+ */
+export async function openScheduleTabs(schedule, occurrence = Date.now()) {
+  const { tabGroup, windowTarget } = schedule;
+  const selected = await selectRunEntries(schedule, normalizeUrlEntries(schedule.urls));
+  const expanded = selected
+    .map(entry => ({ ...entry, url: expandUrlTemplate(entry.url, occurrence, schedule.timeZone) }));
+  const entries = await handleExistingTabs(schedule, expanded);
+  if (entries.length === 0) {
+    return [];
+  }
+  // Activating a tab inside a collapsed group would expand it again
+  const mayActivate = !(tabGroup && tabGroup.collapsed);
+  const strategy = isValidOpeningStrategy(schedule.openingStrategy) ? schedule.openingStrategy : null;
+  let tabs;
+  let windowOptions = {};
+  let remaining = entries;
+  let existingGroup = null;
+  if (windowTarget && (windowTarget.type === "new" || windowTarget.type === "incognito")) {
+    // With an opening strategy the window starts with the first URL only, and the rest follow one by one
+    const upfront = strategy ? entries.slice(0, 1) : entries;
+    remaining = entries.slice(upfront.length);
+    tabs = await openInNewWindow(upfront.map(entry => entry.url), windowTarget);
+    windowOptions = { windowId: tabs[0].windowId };
+    // The window opened its URLs already; apply the per-tab options afterwards
+    await Promise.all(tabs.map((tab, i) => upfront[i] && (upfront[i].pinned || upfront[i].muted)
+      ? chrome.tabs.update(tab.id, { pinned: !!upfront[i].pinned, muted: !!upfront[i].muted })
+      : null));
+    for (let i = 0; i < upfront.length && i < tabs.length; i++) {
+      if (upfront[i].index !== undefined) await chrome.tabs.move(tabs[i].id, { index: upfront[i].index });
+    }
+    const lastActive = upfront.map(entry => entry.active !== false).lastIndexOf(true);
+    if (mayActivate && lastActive !== -1 && tabs[lastActive]) {
+      await chrome.tabs.update(tabs[lastActive].id, { active: true });
+    }
+  } else {
+    if (tabGroup) {
+      existingGroup = await findOpenGroup(schedule.id);
+    }
+    if (existingGroup) {
+      windowOptions = { windowId: existingGroup.windowId };
+    }
+    tabs = [];
+  }
+
+  // Created one at a time so the tabs keep the schedule's URL order
+  for (const entry of remaining) {
+    const isFirst = tabs.length === 0;
+    if (strategy && !isFirst) {
+      if (strategy.delaySeconds) await sleep(strategy.delaySeconds * 1000);
+      if (strategy.maxConcurrent) await waitForLoadingSlot(tabs, strategy.maxConcurrent);
+    }
+    const lazy = !!(strategy && strategy.lazy) && !isFirst;
+    // A discarded tab can't be the active one
+    const createProperties = { ...windowOptions, url: entry.url, active: mayActivate && entry.active !== false && !lazy };
+    if (entry.pinned) createProperties.pinned = true;
+    if (entry.index !== undefined) createProperties.index = entry.index;
+    let tab = await chrome.tabs.create(createProperties);
+    if (entry.muted) {
+      await chrome.tabs.update(tab.id, { muted: true });
+    }
+    if (lazy) {
+      tab = await discardWhenCommitted(tab);
+    }
+    tabs.push(tab);
+  }
+  const tabIds = tabs.map(tab => tab.id);
+  // Pinned tabs can't be grouped
+  const groupableTabIds = tabs.filter((tab, i) => !(entries[i] && entries[i].pinned)).map(tab => tab.id);
+  if (!tabGroup || groupableTabIds.length === 0) {
+    return tabIds;
+  }
+
+  try {
+    const groupId = existingGroup
+      ? await chrome.tabs.group({ groupId: existingGroup.id, tabIds: groupableTabIds })
+      : await chrome.tabs.group({ tabIds: groupableTabIds });
+    const update = { title: tabGroup.title || schedule.name, collapsed: !!tabGroup.collapsed };
+    if (TAB_GROUP_COLORS.includes(tabGroup.color)) {
+      update.color = tabGroup.color;
+    }
+    await chrome.tabGroups.update(groupId, update);
+    await rememberGroup(schedule.id, groupId);
+  } catch (error) {
+    // The tabs are open either way; only the grouping failed
+    console.error(`[Chronotab] Could not group the tabs of '${schedule.name}':`, error);
+  }
+  return tabIds;
+}
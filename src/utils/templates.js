@@ -0,0 +1,155 @@
+// URL templates: date and time placeholders in schedule URLs, expanded from the occurrence a run belongs to
+import { getZonedParts, zonedTimeToTimestamp, addCalendarDays } from './timezone.js';
+
+/**
+ * Matches a placeholder. A placeholder is written `{{name}}`, `{{name:format}}`, or with an offset such as `{{now-1d:format}}`:
+ * - `date`    - the occurrence's date; format defaults to "yyyy-MM-dd".
+ * - `time`    - the occurrence's time of day; format defaults to "HH:mm".
+ * - `now`     - the occurrence's date and time; format defaults to "yyyy-MM-dd'T'HH:mm".
+ * - `isoWeek` - the ISO 8601 week number; format defaults to "WW" (two digits).
+ * - `weekday` - the English day name; format defaults to "EEEE" ("Monday").
+ * Offsets are a sign, a number and a unit: m (minutes), h (hours), d (days) or w (weeks). Day and week
+ * offsets move the wall-clock date, so `{{now-1d}}` is the same time of day yesterday even across a
+ * daylight-saving change. Unknown placeholders are left as they are.
+ * @type {RegExp}
+ */
+const PLACEHOLDER_PATTERN = /\{\{\s*(date|time|now|isoWeek|weekday)\s*(?:([+-])\s*(\d+)\s*([mhdw]))?\s*(?::([^}]*))?\}\}/g;
+
+const DEFAULT_FORMATS = {
+  date: "yyyy-MM-dd",
+  time: "HH:mm",
+  now: "yyyy-MM-dd'T'HH:mm",
+  isoWeek: "WW",
+  weekday: "EEEE",
+};
+
+const MONTH_NAMES = ["January", "February", "March", "April", "May", "June", "July", "August", "September", "October", "November", "December"];
+const WEEKDAY_NAMES = ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"];
+
+// Format tokens, longest first so that e.g. "yyyy" wins over "yy"
+const FORMAT_TOKENS = ["yyyy", "kkkk", "MMMM", "EEEE", "MMM", "EEE", "yy", "MM", "dd", "HH", "hh", "mm", "ss", "WW", "M", "d", "E", "H", "h", "m", "s", "a", "W", "X", "x"];
+
+/**
+ * Checks whether a URL contains any placeholders.
+ * @param {string} url - The URL or URL template.
+ * @returns {boolean} True if the URL is a template.
+ */
+export function hasUrlTemplate(url) {
+  PLACEHOLDER_PATTERN.lastIndex = 0;
+  return typeof url === "string" && PLACEHOLDER_PATTERN.test(url);
+}
+
+/**
+ * Works out the ISO 8601 week and week-numbering year of a date.
+ * @param {{year: number, month: number, day: number}} date - The date (month 1-12).
+ * @returns {{week: number, weekYear: number}} The week number (1-53) and the year it belongs to.
+ */
+function getIsoWeek({ year, month, day }) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  const weekday = date.getUTCDay() || 7;
+  // The Thursday of the same week decides which year the week belongs to
+  date.setUTCDate(date.getUTCDate() + 4 - weekday);
+  const weekYear = date.getUTCFullYear();
+  const week = Math.ceil(((date.getTime() - Date.UTC(weekYear, 0, 1)) / 86400000 + 1) / 7);
+  return { week, weekYear };
+}
+
+/**
+ * Formats an instant in a time zone using Luxon-style tokens:
+ * yyyy, yy (year); M, MM, MMM, MMMM (month); d, dd (day); E (ISO weekday 1-7), EEE, EEEE (day name);
+ * H, HH, h, hh, a (hour, AM/PM); m, mm (minute); s, ss (second); W, WW (ISO week); kkkk (ISO week year);
+ * X (Unix seconds) and x (Unix milliseconds). Text in single quotes is copied as is; other characters too.
+ * @param {number} timestamp - The instant (milliseconds since epoch).
+ * @param {string} format - The format.
+ * @param {string} [timeZone] - IANA time zone. Defaults to the browser's zone.
+ * @returns {string} The formatted instant.
+ */
+export function formatTimestamp(timestamp, format, timeZone) {
+  const parts = getZonedParts(timestamp, timeZone);
+  const { week, weekYear } = getIsoWeek(parts);
+  const pad = (value, length = 2) => String(value).padStart(length, "0");
+  const hour12 = parts.hour % 12 || 12;
+  const values = {
+    yyyy: pad(parts.year, 4),
+    yy: pad(parts.year % 100),
+    kkkk: pad(weekYear, 4),
+    MMMM: MONTH_NAMES[parts.month - 1],
+    MMM: MONTH_NAMES[parts.month - 1].slice(0, 3),
+    MM: pad(parts.month),
+    M: String(parts.month),
+    dd: pad(parts.day),
+    d: String(parts.day),
+    EEEE: WEEKDAY_NAMES[parts.weekday - 1],
+    EEE: WEEKDAY_NAMES[parts.weekday - 1].slice(0, 3),
+    E: String(parts.weekday),
+    HH: pad(parts.hour),
+    H: String(parts.hour),
+    hh: pad(hour12),
+    h: String(hour12),
+    a: parts.hour < 12 ? "AM" : "PM",
+    mm: pad(parts.minute),
+    m: String(parts.minute),
+    ss: pad(parts.second),
+    s: String(parts.second),
+    WW: pad(week),
+    W: String(week),
+    X: String(Math.floor(timestamp / 1000)),
+    x: String(timestamp),
+  };
+
+  let result = "";
+  let i = 0;
+  while (i < format.length) {
+    if (format[i] === "'") {
+      const end = format.indexOf("'", i + 1);
+      const literal = end === -1 ? format.slice(i + 1) : format.slice(i + 1, end);
+      result += literal === "" ? "'" : literal; // '' is an escaped quote
+      i = end === -1 ? format.length : end + 1;
+      continue;
+    }
+    const token = FORMAT_TOKENS.find(candidate => format.startsWith(candidate, i));
+    if (token) {
+      result += values[token];
+      i += token.length;
+    } else {
+      result += format[i];
+      i += 1;
+    }
+  }
+  return result;
+}
+
+/**
+ * Moves an instant by a placeholder offset.
+ * @param {number} timestamp - The instant (milliseconds since epoch).
+ * @param {number} amount - The signed number of units.
+ * @param {string} unit - "m", "h", "d" or "w".
+ * @param {string} [timeZone] - IANA time zone the wall-clock date is moved in. Defaults to the browser's zone.
+ * @returns {number} The moved instant.
+ */
+function applyOffset(timestamp, amount, unit, timeZone) {
+  if (unit === "m") return timestamp + amount * 60 * 1000;
+  if (unit === "h") return timestamp + amount * 60 * 60 * 1000;
+  const parts = getZonedParts(timestamp, timeZone);
+  const date = addCalendarDays(parts, unit === "w" ? amount * 7 : amount);
+  return zonedTimeToTimestamp(date.year, date.month, date.day, parts.hour, parts.minute, timeZone) + parts.second * 1000;
+}
+
+/**
+ * Expands the placeholders of a URL template.
+ * @param {string} url - The URL template. URLs without placeholders are returned unchanged.
+ * @param {number} occurrence - The occurrence the run belongs to (milliseconds since epoch), i.e. its scheduled
+ *                              time rather than when it actually fired, so late and missed runs expand correctly.
+ * @param {string} [timeZone] - IANA time zone the placeholders are evaluated in. Defaults to the browser's zone.
+ * @returns {string} The expanded URL.
+ */
+export function expandUrlTemplate(url, occurrence, timeZone) {
+  if (!hasUrlTemplate(url)) return url;
+  return url.replace(PLACEHOLDER_PATTERN, (_, name, sign, amount, unit, format) => {
+    const timestamp = amount === undefined
+      ? occurrence
+      : applyOffset(occurrence, (sign === "-" ? -1 : 1) * parseInt(amount, 10), unit, timeZone);
+    const pattern = format !== undefined && format.trim() !== "" ? format.trim() : DEFAULT_FORMATS[name];
+    return formatTimestamp(timestamp, pattern, timeZone);
+  });
+}
@@ -0,0 +1,151 @@
+// IANA time zone helpers built on Intl, usable from the background service worker without a bundler
+
+/**
+ * @typedef {object} ZonedParts
+ * Wall-clock fields of an instant as observed in a particular time zone.
+ * @property {number} year - Full year.
+ * @property {number} month - Month (1=Jan, 12=Dec).
+ * @property {number} day - Day of the month (1-31).
+ * @property {number} hour - Hour (0-23).
+ * @property {number} minute - Minute (0-59).
+ * @property {number} second - Second (0-59).
+ * @property {number} weekday - ISO day of the week (1=Mon, 7=Sun).
+ */
+
+const formatterCache = new Map();
+
+/**
+ * Returns a cached `Intl.DateTimeFormat` that breaks instants into numeric wall-clock fields for a zone.
+ * @param {string} timeZone - IANA time zone name.
+ * @returns {Intl.DateTimeFormat} The formatter.
+ */
+function getFormatter(timeZone) {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      second: "numeric",
+    }));
+  }
+  return formatterCache.get(timeZone);
+}
+
+/**
+ * Returns the browser's current IANA time zone, e.g. "Europe/Berlin".
+ * @returns {string} The time zone name.
+ */
+export function getLocalTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+/**
+ * Checks whether a string is an IANA time zone name the browser understands.
+ * @param {string} timeZone - The time zone name to check.
+ * @returns {boolean} True if the zone is valid.
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== "string" || timeZone === "") return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Lists the IANA time zones supported by the browser, for use in a zone picker.
+ * Falls back to just the local zone and UTC on browsers without `Intl.supportedValuesOf`.
+ * @returns {string[]} Time zone names in alphabetical order.
+ */
+export function getSupportedTimeZones() {
+  if (typeof Intl.supportedValuesOf === "function") {
+    return Intl.supportedValuesOf("timeZone");
+  }
+  return [...new Set([getLocalTimeZone(), "UTC"])].sort();
+}
+
+/**
+ * Breaks an instant into the wall-clock fields observed in a time zone.
+ * @param {number} timestamp - The instant (milliseconds since epoch).
+ * @param {string} [timeZone] - IANA time zone name. Defaults to the browser's zone.
+ * @returns {ZonedParts} The wall-clock fields.
+ */
+export function getZonedParts(timestamp, timeZone = getLocalTimeZone()) {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(new Date(timestamp)).forEach(({ type, value }) => {
+    if (type !== "literal") parts[type] = parseInt(value, 10);
+  });
+  const hour = parts.hour === 24 ? 0 : parts.hour; // Some engines still report midnight as 24
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour,
+    minute: parts.minute,
+    second: parts.second,
+    weekday: new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay() || 7,
+  };
+}
+
+/**
+ * Returns a zone's offset from UTC at a given instant, in milliseconds (positive east of Greenwich).
+ * @param {number} timestamp - The instant (milliseconds since epoch).
+ * @param {string} timeZone - IANA time zone name.
+ * @returns {number} The offset in milliseconds.
+ */
+function getOffset(timestamp, timeZone) {
+  const p = getZonedParts(timestamp, timeZone);
+  const wholeSeconds = timestamp - (((timestamp % 1000) + 1000) % 1000);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - wholeSeconds;
+}
+
+/**
+ * Converts a wall-clock time in a time zone to an instant.
+ *
+ * Around daylight-saving transitions the mapping isn't one-to-one. A repeated wall-clock time
+ * (clocks going back) resolves to its first occurrence. A skipped wall-clock time (clocks going
+ * forward) resolves to the instant the same distance past the transition, e.g. 02:30 in a
+ * 02:00→03:00 gap becomes 03:30, matching what the `Date` constructor does for local time.
+ *
+ * @param {number} year - Full year.
+ * @param {number} month - Month (1=Jan, 12=Dec).
+ * @param {number} day - Day of the month.
+ * @param {number} hour - Hour (0-23).
+ * @param {number} minute - Minute (0-59).
+ * @param {string} [timeZone] - IANA time zone name. Defaults to the browser's zone.
+ * @returns {number} The instant (milliseconds since epoch).
+ */
+export function zonedTimeToTimestamp(year, month, day, hour, minute, timeZone = getLocalTimeZone()) {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+  // The offset can only be one of the offsets in effect around the target; try both candidates
+  const offsetBefore = getOffset(asUtc - 24 * 60 * 60 * 1000, timeZone);
+  const offsetAfter = getOffset(asUtc + 24 * 60 * 60 * 1000, timeZone);
+  const candidates = [...new Set([asUtc - offsetBefore, asUtc - offsetAfter, asUtc - getOffset(asUtc, timeZone)])];
+
+  const exact = candidates.filter(candidate => {
+    const p = getZonedParts(candidate, timeZone);
+    return p.year === year && p.month === month && p.day === day && p.hour === hour && p.minute === minute;
+  });
+  if (exact.length > 0) {
+    return Math.min(...exact);
+  }
+  // Wall-clock time falls in a gap: shift forward by the size of the gap
+  return asUtc - offsetBefore;
+}
+
+/**
+ * Adds a number of calendar days to a date, ignoring time zones.
+ * @param {{year: number, month: number, day: number}} date - The date (month 1-12).
+ * @param {number} days - Days to add (may be negative).
+ * @returns {{year: number, month: number, day: number}} The resulting date.
+ */
+export function addCalendarDays(date, days) {
+  const d = new Date(Date.UTC(date.year, date.month - 1, date.day + days));
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+}
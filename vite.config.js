@@ -16,7 +16,23 @@ export default defineConfig({
         // Removed { src: 'background', dest: '.' }, as background script is now in src/background.js
         // If you want to copy the background script, add:
         { src: 'src/background.js', dest: '.' },
+        { src: 'src/offscreen.html', dest: '.' }, // Offscreen document for alert sounds
+        { src: 'src/offscreen.js', dest: '.' },
         { src: 'src/utils/scheduler.js', dest: 'utils' }, // Changed dest from 'background/utils' to 'utils'
+        { src: 'src/utils/cron.js', dest: 'utils' }, // Imported by scheduler.js
+        { src: 'src/utils/rrule.js', dest: 'utils' }, // Imported by scheduler.js
+        { src: 'src/utils/timezone.js', dest: 'utils' }, // Imported by scheduler.js, cron.js and rrule.js
+        { src: 'src/utils/recurrence.js', dest: 'utils' }, // Imported by background.js and scheduler.js
+        { src: 'src/utils/migrations.js', dest: 'utils' }, // Imported by background.js
+        { src: 'src/utils/calendars.js', dest: 'utils' }, // Imported by recurrence.js, scheduler.js and background.js
+        { src: 'src/utils/tabs.js', dest: 'utils' }, // Imported by scheduler.js, migrations.js and background.js
+        { src: 'src/utils/runs.js', dest: 'utils' }, // Imported by scheduler.js and background.js
+        { src: 'src/utils/templates.js', dest: 'utils' }, // Imported by tabs.js
+        { src: 'src/utils/rotation.js', dest: 'utils' }, // Imported by tabs.js and scheduler.js
+        { src: 'src/utils/prompts.js', dest: 'utils' }, // Imported by scheduler.js and background.js
+        { src: 'src/utils/reminders.js', dest: 'utils' }, // Imported by scheduler.js and background.js
+        { src: 'src/utils/notifications.js', dest: 'utils' }, // Imported by scheduler.js and background.js
+        { src: 'src/utils/alerts.js', dest: 'utils' }, // Imported by scheduler.js, background.js and offscreen.js
       ],
     }),
   ],